@@ -3,12 +3,39 @@ const {onRequest} = require('firebase-functions/v2/https')
 const {onSchedule} = require('firebase-functions/v2/scheduler')
 const {setGlobalOptions} = require('firebase-functions/v2')
 const admin = require('firebase-admin')
-const Parser = require('rss-parser')
-const axios = require('axios')
+const {QueryError, hasJobQuery, parseJobQuery, queryJobs} = require('./src/query')
+const {loadSources, loadSourceConfig, fetchSourceJobs} = require('./src/sources')
+const {removeDuplicates} = require('./src/dedupe')
+const {enrichJob} = require('./src/enrich')
+const {classifyJob, countTags} = require('./src/taxonomy')
+const {FEED_FORMATS, renderFeed} = require('./src/feeds')
+const {descriptionToMarkdown, excerpt, companySlug} = require('./src/text')
+const {createSavedSearch, confirmSavedSearch, listSavedSearches, deleteSavedSearch, deliverSavedSearchAlerts} = require('./src/savedSearches')
+const {listSavedJobs, saveJob, updateSavedJob, deleteSavedJob} = require('./src/savedJobs')
+const {CHANGES_WINDOW_MS, jobKey, toDate, toSnapshotJob, saveJobsToCache, readCacheMetadata, readJobsFromCache, readJobDocument, readJobChanges, documentToListJob} = require('./src/store')
+const {setSnapshotCacheHeaders, isNotModified} = require('./src/httpCache')
+const {describeFetchError} = require('./src/http')
+const {loadRecentRuns, sourceHealth, circuitState, recordCacheRun} = require('./src/health')
+const {AuthError, authorizeAdmin, authenticateUser} = require('./src/auth')
+const {diffJobs} = require('./src/diff')
+const {applyFreshness} = require('./src/freshness')
+const {syncCompanies, parseCompanyQuery, listCompanies, readCompany} = require('./src/companies')
+const {recordDailyStats, parseStatsQuery, readStats} = require('./src/stats')
+const {buildSearchIndex, parseSearchQuery, searchIndex, highlightJob} = require('./src/search')
+const {isBot, applyUrl, recordClick, buildClickSummary, readClickSummary} = require('./src/clicks')
+const {enforceRateLimit} = require('./src/rateLimit')
+const {SingleFlightBusyError, singleFlight} = require('./src/singleFlight')
+const {checkJobLinks} = require('./src/linkChecker')
+const {createFetchSession, sumTransferStats} = require('./src/upstream')
+const {applyQuality, moderateCompany, loadQualityConfig, visibleJobs} = require('./src/quality')
+const {SCHEMA_VERSION, JOB_SCHEMA, repairJob, partitionValidJobs, quarantineRecords} = require('./src/schema')
 
 // Initialize Firebase Admin
 admin.initializeApp()
 
+// Interval of the updateRemoteJobsCache schedule, used for HTTP cache lifetimes
+const CACHE_UPDATE_INTERVAL_SECONDS = 60 * 60
+
 // Set global options for all v2 functions
 setGlobalOptions({
   region: 'us-central1',
@@ -16,643 +43,677 @@ setGlobalOptions({
 })
 
 /**
- * Utility function to perform HTTP GET requests with automatic retries and exponential backoff
- * @param {string} url - URL to fetch
- * @param {Object} options - Axios request options
- * @param {number} maxRetries - Maximum number of retry attempts (default: 3)
- * @returns {Promise<Object>} - Axios response object
+ * Sorts jobs by date, newest first
+ * @param {Array} jobs - Jobs to sort in place
+ * @returns {Array} - The sorted jobs
+ */
+function sortByDate(jobs) {
+  return jobs.sort((job1, job2) => {
+    const firstDate = Date.parse(job1.date)
+    const secondDate = Date.parse(job2.date)
+    return secondDate - firstDate
+  })
+}
+
+/**
+ * Helper function to fetch and aggregate jobs from all enabled sources
+ * Used by both the scheduled function and HTTP fallback
+ * Sources whose circuit breaker is open are skipped and recorded as such
+ * A dry run neither stores upstream validators nor quarantines records
+ * @param {Object} [options] - { only: name of a single source to fetch, bypassing its circuit breaker, dryRun }
  */
-async function fetchWithRetry(url, options, maxRetries = 3) {
-  let lastError;
+async function fetchAndAggregateJobs(options = {}) {
+  const startTime = Date.now()
+  const sourcesMetadata = {}
   
-  for (let attempt = 0; attempt < maxRetries; attempt++) {
-    try {
-      console.log(`Fetching ${url} - attempt ${attempt + 1}`);
-      return await axios.get(url, options);
-    } catch (error) {
-      console.log(`Attempt ${attempt + 1} failed for ${url}: ${error.message}`);
-      lastError = error;
-      
-      // Don't wait on the last attempt
-      if (attempt < maxRetries - 1) {
-        // Wait with exponential backoff: 500ms, 1500ms, 4500ms, etc.
-        const delay = 500 * Math.pow(3, attempt);
-        console.log(`Retrying in ${delay}ms...`);
-        await new Promise(resolve => setTimeout(resolve, delay));
+  const db = admin.firestore()
+  const [resolvedSources, recentRuns] = await Promise.all([loadSources(db), loadRecentRuns(db)])
+  const now = new Date()
+  const sources = resolvedSources.filter(source => {
+    if (options.only) {
+      return source.name === options.only
+    }
+
+    if (!source.enabled) {
+      console.log(`Skipping disabled source ${source.name}`)
+      return false
+    }
+
+    const health = sourceHealth(recentRuns, source.name)
+    const circuit = circuitState(health, now)
+    if (circuit.open) {
+      console.warn(`Skipping ${source.name} after ${health.consecutiveFailures} consecutive failures until ${circuit.retryAt.toISOString()}`)
+      sourcesMetadata[source.name] = {
+        homepage: source.homepage,
+        count: 0,
+        success: false,
+        skipped: true,
+        error: `Circuit open until ${circuit.retryAt.toISOString()}, last error: ${health.lastError}`,
+        durationMs: 0
       }
+      return false
     }
+    return true
+  })
+  
+  // Fetch jobs from all enabled sources in parallel, requests per host are limited in src/http.js
+  // Each source gets its own fetch session, so transfer stats are reported per source
+  // Records failing the job schema are quarantined; failing to store them must not fail the source
+  const sessions = []
+  const quarantine = (source, records) => options.dryRun ? Promise.resolve() : quarantineRecords(db, source.name, records, now)
+    .catch(error => console.error(`Failed to quarantine ${source.name} records:`, error.message))
+  const results = await Promise.all(sources.map(source => {
+    const sourceStart = Date.now()
+    const http = createFetchSession(options.dryRun ? null : db, { headers: source.headers })
+    sessions.push(http)
+    let quarantined = 0
+    return fetchSourceJobs(source, http)
+      .then(async fetched => {
+        quarantined = fetched.quarantined.length
+        await quarantine(source, fetched.quarantined)
+        return applyFreshness(db, source, fetched.jobs, now)
+      })
+      .then(jobs => {
+        sourcesMetadata[source.name] = { homepage: source.homepage, count: jobs.length, success: true, error: null, durationMs: Date.now() - sourceStart, quarantined, transfer: http.stats }
+        return jobs
+      })
+      .catch(async err => {
+        const reason = describeFetchError(err)
+        console.error(`${source.name} fetch failed:`, reason)
+        if (err.quarantined) {
+          quarantined = err.quarantined.length
+          await quarantine(source, err.quarantined)
+        }
+        sourcesMetadata[source.name] = { homepage: source.homepage, count: 0, success: false, error: reason, durationMs: Date.now() - sourceStart, quarantined, transfer: http.stats }
+        return []
+      })
+  }))
+  const transfer = sumTransferStats(sessions.map(session => session.stats))
+  if (transfer.notModified > 0) {
+    console.log(`${transfer.notModified} of ${transfer.requests} upstream requests not modified, ${transfer.bytesSaved} bytes saved`)
   }
   
-  throw lastError;
+  // Combine jobs from all sources, extract structured fields and canonical tags
+  const allJobs = results.flat().map(enrichJob).map(classifyJob)
+  
+  // Sort by date (newest first)
+  const sortedJobs = sortByDate(allJobs)
+  
+  // Remove duplicates, merging the same posting listed on several boards
+  // Then score them, so one company's posts are counted once per posting
+  const quality = await applyQuality(db, removeDuplicates(sortedJobs))
+  const jobsFinalList = quality.jobs
+  
+  const updateDurationMs = Date.now() - startTime
+
+  return {
+    jobs: jobsFinalList,
+    metadata: {
+      lastUpdated: new Date(),
+      jobCount: jobsFinalList.length,
+      schemaVersion: SCHEMA_VERSION,
+      sources: sourcesMetadata,
+      quality: quality.summary,
+      transfer,
+      updateDurationMs
+    }
+  }
 }
 
 /**
- * Removes duplicate job listings based on their ID
- * @param {Array} jobsWithId - Array of job objects with ID property
- * @returns {Array} - Array with duplicates removed
+ * Replaces the jobs of one source in a cached job list
+ * Listings of that source are removed from the alsoListedOn of the other jobs,
+ * and listings of other boards merged into that source's jobs are carried over
+ * to the fresh job, or promoted to a job of their own if the refreshed source
+ * no longer lists the posting. The merged list is then deduplicated again
+ * @param {Array} cachedJobs - Jobs of the current snapshot
+ * @param {string} sourceName - Refreshed source
+ * @param {Array} sourceJobs - Fresh jobs of that source
+ * @returns {Array} - Merged jobs, sorted newest first
  */
-function removeDuplicates(jobsWithId) {
-  return jobsWithId.reduce((acc, current) => {
-    const duplicated = acc.find((job) => job.id === current.id)
-    if (!duplicated) {
-      return acc.concat(current)
-    }
-    return acc
-  }, [])
+function mergeSourceJobs(cachedJobs, sourceName, sourceJobs) {
+  const withListings = (job, alsoListedOn) => {
+    const merged = { ...job, alsoListedOn }
+    if (alsoListedOn.length === 0) {
+      delete merged.alsoListedOn
+    }
+    return merged
+  }
+
+  const retained = []
+  const carriedListings = new Map()
+  const freshKeys = new Set(sourceJobs.map(jobKey))
+
+  cachedJobs.forEach(job => {
+    const otherListings = (job.alsoListedOn || []).filter(listing => listing.source !== sourceName)
+
+    if (job.source !== sourceName) {
+      retained.push(job.alsoListedOn ? withListings(job, otherListings) : job)
+      return
+    }
+    if (otherListings.length === 0) return
+
+    const key = job.key || jobKey(job)
+    if (freshKeys.has(key)) {
+      carriedListings.set(key, otherListings)
+    } else {
+      const [listing, ...rest] = otherListings
+      retained.push(withListings({ ...job, source: listing.source, url: listing.url, id: listing.id, key: jobKey(listing) }, rest))
+    }
+  })
+
+  const freshJobs = sourceJobs.map(job => {
+    const listings = carriedListings.get(jobKey(job))
+    return listings ? withListings(job, (job.alsoListedOn || []).concat(listings)) : job
+  })
+
+  return removeDuplicates(sortByDate([...retained, ...freshJobs]))
 }
 
 /**
- * Fetches remote job listings from RemoteOK API
- * @returns {Array} - Formatted job listings
+ * Fetches jobs and updates the cache, shared by the schedule and the admin refresh
+ * With a source only that source is fetched and merged into the existing snapshot
+ * With dryRun nothing is written; the diff against the current snapshot is returned
+ * Every run that writes, successful or not, is appended to the cacheRuns history
+ * @param {Object} db - Firestore instance
+ * @param {Object} options - { source, dryRun, trigger }
+ * @returns {Promise<Object>} - Run summary, or the diff of a dry run
  */
-async function fetchRemoteOkJobs() {
+async function refreshCache(db, { source = null, dryRun = false, trigger = 'schedule' } = {}) {
+  const startedAt = new Date()
+  let result = null
+  let changes = null
+
   try {
-    const remoteOkApi = 'https://remoteok.io/api'
-    const response = await fetchWithRetry(remoteOkApi, {
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36',
-        'Accept': 'application/json'
-      },
-      timeout: 10000 // 10 second timeout
-    })
-    let remoteOkJobs = response.data
-    
-    // The first item contains API information, not a job
-    remoteOkJobs.shift()
+    result = await fetchAndAggregateJobs({ only: source, dryRun })
     
-    return remoteOkJobs.map((job) => {
-      const { logo, company_logo, id, company, position, date, url, description, tags } = job
-      const rLogo = 'https://remoteok.io/assets/logo.png'
-      const logoUri = logo || company_logo
-      const image = logoUri ? { uri: logoUri } : { uri: rLogo }
-      const formattedDate = new Date(date).toUTCString()
-      let jobsTags = tags === null ? ['remote work'] : tags
-      
-      // Handle case where tags is an object
-      if (!jobsTags.length) {
-        jobsTags = Object.values(tags)
+    // If no jobs were found from any source, log warning but don't fail
+    if (result.jobs.length === 0) {
+      console.warn(`No jobs found from ${source || 'any source'} during ${trigger} update`)
+    }
+
+    let { jobs, metadata } = result
+    const cached = source || dryRun ? await readJobsFromCache(db) : null
+    if (source) {
+      if (!cached) {
+        throw new Error('Cannot refresh a single source without an existing cache')
       }
+      // Per-company post counts span all sources, so the merged list is scored again
+      // Jobs of snapshots written before the schema get the same repairs as fresh ones
+      const quality = await applyQuality(db, mergeSourceJobs(cached.jobs.map(job => repairJob(job)), source, result.jobs))
+      jobs = quality.jobs
+      metadata = {
+        ...result.metadata,
+        jobCount: jobs.length,
+        quality: quality.summary,
+        sources: { ...cached.metadata.sources, ...result.metadata.sources }
+      }
+    }
 
-      return { 
-        id, 
-        company, 
-        position, 
-        date: formattedDate, 
-        image, 
-        description, 
-        url, 
-        tags: jobsTags,
-        source: 'RemoteOK'
+    // Fields added after the per-source validation are checked before anything is written
+    const validated = partitionValidJobs(jobs)
+    const rejectedSources = Object.keys(validated.rejected)
+    if (rejectedSources.length > 0) {
+      jobs = validated.jobs
+      const sources = { ...metadata.sources }
+      rejectedSources.forEach(name => {
+        const count = validated.rejected[name].length
+        console.warn(`${name}: ${count} final records failed schema v${SCHEMA_VERSION}: ${validated.rejected[name][0].errors[0]}`)
+        if (sources[name]) {
+          sources[name] = { ...sources[name], count: sources[name].count - count, quarantined: (sources[name].quarantined || 0) + count }
+        }
+      })
+      metadata = { ...metadata, jobCount: jobs.length, sources }
+      if (!dryRun) {
+        await Promise.all(rejectedSources.map(name => quarantineRecords(db, name, validated.rejected[name], metadata.lastUpdated)
+          .catch(error => console.error(`Failed to quarantine ${name} records:`, error.message))))
       }
-    })
+    }
+    const fetched = {}
+    Object.keys(result.metadata.sources).forEach(name => { fetched[name] = metadata.sources[name] })
+
+    if (dryRun) {
+      return { dryRun: true, source, fetched, ...diffJobs(cached ? cached.jobs : [], jobs) }
+    }
+    
+    // Save jobs to cache using shared helper function
+    changes = await saveJobsToCache(jobs, metadata, db, source ? { sources: [source] } : {})
+    
+    // Alert saved searches about new jobs; a delivery failure must not fail the update
+    try {
+      const added = new Set(changes.added)
+      await deliverSavedSearchAlerts(db, changes.jobs.filter(job => added.has(job.key)), changes.snapshotJobs)
+    } catch (alertError) {
+      console.error('Error delivering saved search alerts:', alertError)
+    }
+
+    // The company directory is derived data, the next run repairs a failed sync
+    try {
+      await syncCompanies(db, visibleJobs(changes.snapshotJobs, false), metadata.lastUpdated)
+    } catch (companiesError) {
+      console.error('Error updating companies:', companiesError)
+    }
+
+    try {
+      await recordDailyStats(db, visibleJobs(changes.snapshotJobs, false), changes, metadata.lastUpdated)
+    } catch (statsError) {
+      console.error('Error recording daily stats:', statsError)
+    }
+
+    try {
+      await buildSearchIndex(db, visibleJobs(changes.snapshotJobs, false), metadata.lastUpdated)
+    } catch (indexError) {
+      console.error('Error building search index:', indexError)
+    }
+
+    try {
+      await buildClickSummary(db, changes.snapshotJobs, metadata.lastUpdated)
+    } catch (clicksError) {
+      console.error('Error summarizing apply clicks:', clicksError)
+    }
+    
+    // Only the fetched sources count towards their health history
+    await recordCacheRun(db, { startedAt, trigger, metadata: { ...metadata, sources: fetched }, changes })
+    
+    console.log(`Cache updated successfully: ${jobs.length} jobs from ${Object.keys(fetched).length} sources`)
+    console.log(`Update took ${result.metadata.updateDurationMs}ms`)
+
+    return {
+      dryRun: false,
+      source,
+      jobCount: jobs.length,
+      fetched,
+      changes: { added: changes.added.length, updated: changes.updated.length, expired: changes.expired.length },
+      durationMs: Date.now() - startedAt
+    }
   } catch (error) {
-    console.error('Error fetching RemoteOK jobs:', error.message)
-    return []
+    console.error('Error updating job cache:', error)
+    if (!dryRun) {
+      await recordCacheRun(db, { startedAt, trigger, metadata: result && result.metadata, changes, error })
+    }
+    throw error
   }
 }
 
 /**
- * Cleans HTML content and special characters from text
- * @param {string} content - HTML content to clean
- * @returns {string} - Clean text
+ * Scheduled Cloud Function to update remote jobs cache hourly
+ * Runs every hour via Cloud Scheduler (v2 API)
+ * Tracks each job's lifecycle and writes a chunked snapshot to avoid Firestore 1MB document limit
  */
-function cleanDescription(content) {
-  return content
-    // First decode HTML entities like &lt; and &gt;
-    .replace(/&lt;/g, '<')
-    .replace(/&gt;/g, '>')
-    .replace(/&quot;/g, '"')
-    .replace(/&#39;/g, "'")
-    .replace(/&amp;/g, '&')
-    // Remove all HTML tags (including the decoded ones)
-    .replace(/<(?:.|\n)*?>/gm, '')
-    // Remove escaped characters like \n, \t, \"
-    .replace(/\\n/g, ' ')
-    .replace(/\\t/g, ' ')
-    .replace(/\\"/g, '"')
-    .replace(/\\'/g, "'")
-    // Clean up special characters and entities
-    .replace(/&#8211;/g, '-')
-    .replace(/&#8212;/g, '-')
-    .replace(/&rsquo;|&#8217;|&#8216;/g, "'")
-    .replace(/&ldquo;|&rdquo;|&#8220;|&#8221;/g, '"')
-    .replace(/&nbsp;/g, ' ')
-    .replace(/&hellip;|&#8230;/g, '...')
-    // Remove multiple spaces and trim
-    .replace(/\s+/g, ' ')
-    .trim()
-}
+exports.updateRemoteJobsCache = onSchedule({
+  schedule: 'every 1 hours',
+  timeoutSeconds: 540,
+  memory: '512MiB'
+}, async () => {
+  console.log('Starting scheduled job cache update...')
+  await refreshCache(admin.firestore(), { trigger: 'schedule' })
+})
 
 /**
- * Fetches remote job listings from WeWorkRemotely RSS feeds
- * @returns {Array} - Formatted job listings
+ * Scheduled Cloud Function expiring jobs whose apply link is dead
+ * Checks a rate-limited batch of the least recently checked active jobs
  */
-async function fetchWeWorkRemotelyJobs() {
-  // Use axios directly instead of rss-parser to bypass 403 errors
-  const urls = [
-    'https://weworkremotely.com/categories/remote-programming-jobs.rss',
-    'https://weworkremotely.com/categories/remote-customer-support-jobs.rss',
-    'https://weworkremotely.com/categories/remote-product-jobs.rss',
-    'https://weworkremotely.com/categories/remote-sales-and-marketing-jobs.rss',
-    'https://weworkremotely.com/categories/remote-copywriting-jobs.rss',
-    'https://weworkremotely.com/categories/remote-design-jobs.rss',
-    'https://weworkremotely.com/remote-jobs.rss',
-    'https://weworkremotely.com/categories/remote-devops-sysadmin-jobs.rss',
-  ]
-  const imgRegex = /(http)?s?:?(\/\/[^"']*\.(?:png|jpg|jpeg|gif|png|svg|webp))/g
-  const fallBackImage = 'https://weworkremotely.com/assets/wwr-social-fd7d545c56e975b65fae9cf49346aac95a8cdb4774b2c269af89ac8993141380.png'
-  
-  try {
-    const jobResults = await Promise.all(
-      urls.map(async (url) => {
-        try {
-          // Use fetchWithRetry with browser-like headers
-          const response = await fetchWithRetry(url, {
-            headers: {
-              'User-Agent': 'Mozilla/5.0 (iPhone; CPU iPhone OS 15_0 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/15.0 Mobile/15E148 Safari/604.1',
-              'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
-              'Accept-Language': 'en-US,en;q=0.5',
-              'Accept-Encoding': 'gzip, deflate, br',
-              'Connection': 'keep-alive',
-              'Referer': 'https://weworkremotely.com/',
-              'Cache-Control': 'no-cache',
-              'Pragma': 'no-cache'
-            },
-            timeout: 15000 // 15 second timeout
-          });
-          
-          // Extract items from XML using regex patterns
-          const xmlData = response.data;
-          const itemPattern = /<item>([\s\S]*?)<\/item>/g;
-          const titlePattern = /<title>([\s\S]*?)<\/title>/;
-          const linkPattern = /<link>([\s\S]*?)<\/link>/;
-          const pubDatePattern = /<pubDate>([\s\S]*?)<\/pubDate>/;
-          const descPattern = /<description>([\s\S]*?)<\/description>/;
-          
-          const items = [];
-          let match;
-          
-          while ((match = itemPattern.exec(xmlData)) !== null) {
-            try {
-              const itemContent = match[1];
-              const title = (itemContent.match(titlePattern) || [])[1] || '';
-              const link = (itemContent.match(linkPattern) || [])[1] || '';
-              const pubDate = (itemContent.match(pubDatePattern) || [])[1] || '';
-              const content = (itemContent.match(descPattern) || [])[1] || '';
-              
-              // Skip if missing essential data
-              if (!title || !link) continue;
-              
-              // Parse company and position
-              const company = title.split(':')[0];
-              const position = title.split(':')[1].slice(1) || 'Unknown Position';
-              const imageUrl = content.match(imgRegex);
-              const image = { uri: imageUrl ? imageUrl[0] : fallBackImage };
-              
-              // Extract tags from URL
-              let tags = ['remote work'];
-              if (url !== 'https://weworkremotely.com/remote-jobs.rss') {
-                const urlTags = url.slice(45).split('.')[0].split('-');
-                urlTags.pop(); // Remove 'jobs' from tags
-                tags = [urlTags.join(' ')];
-              }
-              
-              const date = new Date(pubDate).toUTCString();
-              const description = cleanDescription(content);
-              
-              items.push({
-                company,
-                position,
-                image,
-                date,
-                description,
-                id: link,
-                url: link,
-                tags,
-                source: 'WeWorkRemotely'
-              });
-            } catch (itemError) {
-              console.error('Error processing WeWorkRemotely item:', itemError.message);
-              // Continue with next item
-            }
-          }
-          
-          return items;
-        } catch (error) {
-          console.error(`Error fetching ${url}:`, error.message);
-          return [];
-        }
-      })
-    );
-    
-    // Flatten results and remove null/undefined entries
-    return jobResults.flat().filter(Boolean);
-  } catch (error) {
-    console.error('Error fetching WeWorkRemotely jobs:', error.message);
-    return []
-  }
-}
+exports.checkDeadLinks = onSchedule({
+  schedule: 'every 30 minutes',
+  timeoutSeconds: 540,
+  memory: '256MiB'
+}, async () => {
+  await checkJobLinks(admin.firestore())
+})
 
 /**
- * Fetches RSS feed with retry capability
- * @param {string} url - The RSS feed URL to fetch
- * @param {Object} parserOptions - Options for the RSS parser
- * @returns {Promise<Object>} - Parsed RSS feed
+ * Admin-only Firebase function refreshing the cache on demand
+ * POST with an admin bearer token (see src/auth.js). source=<name> refreshes a
+ * single source and merges it into the existing snapshot; dryRun=true returns
+ * the diff against the current snapshot without writing anything
  */
-async function fetchRssWithRetry(url, parserOptions, maxRetries = 3) {
-  let lastError;
-  const parser = new Parser(parserOptions);
-  
-  for (let attempt = 0; attempt < maxRetries; attempt++) {
-    try {
-      console.log(`Fetching RSS from ${url} - attempt ${attempt + 1}`);
-      return await parser.parseURL(url);
-    } catch (error) {
-      console.log(`RSS fetch attempt ${attempt + 1} failed for ${url}: ${error.message}`);
-      lastError = error;
-      
-      // Don't wait on the last attempt
-      if (attempt < maxRetries - 1) {
-        // Wait with exponential backoff: 500ms, 1500ms, 4500ms, etc.
-        const delay = 500 * Math.pow(3, attempt);
-        console.log(`Retrying RSS fetch in ${delay}ms...`);
-        await new Promise(resolve => setTimeout(resolve, delay));
-      }
+exports.refreshCache = onRequest({
+  timeoutSeconds: 540,
+  memory: '512MiB',
+  cors: true
+}, async (request, response) => {
+  if (request.method !== 'POST') {
+    return response.status(405).json({ error: 'Method not allowed' })
+  }
+
+  try {
+    await authorizeAdmin(request)
+  } catch (error) {
+    if (error instanceof AuthError) {
+      return response.status(error.status).json({ error: error.message })
     }
+    throw error
   }
-  
-  throw lastError;
-}
 
-/**
- * Fetches remote job listings from Remotive.io RSS feed
- * @returns {Array} - Formatted job listings
- */
-async function fetchRemotiveJobs() {
-  const parserOptions = {
-    headers: {
-      'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36',
-      'Accept': 'application/rss+xml, text/xml, application/xml;q=0.9, */*;q=0.8'
-    },
-    timeout: 10000 // 10 second timeout
-  }
-  const remotiveRssUrl = 'https://remotive.com/remote-jobs/feed'
-  const fallBackImage = 'https://remotive.com/web/image/website/1/logo/Remotive?unique=33c627c'
-  
+  const params = { ...request.query, ...(request.body || {}) }
+  const dryRun = params.dryRun === true || params.dryRun === 'true'
+  const db = admin.firestore()
+
   try {
-    const feed = await fetchRssWithRetry(remotiveRssUrl, parserOptions)
-    return feed.items.map(item => {
-      const { title, content, pubDate, link, guid } = item
-      
-      // Parse company and position from title (format varies)
-      let company = 'Unknown Company'
-      let position = title
-      
-      // Try to extract company name from title patterns
-      const titleMatch = title.match(/(.+) at (.+)/) || title.match(/(.+): (.+)/)
-      if (titleMatch) {
-        position = titleMatch[1].trim()
-        company = titleMatch[2].trim()
+    let source = null
+    if (params.source) {
+      const adapters = await loadSources(db)
+      const adapter = adapters.find(candidate => candidate.name.toLowerCase() === String(params.source).toLowerCase())
+      if (!adapter) {
+        return response.status(400).json({ error: `Unknown source, use one of: ${adapters.map(candidate => candidate.name).join(', ')}` })
       }
-      
-      // Extract image URL from content if available
-      const imgRegex = /(http)?s?:?(\/\/[^"']*\.(?:png|jpg|jpeg|gif|png|svg|webp))/g
-      const imageUrl = content.match(imgRegex)
-      const image = { uri: imageUrl ? imageUrl[0] : fallBackImage }
-      
-      // Clean description and extract categories
-      const description = cleanDescription(content)
-      const categoryMatch = content.match(/Categories: (.+?)</i)
-      const tags = categoryMatch ? categoryMatch[1].split(',').map(tag => tag.trim()) : ['remote work']
-      
-      const date = new Date(pubDate).toUTCString()
-      const id = guid || link
-      
-      return {
-        id,
-        company,
-        position,
-        date,
-        image,
-        description,
-        url: link,
-        tags,
-        source: 'Remotive'
+      if (!adapter.enabled) {
+        return response.status(400).json({ error: `Source ${adapter.name} is disabled` })
       }
-    })
+      if (!await readCacheMetadata(db)) {
+        return response.status(409).json({ error: 'No cache to merge into, refresh all sources first' })
+      }
+      source = adapter.name
+    }
+
+    return response.json(await refreshCache(db, { source, dryRun, trigger: 'admin' }))
   } catch (error) {
-    console.error('Error fetching Remotive jobs:', error.message)
-    return []
+    console.error('Error refreshing cache:', error)
+    return response.status(500).json({
+      error: 'Failed to refresh cache',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    })
   }
-}
+})
 
 /**
- * Fetches remote job listings from Web3.career API
- * @returns {Array} - Formatted job listings
+ * Admin-only Firebase function managing the company allow and block lists
+ * GET returns the quality configuration, POST (body: company, action of allow,
+ * block or clear) moves a company between the lists. Changes apply from the
+ * next cache update, POST /refreshCache to apply them right away
  */
-async function fetchWeb3Jobs() {
+exports.moderateCompanies = onRequest({
+  timeoutSeconds: 30,
+  memory: '256MiB',
+  cors: true
+}, async (request, response) => {
   try {
-    // Using the provided API token
-    const web3JobsApi = 'https://web3.career/api/v1?token=oUKT4YEswSKx4DpAaxM5DwZJt3E9Nun2&remote=true&limit=100'
-    
-    const response = await fetchWithRetry(web3JobsApi, {
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36',
-        'Accept': 'application/json'
-      },
-      timeout: 10000 // 10 second timeout
-    })
-    
-    // As per the API documentation, the array starts at index 2
-    const web3Jobs = response.data[2] || []
-    
-    return web3Jobs.map((job) => {
-      const { 
-        id, 
-        title, 
-        company, 
-        date_epoch,
-        country, 
-        city, 
-        location,
-        apply_url,
-        tags,
-        description 
-      } = job
-      
-      // Use company logo if available, otherwise use a fallback image
-      const fallBackImage = 'https://web3.career/img/web3-career-logo.png'
-      const image = { uri: fallBackImage }
-      
-      // Format date to be consistent with other sources
-      const formattedDate = new Date(parseInt(date_epoch) * 1000).toUTCString()
-      
-      // Process tags to match our format
-      const jobTags = Array.isArray(tags) ? tags : ['web3', 'blockchain']
-      
-      // Ensure we include proper attribution via apply_url as requested by Web3.career
-      
-      return {
-        id: `web3-${id}`, // Adding a prefix to ensure unique IDs across sources
-        company,
-        position: title,
-        date: formattedDate,
-        image,
-        description,
-        url: apply_url, // Using apply_url as required by the API provider
-        tags: jobTags,
-        location: location || `${city || ''} ${country || ''}`.trim(),
-        source: 'Web3Jobs'
-      }
-    })
+    await authorizeAdmin(request)
+  } catch (error) {
+    if (error instanceof AuthError) {
+      return response.status(error.status).json({ error: error.message })
+    }
+    throw error
+  }
+
+  const db = admin.firestore()
+
+  try {
+    if (request.method === 'GET') {
+      return response.json(await loadQualityConfig(db))
+    }
+
+    if (request.method === 'POST') {
+      const { company, action } = request.body || {}
+      return response.json(await moderateCompany(db, company, action))
+    }
+
+    return response.status(405).json({ error: 'Method not allowed' })
   } catch (error) {
-    console.error('Error fetching Web3 jobs:', error.message)
-    return []
+    if (error instanceof QueryError) {
+      return response.status(400).json({ error: error.message })
+    }
+    console.error('Error moderating companies:', error)
+    return response.status(500).json({
+      error: 'Failed to moderate companies',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    })
   }
+})
+
+/**
+ * Fetches live jobs when the cache is missing or unreadable and saves them
+ * Concurrent cache misses share one fetch: other callers wait for the cache
+ * to be populated instead of scraping every source again
+ * @param {Object} db - Firestore instance
+ * @returns {Promise<Object>} - Jobs (and metadata) of the live fetch or of the new cache
+ * @throws {SingleFlightBusyError} - If another instance is still fetching
+ */
+function fetchLiveJobs(db) {
+  return singleFlight(db, 'liveFetch', async () => {
+    const result = await fetchAndAggregateJobs()
+
+    // Save to cache for next time using chunked approach
+    try {
+      await saveJobsToCache(result.jobs, result.metadata, db)
+      console.log('Successfully populated cache from live data')
+    } catch (cacheError) {
+      console.error('Failed to populate cache:', cacheError)
+    }
+    return result
+  }, {
+    ready: () => readJobsFromCache(db)
+  })
 }
 
 /**
- * Splits an array into chunks to stay under Firestore 1MB limit
- * @param {Array} jobs - Array of job objects
- * @param {number} chunkSize - Number of jobs per chunk
- * @returns {Array} - Array of job chunks
+ * Wraps a public HTTP handler with the API key and rate limit checks
+ * Rejected requests are answered with 401 or 429 by src/rateLimit.js
+ * @param {Function} handler - Request handler
+ * @returns {Function}
  */
-function chunkJobs(jobs, chunkSize = 100) {
-  const chunks = []
-  for (let i = 0; i < jobs.length; i += chunkSize) {
-    chunks.push(jobs.slice(i, i + chunkSize))
+function withRateLimit(handler) {
+  return async (request, response) => {
+    if (!await enforceRateLimit(admin.firestore(), request, response)) {
+      return response
+    }
+    return handler(request, response)
   }
-  return chunks
 }
 
 /**
- * Helper function to fetch and aggregate jobs from all sources
- * Used by both the scheduled function and HTTP fallback
+ * Sends the job list, applying filters and pagination when requested
+ * Without query parameters the plain array is returned for backward compatibility
+ * Hidden low-quality jobs are left out unless includeHidden=true
+ * With excerpt=true (or a length) descriptions are shortened to a plain-text excerpt
+ * @param {Object} request - HTTP request
+ * @param {Object} response - HTTP response
+ * @param {Array} jobs - Full job list
+ * @param {Object} db - Firestore instance, to read click counts for sort=popular
+ * @param {Object} metadata - Metadata of the snapshot the jobs come from, cursors are bound to it
  */
-async function fetchAndAggregateJobs() {
-  const startTime = Date.now()
-  const sourcesMetadata = {}
-  
-  // Fetch jobs from all sources in parallel (Remote.co removed as it no longer works)
-  const [remoteOkJobs, weWorkRemotelyJobs, remotiveJobs, web3Jobs] = await Promise.all([
-    fetchRemoteOkJobs().catch(err => {
-      console.error('RemoteOK fetch failed:', err.message)
-      sourcesMetadata.RemoteOK = { count: 0, success: false, error: err.message }
-      return []
-    }),
-    fetchWeWorkRemotelyJobs().catch(err => {
-      console.error('WeWorkRemotely fetch failed:', err.message)
-      sourcesMetadata.WeWorkRemotely = { count: 0, success: false, error: err.message }
-      return []
-    }),
-    fetchRemotiveJobs().catch(err => {
-      console.error('Remotive fetch failed:', err.message)
-      sourcesMetadata.Remotive = { count: 0, success: false, error: err.message }
-      return []
-    }),
-    fetchWeb3Jobs().catch(err => {
-      console.error('Web3Jobs fetch failed:', err.message)
-      sourcesMetadata.Web3Jobs = { count: 0, success: false, error: err.message }
-      return []
-    })
-  ])
-  
-  // Track successful sources
-  if (remoteOkJobs.length > 0) {
-    sourcesMetadata.RemoteOK = { count: remoteOkJobs.length, success: true, error: null }
-  }
-  if (weWorkRemotelyJobs.length > 0) {
-    sourcesMetadata.WeWorkRemotely = { count: weWorkRemotelyJobs.length, success: true, error: null }
-  }
-  if (remotiveJobs.length > 0) {
-    sourcesMetadata.Remotive = { count: remotiveJobs.length, success: true, error: null }
+async function sendJobs(request, response, jobs, db, metadata) {
+  const toListJob = listJobMapper(request.query.excerpt)
+
+  if (!hasJobQuery(request.query)) {
+    return response.json(visibleJobs(jobs, request.query.includeHidden === 'true').map(toListJob))
   }
-  if (web3Jobs.length > 0) {
-    sourcesMetadata.Web3Jobs = { count: web3Jobs.length, success: true, error: null }
+
+  const options = parseJobQuery(request.query)
+  const popularity = options.sort === 'popular' ? (await readClickSummary(db)).popular : {}
+  let result
+  try {
+    result = queryJobs(jobs, options, popularity, snapshotTime(metadata))
+  } catch (error) {
+    if (error instanceof QueryError) {
+      return response.status(400).json({ error: error.message })
+    }
+    throw error
   }
-  
-  // Combine jobs from all sources
-  const allJobs = [...remoteOkJobs, ...weWorkRemotelyJobs, ...remotiveJobs, ...web3Jobs]
-  
-  // Sort by date (newest first)
-  const sortedJobs = allJobs.sort((job1, job2) => {
-    const firstDate = Date.parse(job1.date)
-    const secondDate = Date.parse(job2.date)
-    return secondDate - firstDate
-  })
-  
-  // Remove duplicates
-  const jobsFinalList = removeDuplicates(sortedJobs)
-  
-  const updateDurationMs = Date.now() - startTime
+  return response.json({ ...result, jobs: result.jobs.map(toListJob) })
+}
 
-  return {
-    jobs: jobsFinalList,
-    metadata: {
-      lastUpdated: new Date(),
-      jobCount: jobsFinalList.length,
-      sources: sourcesMetadata,
-      updateDurationMs
+/**
+ * Returns when a snapshot last changed, the link checker may remove jobs between updates
+ * @param {Object} metadata - Snapshot metadata
+ * @returns {Date}
+ */
+function snapshotTime(metadata) {
+  return toDate(metadata.modifiedAt || metadata.lastUpdated)
+}
+
+/**
+ * Builds the function that shapes jobs for list responses
+ * @param {string} excerptParam - Value of the excerpt query parameter
+ * @returns {Function} - Maps a job to its list representation
+ */
+function listJobMapper(excerptParam) {
+  const length = parseInt(excerptParam, 10)
+  const excerptLength = excerptParam === undefined || excerptParam === 'false'
+    ? null
+    : (length > 0 ? length : 280)
+
+  return job => {
+    const listJob = toSnapshotJob(job)
+    if (excerptLength) {
+      listJob.description = excerpt(listJob.description, excerptLength)
     }
+    return listJob
   }
 }
 
 /**
- * Scheduled Cloud Function to update remote jobs cache hourly
- * Runs every hour via Cloud Scheduler (v2 API)
- * Splits jobs into chunks to avoid Firestore 1MB document limit
+ * Parses the changedSince parameter of delta sync requests
+ * Times older than CHANGES_WINDOW_MS are rejected, those clients resync from the full list
+ * @param {string} value - ISO date or milliseconds since epoch
+ * @param {Date} [now] - Current time
+ * @returns {Date}
  */
-exports.updateRemoteJobsCache = onSchedule({
-  schedule: 'every 1 hours',
-  timeoutSeconds: 540,
-  memory: '512MiB'
-}, async () => {
+function parseChangedSince(value, now = new Date()) {
+  const time = /^\d+$/.test(String(value)) ? Number(value) : Date.parse(value)
+  if (Number.isNaN(time)) {
+    throw new QueryError('Invalid changedSince')
+  }
+  if (now.getTime() - time > CHANGES_WINDOW_MS) {
+    throw new QueryError(`changedSince is older than ${CHANGES_WINDOW_MS / (24 * 60 * 60 * 1000)} days, request the full list instead`)
+  }
+  return new Date(time)
+}
+
+/**
+ * Decodes the changesCursor parameter, the position a previous page of changes ended at
+ * @param {string} value - Opaque cursor from nextChangesCursor
+ * @returns {Object} - { updatedAt, key }
+ */
+function parseChangesCursor(value) {
   try {
-    console.log('Starting scheduled job cache update...')
-    
-    const result = await fetchAndAggregateJobs()
-    
-    // If no jobs were found from any source, log warning but don't fail
-    if (result.jobs.length === 0) {
-      console.warn('No jobs found from any source during scheduled update')
+    const { t, k } = JSON.parse(Buffer.from(String(value), 'base64url').toString('utf8'))
+    if (Number.isInteger(t) && typeof k === 'string' && k) {
+      return { updatedAt: new Date(t), key: k }
     }
-    
-    const db = admin.firestore()
-    
-    // Save jobs to cache using shared helper function
-    await saveJobsToCache(result.jobs, result.metadata, db)
-    
-    console.log(`Cache updated successfully: ${result.jobs.length} jobs from ${Object.keys(result.metadata.sources).length} sources`)
-    console.log(`Update took ${result.metadata.updateDurationMs}ms`)
   } catch (error) {
-    console.error('Error updating job cache:', error)
-    throw error
+    // Fall through to the validation error below
   }
-})
+  throw new QueryError('Invalid changesCursor')
+}
 
 /**
- * Helper function to save jobs to Firestore in chunks
- * Used by both scheduled function and HTTP fallback
+ * Encodes the position a page of changes ended at
+ * @param {Object|null} next - { updatedAt, key } from readJobChanges
+ * @returns {string|null}
  */
-async function saveJobsToCache(jobs, metadata, db) {
-  const batch = db.batch()
-  
-  // Split jobs into chunks of 100
-  const jobChunks = chunkJobs(jobs, 100)
-  console.log(`Splitting ${jobs.length} jobs into ${jobChunks.length} chunks`)
-  
-  // Store metadata in main document
-  const metadataDoc = db.collection('remoteJobs').doc('metadata')
-  batch.set(metadataDoc, {
-    ...metadata,
-    chunkCount: jobChunks.length,
-    jobCount: jobs.length
-  })
-  
-  // Delete old chunks (clean up previous data)
-  const oldChunks = await db.collection('remoteJobs')
-    .where('isChunk', '==', true)
-    .get()
-  
-  oldChunks.forEach(doc => {
-    batch.delete(doc.ref)
-  })
-  
-  // Store each chunk as a separate document
-  jobChunks.forEach((chunk, index) => {
-    const chunkDoc = db.collection('remoteJobs').doc(`chunk_${index}`)
-    batch.set(chunkDoc, {
-      jobs: chunk,
-      chunkIndex: index,
-      isChunk: true,
-      lastUpdated: metadata.lastUpdated
-    })
-  })
-  
-  // Commit all writes in a batch
-  await batch.commit()
-  console.log(`Saved ${jobs.length} jobs in ${jobChunks.length} chunks to cache`)
+function encodeChangesCursor(next) {
+  return next ? Buffer.from(JSON.stringify({ t: next.updatedAt.getTime(), k: next.key })).toString('base64url') : null
 }
 
 /**
  * Firebase function to get remote job listings from cache
  * Reads from Firestore chunks and aggregates them for fast response times
  * Returns a plain array for backward compatibility with existing clients (v2 API)
+ * Supports the filters documented in src/query.js, in which case an envelope
+ * with jobs, total and nextCursor is returned
+ * Cached responses carry ETag/Last-Modified validators and answer conditional
+ * requests with 304; changedSince=<timestamp> returns only the jobs added,
+ * updated or removed after that time
  */
 exports.getRemoteJobs = onRequest({
   timeoutSeconds: 60,
   memory: '256MiB',
   cors: true
-}, async (request, response) => {
+}, withRateLimit(async (request, response) => {
+      const db = admin.firestore()
+
+      // Reject malformed parameters before doing any work
+      let changedSince = null
+      let changesAfter = null
+      try {
+        if (hasJobQuery(request.query)) {
+          parseJobQuery(request.query)
+        }
+        if (request.query.changedSince !== undefined) {
+          changedSince = parseChangedSince(request.query.changedSince)
+        }
+        if (request.query.changesCursor !== undefined) {
+          changesAfter = parseChangesCursor(request.query.changesCursor)
+        }
+      } catch (error) {
+        if (error instanceof QueryError) {
+          return response.status(400).json({ error: error.message })
+        }
+        throw error
+      }
+
       try {
-        const db = admin.firestore()
-        const metadataDoc = await db.collection('remoteJobs').doc('metadata').get()
+        const metadata = await readCacheMetadata(db)
         
-        if (!metadataDoc.exists) {
-          console.warn('Cache metadata does not exist, fetching live data and populating cache')
-          
-          // Fallback: fetch live data if cache doesn't exist
-          const result = await fetchAndAggregateJobs()
+        if (metadata) {
+          const lastUpdated = snapshotTime(metadata)
+          setSnapshotCacheHeaders(response, lastUpdated, CACHE_UPDATE_INTERVAL_SECONDS)
           
-          // Save to cache for next time using chunked approach
-          try {
-            await saveJobsToCache(result.jobs, result.metadata, db)
-            console.log('Successfully populated initial cache')
-          } catch (cacheError) {
-            console.error('Failed to populate cache:', cacheError)
+          if (isNotModified(request, lastUpdated)) {
+            return response.status(304).send()
           }
           
-          // Return plain array for backward compatibility
-          return response.json(result.jobs)
+          if (changedSince) {
+            const changes = await readJobChanges(db, changedSince, { after: changesAfter })
+            const toListJob = listJobMapper(request.query.excerpt)
+            const includeHidden = request.query.includeHidden === 'true'
+            // Jobs that became hidden are gone as far as the client is concerned
+            const hiddenKeys = includeHidden ? [] : changes.updated.filter(job => job.hidden).map(job => job.key)
+            return response.json({
+              since: changedSince.toISOString(),
+              lastUpdated: lastUpdated.toISOString(),
+              added: visibleJobs(changes.added, includeHidden).map(toListJob),
+              updated: visibleJobs(changes.updated, includeHidden).map(toListJob),
+              removed: changes.removed.concat(hiddenKeys),
+              nextChangesCursor: encodeChangesCursor(changes.next)
+            })
+          }
+        } else if (changedSince) {
+          return response.status(503).json({ error: 'Cache is not populated yet, request the full list' })
         }
         
-        const metadata = metadataDoc.data()
-        
-        // Read all job chunks in parallel
-        const chunkCount = metadata.chunkCount || 0
-        const chunkPromises = []
+        const cached = metadata ? await readJobsFromCache(db, metadata) : null
         
-        for (let i = 0; i < chunkCount; i++) {
-          chunkPromises.push(
-            db.collection('remoteJobs').doc(`chunk_${i}`).get()
-          )
+        if (!cached) {
+          console.warn('Cache metadata does not exist, fetching live data and populating cache')
+          response.set('Cache-Control', 'no-cache')
+          
+          // Fallback: fetch live data if cache doesn't exist
+          const result = await fetchLiveJobs(db)
+          
+          return sendJobs(request, response, result.jobs, db, result.metadata)
         }
         
-        const chunkDocs = await Promise.all(chunkPromises)
-        
-        // Aggregate all jobs from chunks
-        const allJobs = []
-        chunkDocs.forEach(doc => {
-          if (doc.exists) {
-            const chunkData = doc.data()
-            allJobs.push(...chunkData.jobs)
-          }
-        })
+        const { jobs } = cached
         
         // Log cache metadata for monitoring (but don't return it to maintain compatibility)
-        console.log(`Returning ${allJobs.length} jobs from cache (age: ${Math.floor((Date.now() - metadata.lastUpdated.toDate().getTime()) / 60000)} minutes)`)
+        console.log(`Returning ${jobs.length} jobs from cache (age: ${Math.floor((Date.now() - metadata.lastUpdated.toDate().getTime()) / 60000)} minutes)`)
         
-        // Return plain array for backward compatibility with existing clients
-        return response.json(allJobs)
+        return sendJobs(request, response, jobs, db, metadata)
       } catch (error) {
+        if (error instanceof SingleFlightBusyError) {
+          response.set('Retry-After', String(error.retryAfterSeconds))
+          return response.status(503).json({ error: 'Jobs are being fetched, retry shortly' })
+        }
         console.error('Error reading from cache:', error)
         
         // Final fallback: try to fetch live data
         try {
           console.log('Attempting live fetch as final fallback')
-          const result = await fetchAndAggregateJobs()
-          
-          // Try to save to cache
-          try {
-            await saveJobsToCache(result.jobs, result.metadata, db)
-            console.log('Successfully populated cache after error recovery')
-          } catch (cacheError) {
-            console.error('Failed to populate cache during error recovery:', cacheError)
-          }
+          const result = await fetchLiveJobs(db)
+          response.set('Cache-Control', 'no-cache')
+          response.removeHeader('ETag')
+          response.removeHeader('Last-Modified')
           
-          // Return plain array for backward compatibility
-          return response.json(result.jobs)
+          return sendJobs(request, response, result.jobs, db, result.metadata)
         } catch (fallbackError) {
+          if (fallbackError instanceof SingleFlightBusyError) {
+            response.set('Retry-After', String(fallbackError.retryAfterSeconds))
+            return response.status(503).json({ error: 'Jobs are being fetched, retry shortly' })
+          }
           console.error('Fallback fetch also failed:', fallbackError)
           return response.status(500).json({
             error: 'Failed to fetch jobs',
@@ -661,5 +722,623 @@ exports.getRemoteJobs = onRequest({
           })
         }
       }
-})
+}))
+
+/**
+ * Firebase function listing the canonical categories and skills
+ * with the number of cached jobs in each
+ */
+exports.getTags = onRequest({
+  timeoutSeconds: 30,
+  memory: '256MiB',
+  cors: true
+}, withRateLimit(async (request, response) => {
+  try {
+    const db = admin.firestore()
+    const cached = await readJobsFromCache(db)
+    const jobs = cached ? visibleJobs(cached.jobs, false) : []
+
+    return response.json({
+      ...countTags(jobs),
+      jobCount: jobs.length,
+      lastUpdated: cached ? cached.metadata.lastUpdated.toDate().toISOString() : null
+    })
+  } catch (error) {
+    console.error('Error counting tags:', error)
+    return response.status(500).json({
+      error: 'Failed to fetch tags',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    })
+  }
+}))
+
+/**
+ * Firebase function serving the JSON Schema every cached job conforms to
+ * With format=raw only the schema is returned, ready for code generators
+ */
+exports.getSchema = onRequest({
+  timeoutSeconds: 30,
+  memory: '256MiB',
+  cors: true
+}, withRateLimit(async (request, response) => {
+  // The schema only changes with a deploy
+  response.set('Cache-Control', 'public, max-age=86400')
+  if (request.query.format === 'raw') {
+    return response.json(JOB_SCHEMA)
+  }
+  return response.json({ version: SCHEMA_VERSION, schema: JOB_SCHEMA })
+}))
+
+/**
+ * Firebase function searching the jobs through the full-text index
+ * Supports q, match (all or any terms), limit, cursor and excerpt. Results are
+ * ranked by relevance and carry <mark> highlights of the matched words
+ */
+exports.search = onRequest({
+  timeoutSeconds: 30,
+  memory: '256MiB',
+  cors: true
+}, withRateLimit(async (request, response) => {
+  let options
+  try {
+    options = parseSearchQuery(request.query)
+  } catch (error) {
+    if (error instanceof QueryError) {
+      return response.status(400).json({ error: error.message })
+    }
+    throw error
+  }
+
+  try {
+    const db = admin.firestore()
+    const result = await searchIndex(db, options)
+    if (!result) {
+      return response.status(503).json({ error: 'Search index is not built yet' })
+    }
+
+    const docs = result.hits.length > 0
+      ? await db.getAll(...result.hits.map(hit => db.collection('jobs').doc(hit.key)))
+      : []
+    const toListJob = listJobMapper(request.query.excerpt)
+
+    // The link checker may have expired jobs since the index was built
+    const results = []
+    docs.forEach((doc, index) => {
+      if (!doc.exists || doc.get('status') !== 'active') return
+      const job = documentToListJob(doc.data())
+      results.push({
+        ...toListJob(job),
+        score: result.hits[index].score,
+        highlights: highlightJob(job, options.terms)
+      })
+    })
+
+    response.set('Cache-Control', 'public, max-age=300')
+    return response.json({
+      q: options.q,
+      terms: options.terms,
+      total: result.total,
+      indexedAt: toDate(result.builtAt).toISOString(),
+      nextCursor: result.nextCursor,
+      results
+    })
+  } catch (error) {
+    console.error('Error searching jobs:', error)
+    return response.status(500).json({
+      error: 'Failed to search jobs',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    })
+  }
+}))
+
+/**
+ * Firebase function returning time series of the daily market statistics
+ * Supports from/to (YYYY-MM-DD, default the last 30 days), groupBy (total,
+ * sources, categories, skills, salaryBands or locations), keys and top
+ */
+exports.getStats = onRequest({
+  timeoutSeconds: 30,
+  memory: '256MiB',
+  cors: true
+}, withRateLimit(async (request, response) => {
+  let options
+  try {
+    options = parseStatsQuery(request.query)
+  } catch (error) {
+    if (error instanceof QueryError) {
+      return response.status(400).json({ error: error.message })
+    }
+    throw error
+  }
+
+  try {
+    const db = admin.firestore()
+    const stats = await readStats(db, options)
+    response.set('Cache-Control', 'public, max-age=900')
+    return response.json(stats)
+  } catch (error) {
+    console.error('Error reading stats:', error)
+    return response.status(500).json({
+      error: 'Failed to fetch stats',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    })
+  }
+}))
+
+/**
+ * Firebase function rendering the cached jobs as a subscribable feed
+ * Supports format=rss (default), atom or json, plus the getRemoteJobs filters
+ */
+exports.getJobsFeed = onRequest({
+  timeoutSeconds: 30,
+  memory: '256MiB',
+  cors: true
+}, withRateLimit(async (request, response) => {
+  const format = String(request.query.format || 'rss').toLowerCase()
+  if (!FEED_FORMATS.includes(format)) {
+    return response.status(400).json({ error: `Unsupported format, use one of: ${FEED_FORMATS.join(', ')}` })
+  }
+
+  let options
+  try {
+    options = parseJobQuery(request.query)
+  } catch (error) {
+    if (error instanceof QueryError) {
+      return response.status(400).json({ error: error.message })
+    }
+    throw error
+  }
+
+  try {
+    const db = admin.firestore()
+    const cached = await readJobsFromCache(db)
+    const popularity = options.sort === 'popular' ? (await readClickSummary(db)).popular : {}
+    const jobs = cached ? queryJobs(cached.jobs, options, popularity, snapshotTime(cached.metadata)).jobs : []
+    const updated = cached ? cached.metadata.lastUpdated.toDate() : new Date()
+    const homepages = {}
+    Object.entries(cached ? cached.metadata.sources || {} : {}).forEach(([name, source]) => {
+      if (source.homepage) homepages[name] = source.homepage
+    })
+    // The feed links to itself, without a caller's API key
+    const self = new URL(request.originalUrl, `${request.protocol}://${request.get('host')}`)
+    self.searchParams.delete('apiKey')
+    const selfUrl = self.toString()
+
+    const feed = renderFeed(format, jobs, { selfUrl, updated, homepages })
+    response.set('Content-Type', feed.contentType)
+    return response.send(feed.body)
+  } catch (error) {
+    if (error instanceof QueryError) {
+      return response.status(400).json({ error: error.message })
+    }
+    console.error('Error rendering jobs feed:', error)
+    return response.status(500).json({
+      error: 'Failed to render feed',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    })
+  }
+}))
+
+/**
+ * Firebase function managing saved searches with new-job alerts
+ * POST creates a search (body: name, filters, notify, optional ownerToken),
+ * GET lists the owner's searches, DELETE ?id= removes one. GET and DELETE
+ * require the owner token in the X-Owner-Token header, except for
+ * GET ?id=&confirm=, the confirmation link mailed to email targets
+ */
+exports.savedSearches = onRequest({
+  timeoutSeconds: 30,
+  memory: '256MiB',
+  cors: true
+}, withRateLimit(async (request, response) => {
+  const db = admin.firestore()
+  const ownerToken = request.get('X-Owner-Token')
+
+  try {
+    if (request.method === 'POST') {
+      const confirmUrl = `${request.protocol}://${request.get('host')}${request.originalUrl.split('?')[0]}`
+      const created = await createSavedSearch(db, request.body, { confirmUrl })
+      return response.status(201).json(created)
+    }
+
+    // Link mailed to email targets, opened without an owner token
+    if (request.method === 'GET' && request.query.confirm) {
+      if (!request.query.id) {
+        return response.status(400).json({ error: 'Missing id' })
+      }
+      const confirmed = await confirmSavedSearch(db, request.query.id, request.query.confirm)
+      return confirmed
+        ? response.json({ confirmed: true })
+        : response.status(404).json({ error: 'Saved search not found or already confirmed' })
+    }
+
+    if (!ownerToken) {
+      return response.status(401).json({ error: 'Missing X-Owner-Token header' })
+    }
+
+    if (request.method === 'GET') {
+      return response.json(await listSavedSearches(db, ownerToken))
+    }
+
+    if (request.method === 'DELETE') {
+      if (!request.query.id) {
+        return response.status(400).json({ error: 'Missing id' })
+      }
+      const deleted = await deleteSavedSearch(db, request.query.id, ownerToken)
+      return deleted
+        ? response.status(204).send()
+        : response.status(404).json({ error: 'Saved search not found' })
+    }
+
+    return response.status(405).json({ error: 'Method not allowed' })
+  } catch (error) {
+    if (error instanceof QueryError) {
+      return response.status(400).json({ error: error.message })
+    }
+    console.error('Error handling saved search request:', error)
+    return response.status(500).json({
+      error: 'Failed to handle saved search request',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    })
+  }
+}))
+
+/**
+ * Firebase function managing the signed-in user's saved jobs
+ * Requires a Firebase Auth ID token (Authorization: Bearer <idToken>).
+ * GET lists the saved jobs (optional ?status=), POST saves one (body: jobId,
+ * status, notes), PATCH ?id= changes status or notes, DELETE ?id= removes one
+ */
+exports.savedJobs = onRequest({
+  timeoutSeconds: 30,
+  memory: '256MiB',
+  cors: true
+}, withRateLimit(async (request, response) => {
+  const db = admin.firestore()
+
+  try {
+    const { uid } = await authenticateUser(request)
+
+    if (request.method === 'GET') {
+      return response.json(await listSavedJobs(db, uid, { status: request.query.status }))
+    }
+
+    if (request.method === 'POST') {
+      const saved = await saveJob(db, uid, request.body)
+      if (!saved) {
+        return response.status(404).json({ error: 'Job not found' })
+      }
+      return response.status(saved.created ? 201 : 200).json(saved.entry)
+    }
+
+    if (request.method === 'PATCH' || request.method === 'DELETE') {
+      if (!request.query.id) {
+        return response.status(400).json({ error: 'Missing id' })
+      }
+      if (request.method === 'PATCH') {
+        const updated = await updateSavedJob(db, uid, request.query.id, request.body)
+        return updated
+          ? response.json(updated)
+          : response.status(404).json({ error: 'Saved job not found' })
+      }
+      const deleted = await deleteSavedJob(db, uid, request.query.id)
+      return deleted
+        ? response.status(204).send()
+        : response.status(404).json({ error: 'Saved job not found' })
+    }
+
+    return response.status(405).json({ error: 'Method not allowed' })
+  } catch (error) {
+    if (error instanceof AuthError) {
+      return response.status(error.status).json({ error: error.message })
+    }
+    if (error instanceof QueryError) {
+      return response.status(400).json({ error: error.message })
+    }
+    console.error('Error handling saved job request:', error)
+    return response.status(500).json({
+      error: 'Failed to handle saved job request',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    })
+  }
+}))
+
+/**
+ * Firebase function redirecting to a job's posting and counting the click
+ * Counters are aggregated per job and day, nothing about the visitor is stored.
+ * UTM parameters configured for the source (config/sources utm) are appended
+ */
+exports.apply = onRequest({
+  timeoutSeconds: 30,
+  memory: '256MiB',
+  cors: true
+}, withRateLimit(async (request, response) => {
+  if (!request.query.id) {
+    return response.status(400).json({ error: 'Missing id' })
+  }
+
+  try {
+    const db = admin.firestore()
+    const [job, overrides] = await Promise.all([readJobDocument(db, request.query.id), loadSourceConfig(db)])
+
+    const target = job ? applyUrl(job.url, (overrides[job.source] || {}).utm) : null
+    if (!target) {
+      return response.status(404).json({ error: 'Job not found' })
+    }
+
+    // Only real visits count, a failed counter must not block the redirect
+    if (request.method === 'GET' && !isBot(request.get('User-Agent'))) {
+      try {
+        await recordClick(db, job)
+      } catch (clickError) {
+        console.error('Error recording apply click:', clickError)
+      }
+    }
+
+    response.set('Cache-Control', 'no-store')
+    return response.redirect(302, target)
+  } catch (error) {
+    console.error('Error redirecting to job:', error)
+    return response.status(500).json({
+      error: 'Failed to redirect to job',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    })
+  }
+}))
+
+/**
+ * Firebase function listing the jobs with the most apply clicks this week
+ * Click counts are summarized by every cache update; supports limit and excerpt
+ */
+exports.getTrendingJobs = onRequest({
+  timeoutSeconds: 30,
+  memory: '256MiB',
+  cors: true
+}, withRateLimit(async (request, response) => {
+  const limit = request.query.limit !== undefined ? parseInt(request.query.limit, 10) : 10
+  if (Number.isNaN(limit) || limit < 1) {
+    return response.status(400).json({ error: 'Invalid limit' })
+  }
+
+  try {
+    const db = admin.firestore()
+    const [summary, cached] = await Promise.all([readClickSummary(db), readJobsFromCache(db)])
+    const toListJob = listJobMapper(request.query.excerpt)
+
+    const jobs = (cached ? cached.jobs : [])
+      .filter(job => !job.hidden && summary.trending[job.key] > 0)
+      .sort((first, second) => summary.trending[second.key] - summary.trending[first.key])
+      .slice(0, Math.min(limit, 50))
+      .map(job => ({ ...toListJob(job), clicks: summary.trending[job.key] }))
+
+    response.set('Cache-Control', 'public, max-age=900')
+    return response.json({
+      since: summary.trendingSince,
+      updatedAt: summary.updatedAt ? summary.updatedAt.toISOString() : null,
+      jobs
+    })
+  } catch (error) {
+    console.error('Error reading trending jobs:', error)
+    return response.status(500).json({
+      error: 'Failed to fetch trending jobs',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    })
+  }
+}))
+
+/**
+ * Firebase function returning a single job by its key or source ID
+ * The description is returned as plain text, sanitized HTML (descriptionHtml)
+ * and Markdown (descriptionMarkdown)
+ */
+exports.getRemoteJob = onRequest({
+  timeoutSeconds: 30,
+  memory: '256MiB',
+  cors: true
+}, withRateLimit(async (request, response) => {
+  if (!request.query.id) {
+    return response.status(400).json({ error: 'Missing id' })
+  }
+
+  try {
+    const db = admin.firestore()
+    const doc = await readJobDocument(db, request.query.id)
 
+    if (!doc) {
+      return response.status(404).json({ error: 'Job not found' })
+    }
+
+    const job = { ...doc }
+    delete job.contentHash
+    const html = job.descriptionHtml || ''
+
+    return response.json({
+      ...job,
+      firstSeenAt: job.firstSeenAt ? job.firstSeenAt.toDate().toISOString() : null,
+      lastSeenAt: job.lastSeenAt ? job.lastSeenAt.toDate().toISOString() : null,
+      expiredAt: job.expiredAt ? job.expiredAt.toDate().toISOString() : null,
+      description: job.description || '',
+      descriptionHtml: html,
+      descriptionMarkdown: descriptionToMarkdown(html)
+    })
+  } catch (error) {
+    console.error('Error reading job:', error)
+    return response.status(500).json({
+      error: 'Failed to fetch job',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    })
+  }
+}))
+
+/**
+ * Firebase function listing the companies with open positions
+ * Supports q (name search), sort (openings, name or recent), includeInactive,
+ * limit and cursor
+ */
+exports.getCompanies = onRequest({
+  timeoutSeconds: 30,
+  memory: '256MiB',
+  cors: true
+}, withRateLimit(async (request, response) => {
+  let options
+  try {
+    options = parseCompanyQuery(request.query)
+  } catch (error) {
+    if (error instanceof QueryError) {
+      return response.status(400).json({ error: error.message })
+    }
+    throw error
+  }
+
+  try {
+    const db = admin.firestore()
+    const result = await listCompanies(db, options)
+    response.set('Cache-Control', 'public, max-age=300')
+    return response.json(result)
+  } catch (error) {
+    console.error('Error listing companies:', error)
+    return response.status(500).json({
+      error: 'Failed to fetch companies',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    })
+  }
+}))
+
+/**
+ * Firebase function returning a company and its active jobs
+ * Jobs come from the cached snapshot, so the snapshot's ETag/Last-Modified apply
+ */
+exports.getCompanyJobs = onRequest({
+  timeoutSeconds: 30,
+  memory: '256MiB',
+  cors: true
+}, withRateLimit(async (request, response) => {
+  const slug = request.query.slug
+  if (!slug) {
+    return response.status(400).json({ error: 'Missing slug' })
+  }
+
+  try {
+    const db = admin.firestore()
+    const [company, metadata] = await Promise.all([readCompany(db, slug), readCacheMetadata(db)])
+
+    if (!company) {
+      return response.status(404).json({ error: 'Company not found' })
+    }
+
+    let jobs = []
+    if (metadata) {
+      const lastUpdated = toDate(metadata.modifiedAt || metadata.lastUpdated)
+      setSnapshotCacheHeaders(response, lastUpdated, CACHE_UPDATE_INTERVAL_SECONDS)
+      if (isNotModified(request, lastUpdated)) {
+        return response.status(304).send()
+      }
+
+      const cached = await readJobsFromCache(db, metadata)
+      // Snapshots written before companySlug existed only have the name
+      jobs = visibleJobs(cached.jobs, request.query.includeHidden === 'true')
+        .filter(job => (job.companySlug || companySlug(job.company)) === company.slug)
+    }
+
+    const toListJob = listJobMapper(request.query.excerpt)
+    return response.json({ company, total: jobs.length, jobs: jobs.map(toListJob) })
+  } catch (error) {
+    console.error('Error reading company jobs:', error)
+    return response.status(500).json({
+      error: 'Failed to fetch company jobs',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    })
+  }
+}))
+
+/**
+ * Firebase function reporting the health of the cache and of every source
+ * Success rates, last errors and last good fetches are derived from the
+ * cacheRuns history of recent scheduled updates
+ */
+exports.getStatus = onRequest({
+  timeoutSeconds: 30,
+  memory: '256MiB',
+  cors: true
+}, withRateLimit(async (request, response) => {
+  try {
+    const db = admin.firestore()
+    const [metadata, runs, resolvedSources] = await Promise.all([
+      readCacheMetadata(db),
+      loadRecentRuns(db),
+      loadSources(db)
+    ])
+
+    const now = new Date()
+    const lastUpdated = metadata ? metadata.lastUpdated.toDate() : null
+    const cacheAgeMinutes = lastUpdated ? Math.floor((now - lastUpdated) / 60000) : null
+    // Two missed updates in a row
+    const stale = !lastUpdated || now - lastUpdated > 2 * CACHE_UPDATE_INTERVAL_SECONDS * 1000
+
+    const sources = resolvedSources.map(source => {
+      const health = sourceHealth(runs, source.name)
+      const circuit = circuitState(health, now)
+      return {
+        name: source.name,
+        enabled: source.enabled,
+        attempts: health.attempts,
+        successRate: health.successRate,
+        consecutiveFailures: health.consecutiveFailures,
+        lastError: health.lastError,
+        lastErrorAt: health.lastErrorAt ? health.lastErrorAt.toISOString() : null,
+        lastSuccessAt: health.lastSuccessAt ? health.lastSuccessAt.toISOString() : null,
+        lastCount: health.lastCount,
+        circuit: {
+          open: circuit.open,
+          retryAt: circuit.retryAt ? circuit.retryAt.toISOString() : null
+        }
+      }
+    })
+
+    const lastRun = runs[0]
+    const degraded = sources.some(source => source.enabled && (source.circuit.open || source.consecutiveFailures > 0)) ||
+      Boolean(lastRun && !lastRun.success)
+
+    response.set('Cache-Control', 'public, max-age=60')
+    return response.json({
+      status: stale ? 'stale' : (degraded ? 'degraded' : 'ok'),
+      cache: {
+        lastUpdated: lastUpdated ? lastUpdated.toISOString() : null,
+        ageMinutes: cacheAgeMinutes,
+        jobCount: metadata ? metadata.jobCount : 0,
+        stale
+      },
+      lastRun: lastRun
+        ? {
+          startedAt: lastRun.startedAt.toDate().toISOString(),
+          durationMs: lastRun.durationMs,
+          success: lastRun.success,
+          error: lastRun.error,
+          jobCount: lastRun.jobCount,
+          changes: lastRun.changes,
+          transfer: lastRun.transfer || null
+        }
+        : null,
+      runsConsidered: runs.length,
+      sources
+    })
+  } catch (error) {
+    console.error('Error reading status:', error)
+    return response.status(500).json({
+      error: 'Failed to fetch status',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    })
+  }
+}))
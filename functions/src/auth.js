@@ -0,0 +1,100 @@
+/**
+ * Authorization of admin-only HTTP functions
+ *
+ * Requests carry `Authorization: Bearer <token>`, where the token is either the
+ * shared ADMIN_SECRET (set in functions/.env or the runtime environment) or a
+ * Firebase Auth ID token whose user has the custom claim { admin: true }.
+ * User-facing functions accept any valid Firebase Auth ID token.
+ */
+const crypto = require('crypto')
+const admin = require('firebase-admin')
+
+/**
+ * Error thrown for missing or insufficient credentials
+ * status is the HTTP status to answer with (401 or 403)
+ */
+class AuthError extends Error {
+  constructor(message, status = 401) {
+    super(message)
+    this.name = 'AuthError'
+    this.status = status
+  }
+}
+
+/**
+ * Extracts the bearer token of a request
+ * @param {Object} request - HTTP request
+ * @returns {string|null}
+ */
+function bearerToken(request) {
+  const match = (request.get('Authorization') || '').match(/^Bearer\s+(.+)$/i)
+  return match ? match[1].trim() : null
+}
+
+/**
+ * Compares a token with ADMIN_SECRET in constant time
+ * @param {string} token - Bearer token
+ * @returns {boolean} - False if no secret is configured
+ */
+function matchesAdminSecret(token) {
+  const secret = process.env.ADMIN_SECRET
+  if (!secret) return false
+  const digest = value => crypto.createHash('sha256').update(value).digest()
+  return crypto.timingSafeEqual(digest(token), digest(secret))
+}
+
+/**
+ * Verifies that a request comes from an admin
+ * @param {Object} request - HTTP request
+ * @returns {Promise<Object>} - { method: 'secret' | 'firebase', uid }
+ * @throws {AuthError} - 401 without valid credentials, 403 without the admin claim
+ */
+async function authorizeAdmin(request) {
+  const token = bearerToken(request)
+  if (!token) {
+    throw new AuthError('Missing bearer token')
+  }
+
+  if (matchesAdminSecret(token)) {
+    return { method: 'secret', uid: null }
+  }
+
+  let decoded
+  try {
+    decoded = await admin.auth().verifyIdToken(token)
+  } catch (error) {
+    throw new AuthError('Invalid credentials')
+  }
+
+  if (decoded.admin !== true) {
+    throw new AuthError('Admin claim required', 403)
+  }
+  return { method: 'firebase', uid: decoded.uid }
+}
+
+/**
+ * Verifies the Firebase Auth ID token of a signed-in user
+ * @param {Object} request - HTTP request
+ * @returns {Promise<Object>} - { uid }
+ * @throws {AuthError} - 401 without a valid ID token
+ */
+async function authenticateUser(request) {
+  const token = bearerToken(request)
+  if (!token) {
+    throw new AuthError('Missing bearer token')
+  }
+
+  try {
+    const decoded = await admin.auth().verifyIdToken(token)
+    return { uid: decoded.uid }
+  } catch (error) {
+    throw new AuthError('Invalid ID token')
+  }
+}
+
+module.exports = {
+  AuthError,
+  bearerToken,
+  authorizeAdmin,
+  authenticateUser
+}
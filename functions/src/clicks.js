@@ -0,0 +1,136 @@
+/**
+ * Apply click tracking
+ *
+ * The apply redirect counts clicks per job in jobClicks/{key}: a total and a
+ * per-day map, nothing about who clicked. Every cache update condenses the
+ * counters of the active jobs into clickStats/summary, which the popular sort
+ * and the trending list read instead of the whole collection.
+ */
+const {FieldValue} = require('firebase-admin/firestore')
+const {jobKey, toDate} = require('./store')
+
+const DAY_MS = 24 * 60 * 60 * 1000
+const TRENDING_DAYS = 7
+
+// Counters of jobs not clicked for this long belong to postings that have aged out
+const SUMMARY_LOOKBACK_DAYS = 90
+
+// Link previews and crawlers follow the redirect too, they are not applicants
+const botPattern = /bot|crawl|spider|slurp|preview|facebookexternalhit|headless|curl|wget/i
+
+/**
+ * Formats a date as its UTC day
+ * @param {Date} date - Any time of the day
+ * @returns {string} - YYYY-MM-DD
+ */
+function dayKey(date) {
+  return date.toISOString().slice(0, 10)
+}
+
+/**
+ * Checks whether a request comes from a crawler or link preview
+ * @param {string} userAgent - User-Agent header
+ * @returns {boolean}
+ */
+function isBot(userAgent) {
+  return !userAgent || botPattern.test(userAgent)
+}
+
+/**
+ * Builds the URL the apply redirect sends to
+ * UTM parameters configured for the source are appended unless the URL already has them
+ * @param {string} url - Posting URL
+ * @param {Object} [utm] - Query parameters, e.g. { utm_source: 'remotejobs' }
+ * @returns {string|null} - Redirect target, or null if the URL is not http(s)
+ */
+function applyUrl(url, utm = {}) {
+  let target
+  try {
+    target = new URL(String(url))
+  } catch (error) {
+    return null
+  }
+  if (!['http:', 'https:'].includes(target.protocol)) return null
+
+  Object.keys(utm || {}).forEach(name => {
+    if (/^utm_[a-z]+$/.test(name) && !target.searchParams.has(name)) {
+      target.searchParams.set(name, String(utm[name]))
+    }
+  })
+  return target.toString()
+}
+
+/**
+ * Counts a click on a job's apply link
+ * @param {Object} db - Firestore instance
+ * @param {Object} job - Job document data
+ * @param {Date} [now] - Click time
+ */
+async function recordClick(db, job, now = new Date()) {
+  const key = job.key || jobKey(job)
+  await db.collection('jobClicks').doc(key).set({
+    key,
+    source: job.source,
+    total: FieldValue.increment(1),
+    days: { [dayKey(now)]: FieldValue.increment(1) },
+    lastClickAt: now
+  }, { merge: true })
+}
+
+/**
+ * Condenses the click counters of the active jobs into clickStats/summary
+ * popular holds all-time clicks, trending the clicks of the last seven days
+ * @param {Object} db - Firestore instance
+ * @param {Array} jobs - Active jobs of the new snapshot
+ * @param {Date} [now] - Time of the run
+ * @returns {Promise<Object>} - Number of active jobs with clicks
+ */
+async function buildClickSummary(db, jobs, now = new Date()) {
+  const activeKeys = new Set(jobs.map(job => job.key || jobKey(job)))
+  const counters = await db.collection('jobClicks')
+    .where('lastClickAt', '>=', new Date(now.getTime() - SUMMARY_LOOKBACK_DAYS * DAY_MS))
+    .get()
+
+  const trendingDays = Array.from({ length: TRENDING_DAYS }, (_, index) => dayKey(new Date(now.getTime() - index * DAY_MS)))
+  const popular = {}
+  const trending = {}
+  counters.forEach(doc => {
+    if (!activeKeys.has(doc.id)) return
+    const days = doc.get('days') || {}
+    popular[doc.id] = doc.get('total') || 0
+    const recent = trendingDays.reduce((sum, day) => sum + (days[day] || 0), 0)
+    if (recent > 0) trending[doc.id] = recent
+  })
+
+  await db.collection('clickStats').doc('summary').set({
+    updatedAt: now,
+    trendingSince: trendingDays[trendingDays.length - 1],
+    popular,
+    trending
+  })
+  return { jobs: Object.keys(popular).length }
+}
+
+/**
+ * Reads the click summary
+ * @param {Object} db - Firestore instance
+ * @returns {Promise<Object>} - { updatedAt, trendingSince, popular, trending }, empty before the first update
+ */
+async function readClickSummary(db) {
+  const doc = await db.collection('clickStats').doc('summary').get()
+  const data = doc.exists ? doc.data() : {}
+  return {
+    updatedAt: data.updatedAt ? toDate(data.updatedAt) : null,
+    trendingSince: data.trendingSince || null,
+    popular: data.popular || {},
+    trending: data.trending || {}
+  }
+}
+
+module.exports = {
+  isBot,
+  applyUrl,
+  recordClick,
+  buildClickSummary,
+  readClickSummary
+}
@@ -0,0 +1,248 @@
+/**
+ * Company directory maintained by the cache update
+ *
+ * Every company with listings gets a companies/{slug} document holding its
+ * display name, the best known logo, the sources it appears on, the number of
+ * active jobs and its first/last posting dates. Companies whose jobs all
+ * expired keep their document with activeJobs set to 0.
+ */
+const {normalizeCompanyName, companySlug} = require('./text')
+const {sha1, toDate, commitInBatches} = require('./store')
+const {QueryError, encodeCursor, decodeCursor} = require('./query')
+
+const DEFAULT_LIMIT = 50
+const MAX_LIMIT = 200
+const SORTS = ['openings', 'name', 'recent']
+
+/**
+ * Picks the value that occurs most often, the first one seen wins ties
+ * @param {Array} values - Candidate values
+ * @returns {*} - Most frequent value, or null for an empty list
+ */
+function mostFrequent(values) {
+  const counts = new Map()
+  values.forEach(value => counts.set(value, (counts.get(value) || 0) + 1))
+  let best = null
+  counts.forEach((count, value) => {
+    if (best === null || count > counts.get(best)) best = value
+  })
+  return best
+}
+
+/**
+ * Groups the active jobs by company
+ * Logos shared by several companies are board placeholders and are only used
+ * when a company has nothing better
+ * @param {Array} jobs - Active jobs, sorted newest first
+ * @returns {Map} - Company summaries keyed by slug
+ */
+function groupCompanies(jobs) {
+  const logoCompanies = new Map()
+  const groups = new Map()
+
+  jobs.forEach(job => {
+    const slug = companySlug(job.company)
+    if (!slug) return
+
+    if (!groups.has(slug)) {
+      groups.set(slug, { names: [], logos: [], sources: new Set(), dates: [] })
+    }
+    const group = groups.get(slug)
+    group.names.push(String(job.company).trim())
+    group.sources.add(job.source)
+    ;(job.alsoListedOn || []).forEach(listing => group.sources.add(listing.source))
+
+    const logo = job.image && job.image.uri
+    if (logo) {
+      group.logos.push(logo)
+      if (!logoCompanies.has(logo)) logoCompanies.set(logo, new Set())
+      logoCompanies.get(logo).add(slug)
+    }
+
+    const posted = Date.parse(job.date)
+    if (!Number.isNaN(posted)) group.dates.push(posted)
+  })
+
+  const companies = new Map()
+  groups.forEach((group, slug) => {
+    const ownLogos = group.logos.filter(logo => logoCompanies.get(logo).size === 1)
+    companies.set(slug, {
+      slug,
+      name: mostFrequent(group.names),
+      normalizedName: normalizeCompanyName(group.names[0]),
+      aliases: [...new Set(group.names)].sort(),
+      logos: ownLogos,
+      placeholderLogo: mostFrequent(group.logos),
+      sources: [...group.sources].sort(),
+      activeJobs: group.names.length,
+      firstPostedAt: group.dates.length > 0 ? new Date(Math.min(...group.dates)) : null,
+      lastPostedAt: group.dates.length > 0 ? new Date(Math.max(...group.dates)) : null
+    })
+  })
+  return companies
+}
+
+/**
+ * Brings the companies collection in line with the active jobs
+ * Posting dates only widen and a known logo is kept until a better one shows
+ * up, so they survive the jobs they came from. Only changed documents are written
+ * @param {Object} db - Firestore instance
+ * @param {Array} jobs - Active jobs of the new snapshot
+ * @param {Date} runAt - Time of the current run
+ * @returns {Promise<Object>} - Number of companies written and of active companies
+ */
+async function syncCompanies(db, jobs, runAt = new Date()) {
+  const collection = db.collection('companies')
+  const existingDocs = await collection.get()
+  const existing = new Map()
+  existingDocs.forEach(doc => existing.set(doc.id, doc.data()))
+
+  const companies = groupCompanies(jobs)
+  const operations = []
+
+  companies.forEach((company, slug) => {
+    const previous = existing.get(slug)
+    const { placeholderLogo, logos, ...data } = company
+    // A logo chosen before stays while the company still uses it
+    const previousLogo = previous && previous.logo
+    data.logo = (logos.includes(previousLogo) ? previousLogo : mostFrequent(logos)) || previousLogo || placeholderLogo || null
+
+    if (previous) {
+      const previousFirst = toDate(previous.firstPostedAt)
+      const previousLast = toDate(previous.lastPostedAt)
+      if (previousFirst && (!data.firstPostedAt || previousFirst < data.firstPostedAt)) data.firstPostedAt = previousFirst
+      if (previousLast && (!data.lastPostedAt || previousLast > data.lastPostedAt)) data.lastPostedAt = previousLast
+    }
+
+    const contentHash = sha1(data)
+    if (previous && previous.contentHash === contentHash) return
+    operations.push(batch => batch.set(collection.doc(slug), { ...data, contentHash, updatedAt: runAt }))
+  })
+
+  existing.forEach((data, slug) => {
+    if (companies.has(slug) || data.activeJobs === 0) return
+    const inactive = { ...data, activeJobs: 0 }
+    delete inactive.contentHash
+    delete inactive.updatedAt
+    operations.push(batch => batch.update(collection.doc(slug), {
+      activeJobs: 0,
+      contentHash: sha1(inactive),
+      updatedAt: runAt
+    }))
+  })
+
+  await commitInBatches(db, operations)
+  console.log(`Companies: ${companies.size} active, ${operations.length} documents written`)
+  return { written: operations.length, active: companies.size }
+}
+
+/**
+ * Parses and validates the getCompanies query parameters
+ * @param {Object} query - Express request query object
+ * @returns {Object} - { q, sort, includeInactive, limit, offset }
+ */
+function parseCompanyQuery(query) {
+  const options = {
+    q: query.q ? normalizeCompanyName(query.q) : '',
+    sort: query.sort ? String(query.sort) : 'openings',
+    includeInactive: query.includeInactive === 'true',
+    limit: DEFAULT_LIMIT,
+    offset: 0
+  }
+
+  if (!SORTS.includes(options.sort)) {
+    throw new QueryError(`Invalid sort, expected one of ${SORTS.join(', ')}`)
+  }
+
+  if (query.limit !== undefined) {
+    const limit = parseInt(query.limit, 10)
+    if (Number.isNaN(limit) || limit < 1) {
+      throw new QueryError('Invalid limit')
+    }
+    options.limit = Math.min(limit, MAX_LIMIT)
+  }
+
+  if (query.cursor !== undefined) {
+    options.offset = decodeCursor(query.cursor)
+  }
+
+  return options
+}
+
+/**
+ * Converts a company document to its API representation
+ * @param {Object} data - Company document data
+ * @returns {Object}
+ */
+function toPublicCompany(data) {
+  const iso = value => (value ? toDate(value).toISOString() : null)
+  return {
+    slug: data.slug,
+    name: data.name,
+    logo: data.logo || null,
+    sources: data.sources || [],
+    activeJobs: data.activeJobs || 0,
+    firstPostedAt: iso(data.firstPostedAt),
+    lastPostedAt: iso(data.lastPostedAt),
+    updatedAt: iso(data.updatedAt)
+  }
+}
+
+/**
+ * Searches, sorts and paginates the companies collection
+ * The collection holds one small document per company, so it is filtered in memory
+ * @param {Object} db - Firestore instance
+ * @param {Object} options - Options returned by parseCompanyQuery
+ * @returns {Promise<Object>} - Envelope with companies, total and nextCursor
+ */
+async function listCompanies(db, options) {
+  let query = db.collection('companies')
+  if (!options.includeInactive) {
+    query = query.where('activeJobs', '>', 0)
+  }
+  const snapshot = await query
+    .select('slug', 'name', 'normalizedName', 'aliases', 'logo', 'sources', 'activeJobs', 'firstPostedAt', 'lastPostedAt', 'updatedAt')
+    .get()
+
+  let companies = snapshot.docs.map(doc => doc.data())
+  if (options.q) {
+    companies = companies.filter(company => [company.normalizedName, ...(company.aliases || []).map(normalizeCompanyName)]
+      .some(name => String(name || '').includes(options.q)))
+  }
+
+  const byName = (a, b) => String(a.name).localeCompare(String(b.name), 'en', { sensitivity: 'base' })
+  const comparators = {
+    openings: (a, b) => (b.activeJobs || 0) - (a.activeJobs || 0) || byName(a, b),
+    name: byName,
+    recent: (a, b) => (toDate(b.lastPostedAt) || 0) - (toDate(a.lastPostedAt) || 0) || byName(a, b)
+  }
+  companies.sort(comparators[options.sort])
+
+  const page = companies.slice(options.offset, options.offset + options.limit)
+  const nextOffset = options.offset + page.length
+  return {
+    companies: page.map(toPublicCompany),
+    total: companies.length,
+    nextCursor: nextOffset < companies.length ? encodeCursor(nextOffset) : null
+  }
+}
+
+/**
+ * Reads a single company document
+ * @param {Object} db - Firestore instance
+ * @param {string} slug - Company slug
+ * @returns {Promise<Object|null>} - Public company, or null if unknown
+ */
+async function readCompany(db, slug) {
+  // Slugs only contain these characters, anything else cannot be a document ID
+  if (!/^[a-z0-9-]{1,100}$/.test(String(slug))) return null
+  const doc = await db.collection('companies').doc(String(slug)).get()
+  return doc.exists ? toPublicCompany(doc.data()) : null
+}
+
+module.exports = {
+  syncCompanies,
+  parseCompanyQuery,
+  listCompanies,
+  readCompany
+}
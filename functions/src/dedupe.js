@@ -0,0 +1,111 @@
+/**
+ * Cross-source duplicate detection
+ *
+ * The same posting often appears on several boards under different IDs. Two
+ * jobs are considered the same posting when their normalized titles match,
+ * they share either the normalized company name or the apply URL host, and
+ * they were posted within DUPLICATE_WINDOW_MS of each other.
+ */
+const {normalizeCompanyName, normalizePositionTitle} = require('./text')
+
+const DUPLICATE_WINDOW_MS = 14 * 24 * 60 * 60 * 1000
+
+// Hosts of the boards themselves and of shared ATS job pages, which say nothing about the employer
+const boardHosts = [
+  'remoteok.io', 'remoteok.com', 'weworkremotely.com', 'remotive.com', 'remotive.io', 'web3.career',
+  'workingnomads.com', 'jobicy.com', 'himalayas.app',
+  'boards.greenhouse.io', 'job-boards.greenhouse.io', 'jobs.lever.co', 'jobs.ashbyhq.com'
+]
+
+/**
+ * Extracts the host of an apply URL, ignoring job board hosts
+ * @param {string} url - Job URL
+ * @returns {string|null} - Lowercased host without www, or null
+ */
+function applyHost(url) {
+  try {
+    const host = new URL(url).hostname.toLowerCase().replace(/^www\./, '')
+    return boardHosts.includes(host) ? null : host
+  } catch (error) {
+    return null
+  }
+}
+
+/**
+ * Builds the lookup keys under which a job can collide with another one
+ * @param {Object} job - Normalized job
+ * @returns {Array} - Duplicate keys
+ */
+function duplicateKeys(job) {
+  const title = normalizePositionTitle(job.position)
+  if (!title) return []
+
+  const keys = []
+  const company = normalizeCompanyName(job.company)
+  const host = applyHost(job.url)
+  if (company) keys.push(`c:${company}|${title}`)
+  if (host) keys.push(`h:${host}|${title}`)
+  return keys
+}
+
+/**
+ * Checks whether two posting dates are close enough to be the same posting
+ * Unparseable dates never block a match
+ * @param {number} first - Date in milliseconds
+ * @param {number} second - Date in milliseconds
+ * @returns {boolean}
+ */
+function datesAreClose(first, second) {
+  if (Number.isNaN(first) || Number.isNaN(second)) return true
+  return Math.abs(first - second) <= DUPLICATE_WINDOW_MS
+}
+
+/**
+ * Removes duplicate job listings in a single pass
+ * Exact ID matches are dropped; cross-source matches are merged into the
+ * first job seen (the newest, as the list is sorted by date), which keeps the
+ * other listings in alsoListedOn
+ * @param {Array} jobs - Array of job objects, sorted newest first
+ * @returns {Array} - Array with duplicates removed
+ */
+function removeDuplicates(jobs) {
+  const seenIds = new Set()
+  const canonicalByKey = new Map()
+  const result = []
+
+  jobs.forEach(job => {
+    if (seenIds.has(job.id)) return
+    seenIds.add(job.id)
+
+    const posted = Date.parse(job.date)
+    const keys = duplicateKeys(job)
+    let canonical = null
+
+    for (const key of keys) {
+      const candidates = canonicalByKey.get(key) || []
+      canonical = candidates.find(entry =>
+        entry.job.source !== job.source && datesAreClose(entry.posted, posted)
+      )
+      if (canonical) break
+    }
+
+    if (canonical) {
+      const listing = { source: job.source, url: job.url, id: job.id }
+      canonical.job.alsoListedOn = (canonical.job.alsoListedOn || []).concat(listing)
+      return
+    }
+
+    const entry = { job: { ...job }, posted }
+    keys.forEach(key => {
+      canonicalByKey.set(key, (canonicalByKey.get(key) || []).concat(entry))
+    })
+    result.push(entry.job)
+  })
+
+  return result
+}
+
+module.exports = {
+  applyHost,
+  removeDuplicates
+}
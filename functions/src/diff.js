@@ -0,0 +1,117 @@
+/**
+ * Diffs two job lists for dry-run refreshes
+ *
+ * Jobs are matched by their stable key. Lifecycle fields that only exist once
+ * a job has been stored (key, firstSeenAt) and document-only fields are ignored,
+ * so a cached snapshot job and a freshly normalized job compare equal when
+ * their content is the same.
+ */
+const {jobKey, toSnapshotJob} = require('./store')
+
+const IGNORED_FIELDS = ['key', 'firstSeenAt']
+
+/**
+ * Serializes a value with sorted object keys, Firestore does not keep key order
+ * @param {*} value - JSON serializable value
+ * @returns {string}
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`
+  }
+  if (value && typeof value === 'object') {
+    const keys = Object.keys(value).filter(key => value[key] !== undefined).sort()
+    return `{${keys.map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`
+  }
+  return JSON.stringify(value === undefined ? null : value)
+}
+
+/**
+ * Lists the fields whose values differ between two versions of a job
+ * @param {Object} before - Cached job
+ * @param {Object} after - Fresh job
+ * @returns {Array} - Field names, sorted
+ */
+function changedFields(before, after) {
+  const previous = toSnapshotJob(before)
+  const current = toSnapshotJob(after)
+  const fields = new Set([...Object.keys(previous), ...Object.keys(current)])
+  return [...fields]
+    .filter(field => !IGNORED_FIELDS.includes(field))
+    .filter(field => stableStringify(previous[field]) !== stableStringify(current[field]))
+    .sort()
+}
+
+/**
+ * Identifies a job in a diff
+ * @param {Object} job - Job
+ * @returns {Object}
+ */
+function summarizeJob(job) {
+  return {
+    key: job.key || jobKey(job),
+    id: job.id,
+    source: job.source,
+    company: job.company,
+    position: job.position
+  }
+}
+
+/**
+ * Counts jobs per source
+ * @param {Array} jobs - Jobs
+ * @returns {Object} - Counts keyed by source name
+ */
+function countBySource(jobs) {
+  return jobs.reduce((counts, job) => {
+    counts[job.source] = (counts[job.source] || 0) + 1
+    return counts
+  }, {})
+}
+
+/**
+ * Diffs the cached job list against the list a refresh would write
+ * @param {Array} before - Jobs currently in the cache snapshot
+ * @param {Array} after - Jobs the refresh would write
+ * @returns {Object} - { added, removed, changed, unchanged, sources }
+ */
+function diffJobs(before, after) {
+  const previous = new Map(before.map(job => [job.key || jobKey(job), job]))
+  const current = new Map(after.map(job => [jobKey(job), job]))
+
+  const added = []
+  const changed = []
+  let unchanged = 0
+
+  current.forEach((job, key) => {
+    const previousJob = previous.get(key)
+    if (!previousJob) {
+      added.push(summarizeJob(job))
+      return
+    }
+    const fields = changedFields(previousJob, job)
+    if (fields.length > 0) {
+      changed.push({ ...summarizeJob(job), fields })
+    } else {
+      unchanged++
+    }
+  })
+
+  const removed = []
+  previous.forEach((job, key) => {
+    if (!current.has(key)) removed.push(summarizeJob(job))
+  })
+
+  const beforeCounts = countBySource(before)
+  const afterCounts = countBySource(after)
+  const sources = {}
+  new Set([...Object.keys(beforeCounts), ...Object.keys(afterCounts)]).forEach(source => {
+    sources[source] = { before: beforeCounts[source] || 0, after: afterCounts[source] || 0 }
+  })
+
+  return { added, removed, changed, unchanged, sources }
+}
+
+module.exports = {
+  diffJobs
+}
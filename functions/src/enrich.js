@@ -0,0 +1,221 @@
+/**
+ * Structured field extraction run on every normalized job
+ *
+ * Fills in salary, locationRestrictions, employmentType and seniority. Values
+ * set by the source adapters (e.g. RemoteOK's salary_min/salary_max) win;
+ * the title and description are only parsed as a fallback. companySlug links
+ * the job to its entry in the companies collection.
+ */
+const {companySlug} = require('./text')
+
+const currencySymbols = { '$': 'USD', '€': 'EUR', '£': 'GBP' }
+const currencyCodes = ['USD', 'EUR', 'GBP', 'CAD', 'AUD', 'CHF']
+
+// Full-time hours, days, weeks and months per year, to annualize salaries for comparison
+const periodMultipliers = { hour: 2080, day: 260, week: 52, month: 12, year: 1 }
+
+// Plausible annualized salary range, used to reject random numbers
+const MIN_ANNUAL_SALARY = 5000
+const MAX_ANNUAL_SALARY = 1000000
+
+const salaryPattern = new RegExp(
+  '(?:\\b(' + currencyCodes.join('|') + ')\\s?)?([$€£])?\\s?(\\d{1,3}(?:[,.]\\d{3})+|\\d+(?:\\.\\d+)?)\\s?(k\\b)?' +
+  '(?:\\s*(?:-|–|—|to)\\s*(?:[$€£])?\\s?(\\d{1,3}(?:[,.]\\d{3})+|\\d+(?:\\.\\d+)?)\\s?(k\\b)?)?' +
+  // Amounts in millions or billions are funding, not salaries
+  '(?!\\s?(?:m|mm|mn|million|b|bn|billion)\\b)' +
+  '(?:\\s*(' + currencyCodes.join('|') + ')\\b)?' +
+  '(?:\\s*(?:per|/|an?|each)\\s*(hour|hr|h|month|mo|year|yr|annum)\\b)?',
+  'gi'
+)
+
+const locationRules = [
+  ['worldwide', /\b(worldwide|anywhere in the world|work from anywhere|globally|global remote|fully remote anywhere)\b/i],
+  ['us-only', /\b(us[- ]only|usa[- ]only|u\.s\.[- ]only|united states only|us[- ]based only|must (?:be|reside) (?:located |based )?in the (?:us|u\.s\.|usa|united states))\b/i],
+  ['us-timezones', /\b(us time ?zones?|(?:est|pst|cst|mst|et|pt) time ?zones?|north american time ?zones?)\b/i],
+  ['canada', /\b(canada only|canada)\b/i],
+  ['americas', /\b(americas|north america)\b/i],
+  ['latam', /\b(latam|latin america|south america)\b/i],
+  ['europe', /\b(europe only|europe|european union)\b/i],
+  ['uk', /\b(uk only|united kingdom)\b/i],
+  ['eu-timezones', /\b((?:eu|european|cet|cest|gmt|utc) ?(?:[+-] ?\d{1,2} ?)?time ?zones?|cet|cest)\b/i],
+  ['emea', /\bemea\b/i],
+  ['apac', /\b(apac|asia[- ]pacific)\b/i]
+]
+
+// Short location values from source fields that mean a single country
+const countryLocations = {
+  'us': 'us-only',
+  'usa': 'us-only',
+  'united states': 'us-only',
+  'canada': 'canada',
+  'uk': 'uk',
+  'united kingdom': 'uk',
+  'anywhere': 'worldwide',
+  'worldwide': 'worldwide'
+}
+
+const employmentTypeRules = [
+  ['internship', /\b(intern|internship)\b/i],
+  ['part-time', /\bpart[- ]?time\b/i],
+  ['contract', /\b(contract|contractor|freelance|freelancer)\b/i],
+  ['full-time', /\b(full[- ]?time|permanent)\b/i]
+]
+
+// Checked in order, the first match wins
+const seniorityRules = [
+  ['executive', /\b(chief|cto|ceo|cfo|coo|vp|vice president|director|head of)\b/i],
+  ['principal', /\b(principal|staff|distinguished)\b/i],
+  ['lead', /\b(lead|manager|architect)\b/i],
+  ['senior', /\b(senior|sr)\b/i],
+  ['intern', /\b(intern|internship)\b/i],
+  ['junior', /\b(junior|jr|entry[- ]level|graduate)\b/i],
+  ['mid', /\b(mid[- ]level|intermediate|mid)\b/i]
+]
+
+/**
+ * Parses a salary amount such as "120,000", "120k" or "45.50"
+ * @param {string} amount - Number as written
+ * @param {string} thousands - "k" suffix if present
+ * @returns {number}
+ */
+function parseAmount(amount, thousands) {
+  const value = /^\d{1,3}([,.]\d{3})+$/.test(amount)
+    ? Number(amount.replace(/[,.]/g, ''))
+    : Number(amount)
+  return thousands ? value * 1000 : value
+}
+
+/**
+ * Maps the period written after a salary to hour, month or year
+ * @param {string} period - Period as written, may be empty
+ * @returns {string} - Defaults to year, as most postings state annual salaries
+ */
+function parsePeriod(period) {
+  if (/^(hour|hr|h)$/i.test(period || '')) return 'hour'
+  if (/^(month|mo)$/i.test(period || '')) return 'month'
+  return 'year'
+}
+
+/**
+ * Annualizes a salary so ranges with different periods can be compared
+ * @param {Object} salary - Structured salary
+ * @returns {number|null} - Yearly amount of the upper bound (or lower if no upper)
+ */
+function annualSalary(salary) {
+  if (!salary) return null
+  const amount = salary.max || salary.min
+  return amount ? amount * (periodMultipliers[salary.period] || 1) : null
+}
+
+/**
+ * Extracts a salary range from free text
+ * @param {string} text - Description or title
+ * @returns {Object|null} - { min, max, currency, period } or null
+ */
+function parseSalary(text) {
+  for (const match of String(text || '').matchAll(salaryPattern)) {
+    const [, codeBefore, symbol, minAmount, minK, maxAmount, maxK, codeAfter, period] = match
+    const currency = codeBefore || codeAfter || currencySymbols[symbol]
+
+    // Plain numbers without a currency are years, counts and the like
+    if (!currency) continue
+
+    // "$120-150k" applies the k to both bounds
+    const min = parseAmount(minAmount, minK || maxK)
+    const max = maxAmount ? parseAmount(maxAmount, maxK) : null
+    const salary = {
+      min,
+      max: max && max >= min ? max : null,
+      currency: currency.toUpperCase(),
+      period: parsePeriod(period)
+    }
+
+    const annual = annualSalary(salary)
+    if (annual && annual >= MIN_ANNUAL_SALARY && annual <= MAX_ANNUAL_SALARY) {
+      return salary
+    }
+  }
+  return null
+}
+
+/**
+ * Collects location restrictions from a location value or free text
+ * @param {string} location - Location from the source, if any
+ * @param {string} text - Description used as fallback
+ * @returns {Array} - Restriction identifiers, e.g. ['us-only']
+ */
+function parseLocationRestrictions(location, text) {
+  const normalizedLocation = String(location || '').trim().toLowerCase()
+  if (countryLocations[normalizedLocation]) {
+    return [countryLocations[normalizedLocation]]
+  }
+
+  const matchRules = value => locationRules
+    .filter(([, pattern]) => pattern.test(value))
+    .map(([restriction]) => restriction)
+
+  const fromLocation = normalizedLocation ? matchRules(normalizedLocation) : []
+  if (fromLocation.length > 0) return fromLocation
+  return matchRules(String(text || ''))
+}
+
+/**
+ * Maps an employment type value or free text onto a canonical type
+ * Within one text the earliest mention wins, descriptions often mention several
+ * @param {...string} values - Candidate texts, most authoritative first
+ * @returns {string|null} - full-time, part-time, contract, internship or null
+ */
+function parseEmploymentType(...values) {
+  for (const value of values) {
+    if (!value) continue
+    let earliest = null
+    employmentTypeRules.forEach(([type, pattern]) => {
+      const match = pattern.exec(value)
+      if (match && (!earliest || match.index < earliest.index)) {
+        earliest = { type, index: match.index }
+      }
+    })
+    if (earliest) return earliest.type
+  }
+  return null
+}
+
+/**
+ * Derives the seniority level from a position title
+ * @param {string} position - Position title
+ * @returns {string|null}
+ */
+function parseSeniority(position) {
+  const rule = seniorityRules.find(([, pattern]) => pattern.test(String(position || '')))
+  return rule ? rule[0] : null
+}
+
+/**
+ * Adds the structured fields to a normalized job
+ * @param {Object} job - Normalized job
+ * @returns {Object} - Job with salary, locationRestrictions, employmentType, seniority and companySlug
+ */
+function enrichJob(job) {
+  const description = String(job.description || '')
+  const restrictions = Array.isArray(job.locationRestrictions) && job.locationRestrictions.length > 0
+    ? job.locationRestrictions
+    : parseLocationRestrictions(job.location, description)
+
+  return {
+    ...job,
+    salary: job.salary || parseSalary(`${job.position || ''} ${description}`),
+    locationRestrictions: restrictions,
+    employmentType: parseEmploymentType(job.employmentType, job.position, description),
+    seniority: job.seniority || parseSeniority(job.position),
+    companySlug: companySlug(job.company)
+  }
+}
+
+module.exports = {
+  enrichJob,
+  annualSalary,
+  parseSalary,
+  parseLocationRestrictions,
+  parseEmploymentType,
+  parseSeniority
+}
@@ -0,0 +1,221 @@
+/**
+ * RSS 2.0, Atom 1.0 and JSON Feed 1.1 rendering of the aggregated jobs
+ */
+const {registry} = require('./sources')
+
+const FEED_TITLE = 'Remote Jobs'
+const FEED_DESCRIPTION = 'Remote job listings aggregated from multiple job boards'
+
+const FORMATS = {
+  rss: 'application/rss+xml; charset=utf-8',
+  atom: 'application/atom+xml; charset=utf-8',
+  json: 'application/feed+json; charset=utf-8'
+}
+
+const imageTypes = {
+  png: 'image/png',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  gif: 'image/gif',
+  svg: 'image/svg+xml',
+  webp: 'image/webp'
+}
+
+/**
+ * Escapes text for use in XML content and attribute values
+ * Also drops control characters that are not allowed in XML 1.0
+ * @param {*} value - Value to escape
+ * @returns {string}
+ */
+function escapeXml(value) {
+  return String(value === undefined || value === null ? '' : value)
+    // eslint-disable-next-line no-control-regex
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;')
+}
+
+/**
+ * Guesses the MIME type of an image from its URL
+ * @param {string} url - Image URL
+ * @returns {string}
+ */
+function imageType(url) {
+  const match = String(url || '').toLowerCase().match(/\.(png|jpe?g|gif|svg|webp)(?:[?#]|$)/)
+  return match ? imageTypes[match[1]] : 'image/png'
+}
+
+/**
+ * Returns the board homepage of a source, used for attribution
+ * Homepages recorded by the last update cover company boards and sources
+ * defined in Firestore; snapshots written before then fall back to the registry
+ * @param {Object} job - Job object
+ * @param {Object} [homepages] - Homepage by source name
+ * @returns {string} - Homepage URL, or the origin of the job URL
+ */
+function sourceHomepage(job, homepages = {}) {
+  if (homepages[job.source]) return homepages[job.source]
+  const adapter = registry.find(source => source.name === job.source)
+  if (adapter && adapter.homepage) return adapter.homepage
+  try {
+    return new URL(job.url).origin
+  } catch (error) {
+    return ''
+  }
+}
+
+/**
+ * Converts a job date to ISO 8601, falling back to the given time
+ * @param {string} date - Job date
+ * @param {Date} fallback - Used when the date cannot be parsed
+ * @returns {string}
+ */
+function isoDate(date, fallback) {
+  const parsed = Date.parse(date)
+  return Number.isNaN(parsed) ? fallback.toISOString() : new Date(parsed).toISOString()
+}
+
+/**
+ * Builds the item title shown by feed readers
+ * @param {Object} job - Job object
+ * @returns {string}
+ */
+function itemTitle(job) {
+  return job.company ? `${job.position} at ${job.company}` : String(job.position || '')
+}
+
+/**
+ * Renders jobs as an RSS 2.0 document
+ * @param {Array} jobs - Jobs to include
+ * @param {Object} feed - Feed URLs, update time and source homepages
+ * @returns {string}
+ */
+function renderRss(jobs, { selfUrl, updated, homepages }) {
+  const items = jobs.map(job => {
+    const image = job.image && job.image.uri
+    const categories = (job.categories || []).concat(job.skills || [])
+    return [
+      '<item>',
+      `<title>${escapeXml(itemTitle(job))}</title>`,
+      `<link>${escapeXml(job.url)}</link>`,
+      `<guid isPermaLink="false">${escapeXml(`${job.source}:${job.id}`)}</guid>`,
+      `<pubDate>${escapeXml(new Date(isoDate(job.date, updated)).toUTCString())}</pubDate>`,
+      `<description>${escapeXml(job.description)}</description>`,
+      `<source url="${escapeXml(sourceHomepage(job, homepages))}">${escapeXml(job.source)}</source>`,
+      ...categories.map(category => `<category>${escapeXml(category)}</category>`),
+      image ? `<enclosure url="${escapeXml(image)}" type="${imageType(image)}" length="0"/>` : '',
+      '</item>'
+    ].filter(Boolean).join('')
+  })
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">',
+    '<channel>',
+    `<title>${FEED_TITLE}</title>`,
+    `<link>${escapeXml(selfUrl)}</link>`,
+    `<atom:link href="${escapeXml(selfUrl)}" rel="self" type="application/rss+xml"/>`,
+    `<description>${FEED_DESCRIPTION}</description>`,
+    `<lastBuildDate>${updated.toUTCString()}</lastBuildDate>`,
+    ...items,
+    '</channel>',
+    '</rss>'
+  ].join('\n')
+}
+
+/**
+ * Renders jobs as an Atom 1.0 document
+ * @param {Array} jobs - Jobs to include
+ * @param {Object} feed - Feed URLs, update time and source homepages
+ * @returns {string}
+ */
+function renderAtom(jobs, { selfUrl, updated, homepages }) {
+  const entries = jobs.map(job => {
+    const image = job.image && job.image.uri
+    const categories = (job.categories || []).concat(job.skills || [])
+    return [
+      '<entry>',
+      `<title>${escapeXml(itemTitle(job))}</title>`,
+      `<id>urn:remote-jobs:${escapeXml(encodeURIComponent(`${job.source}:${job.id}`))}</id>`,
+      `<link rel="alternate" href="${escapeXml(job.url)}"/>`,
+      image ? `<link rel="enclosure" href="${escapeXml(image)}" type="${imageType(image)}"/>` : '',
+      `<updated>${isoDate(job.date, updated)}</updated>`,
+      `<author><name>${escapeXml(job.company || job.source)}</name></author>`,
+      `<summary type="text">${escapeXml(job.description)}</summary>`,
+      ...categories.map(category => `<category term="${escapeXml(category)}"/>`),
+      `<source><id>${escapeXml(sourceHomepage(job, homepages))}</id><title>${escapeXml(job.source)}</title><link href="${escapeXml(sourceHomepage(job, homepages))}"/></source>`,
+      '</entry>'
+    ].filter(Boolean).join('')
+  })
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<feed xmlns="http://www.w3.org/2005/Atom">',
+    `<title>${FEED_TITLE}</title>`,
+    `<subtitle>${FEED_DESCRIPTION}</subtitle>`,
+    `<id>${escapeXml(selfUrl)}</id>`,
+    `<link rel="self" href="${escapeXml(selfUrl)}"/>`,
+    `<updated>${updated.toISOString()}</updated>`,
+    ...entries,
+    '</feed>'
+  ].join('\n')
+}
+
+/**
+ * Renders jobs as a JSON Feed 1.1 object
+ * @param {Array} jobs - Jobs to include
+ * @param {Object} feed - Feed URLs, update time and source homepages
+ * @returns {Object}
+ */
+function renderJsonFeed(jobs, { selfUrl, updated, homepages }) {
+  return {
+    version: 'https://jsonfeed.org/version/1.1',
+    title: FEED_TITLE,
+    description: FEED_DESCRIPTION,
+    feed_url: selfUrl,
+    items: jobs.map(job => {
+      const image = job.image && job.image.uri
+      const item = {
+        id: `${job.source}:${job.id}`,
+        url: job.url,
+        title: itemTitle(job),
+        content_text: String(job.description || ''),
+        date_published: isoDate(job.date, updated),
+        authors: [{ name: job.company || job.source }],
+        tags: (job.categories || []).concat(job.skills || []),
+        _source: { name: job.source, url: sourceHomepage(job, homepages) }
+      }
+      if (image) {
+        item.image = image
+        item.attachments = [{ url: image, mime_type: imageType(image) }]
+      }
+      return item
+    })
+  }
+}
+
+/**
+ * Renders jobs in the requested feed format
+ * @param {string} format - rss, atom or json
+ * @param {Array} jobs - Jobs to include
+ * @param {Object} feed - { selfUrl, updated, homepages: homepage by source name }
+ * @returns {Object} - { contentType, body }
+ */
+function renderFeed(format, jobs, feed) {
+  if (format === 'atom') {
+    return { contentType: FORMATS.atom, body: renderAtom(jobs, feed) }
+  }
+  if (format === 'json') {
+    return { contentType: FORMATS.json, body: JSON.stringify(renderJsonFeed(jobs, feed)) }
+  }
+  return { contentType: FORMATS.rss, body: renderRss(jobs, feed) }
+}
+
+module.exports = {
+  FEED_FORMATS: Object.keys(FORMATS),
+  escapeXml,
+  renderFeed
+}
@@ -0,0 +1,86 @@
+/**
+ * Listing freshness: maximum age and unparseable dates
+ *
+ * Boards keep old postings around and some feeds carry dates that do not
+ * parse, which normalize turns into "Invalid Date". Each source declares a
+ * maxAgeDays after which its jobs are dropped (and therefore expired), and an
+ * invalidDates policy: 'reject' drops jobs without a usable date, 'repair'
+ * dates them by the time they were first stored. Both can be overridden in the
+ * config/sources document. Company boards declare an Infinity maxAgeDays, their
+ * postings stay as long as they are listed.
+ */
+const {jobKey} = require('./store')
+
+const DEFAULT_MAX_AGE_DAYS = 45
+const INVALID_DATE_POLICIES = ['reject', 'repair']
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+/**
+ * Checks whether a job date can be parsed
+ * @param {string} date - Job date
+ * @returns {boolean}
+ */
+function isValidDate(date) {
+  return Boolean(date) && !Number.isNaN(Date.parse(date))
+}
+
+/**
+ * Applies a source's freshness rules to its normalized jobs
+ * Jobs with unparseable dates are rejected or repaired, then jobs older than
+ * the source's maxAgeDays are dropped
+ * @param {Object} db - Firestore instance, used to look up repaired dates
+ * @param {Object} adapter - Resolved source adapter with maxAgeDays and invalidDates
+ * @param {Array} jobs - Normalized jobs of the source
+ * @param {Date} now - Time of the run
+ * @returns {Promise<Array>} - Jobs to keep
+ */
+async function applyFreshness(db, adapter, jobs, now = new Date()) {
+  const invalid = jobs.filter(job => !isValidDate(job.date))
+  let valid = jobs.filter(job => isValidDate(job.date))
+
+  if (invalid.length > 0 && adapter.invalidDates === 'repair') {
+    valid = valid.concat(await repairDates(db, invalid, now))
+    console.warn(`${adapter.name}: repaired ${invalid.length} unparseable dates`)
+  } else if (invalid.length > 0) {
+    console.warn(`${adapter.name}: rejected ${invalid.length} jobs with unparseable dates`)
+  }
+
+  const cutoff = now.getTime() - adapter.maxAgeDays * DAY_MS
+  const fresh = valid.filter(job => Date.parse(job.date) >= cutoff)
+  if (fresh.length < valid.length) {
+    console.log(`${adapter.name}: dropped ${valid.length - fresh.length} jobs older than ${adapter.maxAgeDays} days`)
+  }
+  return fresh
+}
+
+/**
+ * Dates jobs by the date stored on their document, or by the current run for
+ * new jobs, so a repaired date stays stable across runs
+ * @param {Object} db - Firestore instance
+ * @param {Array} jobs - Jobs with unparseable dates
+ * @param {Date} now - Time of the run
+ * @returns {Promise<Array>} - Repaired jobs, flagged with dateRepaired
+ */
+async function repairDates(db, jobs, now) {
+  const collection = db.collection('jobs')
+  const docs = await db.getAll(...jobs.map(job => collection.doc(jobKey(job))))
+
+  return jobs.map((job, index) => {
+    const stored = docs[index].exists ? docs[index].get('date') : null
+    const date = isValidDate(stored) ? new Date(Date.parse(stored)) : now
+    return {
+      ...job,
+      date: date.toUTCString(),
+      dateIso: date.toISOString(),
+      dateRepaired: true
+    }
+  })
+}
+
+module.exports = {
+  DEFAULT_MAX_AGE_DAYS,
+  INVALID_DATE_POLICIES,
+  isValidDate,
+  applyFreshness
+}
@@ -0,0 +1,123 @@
+/**
+ * Source health history and circuit breaker
+ *
+ * Every scheduled cache update is appended to the cacheRuns collection with the
+ * outcome of each source. Source health (success rate, last error, last good
+ * fetch) is derived from that history, and so is the circuit breaker: a source
+ * that failed CIRCUIT_FAILURE_THRESHOLD runs in a row is skipped until
+ * CIRCUIT_COOLDOWN_MS after its last failure, then tried again. Skipped runs are
+ * recorded with skipped: true and do not count as attempts.
+ */
+const {toDate, commitInBatches} = require('./store')
+
+// Runs considered for health and circuit state (two days of hourly updates)
+const RUN_HISTORY_LIMIT = 48
+
+// Runs older than this are pruned from cacheRuns
+const RUN_RETENTION_MS = 30 * 24 * 60 * 60 * 1000
+
+const CIRCUIT_FAILURE_THRESHOLD = 3
+const CIRCUIT_COOLDOWN_MS = 3 * 60 * 60 * 1000
+
+/**
+ * Reads the most recent runs, newest first
+ * @param {Object} db - Firestore instance
+ * @param {number} limit - Maximum number of runs
+ * @returns {Promise<Array>} - Run documents (empty if unavailable)
+ */
+async function loadRecentRuns(db, limit = RUN_HISTORY_LIMIT) {
+  try {
+    const snapshot = await db.collection('cacheRuns')
+      .orderBy('startedAt', 'desc')
+      .limit(limit)
+      .get()
+    return snapshot.docs.map(doc => doc.data())
+  } catch (error) {
+    console.error('Failed to load cache run history:', error.message)
+    return []
+  }
+}
+
+/**
+ * Summarizes the health of one source from the run history
+ * @param {Array} runs - Runs, newest first
+ * @param {string} name - Source name
+ * @returns {Object} - Attempts, success rate, consecutive failures, last error and last good fetch
+ */
+function sourceHealth(runs, name) {
+  const attempts = runs
+    .map(run => ({ at: toDate(run.startedAt), entry: run.sources && run.sources[name] }))
+    .filter(attempt => attempt.entry && !attempt.entry.skipped)
+
+  const successes = attempts.filter(attempt => attempt.entry.success)
+  const lastFailure = attempts.find(attempt => !attempt.entry.success)
+  const lastSuccess = successes[0]
+  const firstSuccessIndex = attempts.findIndex(attempt => attempt.entry.success)
+
+  return {
+    attempts: attempts.length,
+    successRate: attempts.length > 0 ? Math.round(successes.length / attempts.length * 1000) / 1000 : null,
+    consecutiveFailures: firstSuccessIndex === -1 ? attempts.length : firstSuccessIndex,
+    lastError: lastFailure ? lastFailure.entry.error : null,
+    lastErrorAt: lastFailure ? lastFailure.at : null,
+    lastSuccessAt: lastSuccess ? lastSuccess.at : null,
+    lastCount: lastSuccess ? lastSuccess.entry.count : null
+  }
+}
+
+/**
+ * Decides whether a source should be skipped
+ * @param {Object} health - Result of sourceHealth
+ * @param {Date} now - Current time
+ * @returns {Object} - { open, retryAt }
+ */
+function circuitState(health, now = new Date()) {
+  if (health.consecutiveFailures < CIRCUIT_FAILURE_THRESHOLD || !health.lastErrorAt) {
+    return { open: false, retryAt: null }
+  }
+  const retryAt = new Date(health.lastErrorAt.getTime() + CIRCUIT_COOLDOWN_MS)
+  return retryAt > now ? { open: true, retryAt } : { open: false, retryAt: null }
+}
+
+/**
+ * Appends a run to the history and prunes runs past the retention period
+ * Failures are logged only, history must never fail an update
+ * @param {Object} db - Firestore instance
+ * @param {Object} run - { startedAt, trigger, metadata, changes, error }
+ */
+async function recordCacheRun(db, { startedAt, trigger = 'schedule', metadata, changes, error }) {
+  const finishedAt = new Date()
+
+  try {
+    await db.collection('cacheRuns').add({
+      startedAt,
+      finishedAt,
+      trigger,
+      durationMs: finishedAt - startedAt,
+      success: !error,
+      error: error ? error.message : null,
+      jobCount: metadata ? metadata.jobCount : 0,
+      sources: metadata ? metadata.sources : {},
+      transfer: metadata && metadata.transfer ? metadata.transfer : null,
+      changes: changes
+        ? { added: changes.added.length, updated: changes.updated.length, expired: changes.expired.length }
+        : null
+    })
+
+    const expiredRuns = await db.collection('cacheRuns')
+      .where('startedAt', '<', new Date(finishedAt.getTime() - RUN_RETENTION_MS))
+      .limit(500)
+      .get()
+    await commitInBatches(db, expiredRuns.docs.map(doc => batch => batch.delete(doc.ref)))
+  } catch (historyError) {
+    console.error('Failed to record cache run:', historyError.message)
+  }
+}
+
+module.exports = {
+  CIRCUIT_FAILURE_THRESHOLD,
+  loadRecentRuns,
+  sourceHealth,
+  circuitState,
+  recordCacheRun
+}
@@ -0,0 +1,153 @@
+const axios = require('axios')
+
+// Sent to hosts that do not require anything else, so they see who is polling them
+const USER_AGENT = 'Mozilla/5.0 (compatible; RemoteJobsServerless feed reader)'
+
+// Only these statuses can succeed on a later attempt; 403, 404 and friends will not
+const RETRYABLE_STATUSES = [408, 425, 429, 500, 502, 503, 504]
+
+// A host asking to wait longer than this is given up on until the next run
+const MAX_RETRY_AFTER_MS = 30000
+
+// Requests in flight per host, across all sources of a run
+const MAX_CONCURRENT_PER_HOST = 2
+
+const hostSlots = new Map()
+
+/**
+ * Extracts the host used to group requests
+ * @param {string} url - Request URL
+ * @returns {string} - Lowercased host without www
+ */
+function hostOf(url) {
+  try {
+    return new URL(url).hostname.toLowerCase().replace(/^www\./, '');
+  } catch (error) {
+    return '';
+  }
+}
+
+/**
+ * Runs a request once its host has a free slot
+ * @param {string} url - Request URL
+ * @param {Function} task - Async function sending the request
+ * @returns {Promise<*>} - Result of the task
+ */
+async function withHostSlot(url, task) {
+  const host = hostOf(url);
+  if (!hostSlots.has(host)) {
+    hostSlots.set(host, { active: 0, waiting: [] });
+  }
+  const slots = hostSlots.get(host);
+
+  if (slots.active >= MAX_CONCURRENT_PER_HOST) {
+    await new Promise(resolve => slots.waiting.push(resolve));
+  }
+  slots.active++;
+
+  try {
+    return await task();
+  } finally {
+    slots.active--;
+    const next = slots.waiting.shift();
+    if (next) {
+      next();
+    } else if (slots.active === 0) {
+      hostSlots.delete(host);
+    }
+  }
+}
+
+/**
+ * Checks whether a failed request is worth another attempt
+ * Network errors and timeouts are, HTTP errors only with a retryable status
+ * @param {Error} error - Axios error
+ * @returns {boolean}
+ */
+function isRetryable(error) {
+  if (error.response) {
+    return RETRYABLE_STATUSES.includes(error.response.status);
+  }
+  return error.code !== 'ERR_INVALID_URL';
+}
+
+/**
+ * Reads the Retry-After header of a failed request
+ * @param {Error} error - Axios error
+ * @returns {number|null} - Milliseconds to wait, or null without a usable header
+ */
+function retryAfterMs(error) {
+  const value = error.response && error.response.headers && error.response.headers['retry-after'];
+  if (!value) return null;
+  if (/^\d+$/.test(String(value).trim())) {
+    return Number(value) * 1000;
+  }
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Utility function to perform HTTP GET requests with automatic retries and exponential backoff
+ * Only network errors and retryable statuses are retried, waiting at least as
+ * long as the host's Retry-After. Requests share MAX_CONCURRENT_PER_HOST slots
+ * per host and send USER_AGENT unless the options set their own
+ * @param {string} url - URL to fetch
+ * @param {Object} options - Axios request options
+ * @param {number} maxRetries - Maximum number of attempts (default: 3)
+ * @returns {Promise<Object>} - Axios response object
+ */
+async function fetchWithRetry(url, options = {}, maxRetries = 3) {
+  let lastError;
+  const requestOptions = { ...options, headers: { 'User-Agent': USER_AGENT, ...(options.headers || {}) } };
+
+  for (let attempt = 0; attempt < maxRetries; attempt++) {
+    try {
+      console.log(`Fetching ${url.split('?')[0]} - attempt ${attempt + 1}`);
+      return await withHostSlot(url, () => axios.get(url, requestOptions));
+    } catch (error) {
+      console.log(`Attempt ${attempt + 1} failed for ${url.split('?')[0]}: ${error.message}`);
+      lastError = error;
+
+      // Don't wait on the last attempt, nor for errors another attempt cannot fix
+      if (attempt === maxRetries - 1 || !isRetryable(error)) {
+        break;
+      }
+
+      const retryAfter = retryAfterMs(error);
+      if (retryAfter !== null && retryAfter > MAX_RETRY_AFTER_MS) {
+        console.log(`${hostOf(url)} asked to retry after ${Math.ceil(retryAfter / 1000)}s, giving up until the next run`);
+        break;
+      }
+
+      // Wait with exponential backoff: 500ms, 1500ms, 4500ms, etc., or as long as asked
+      const delay = Math.max(500 * Math.pow(3, attempt), retryAfter || 0);
+      console.log(`Retrying in ${delay}ms...`);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+
+  throw lastError;
+}
+
+/**
+ * Describes a failed request with the details needed to diagnose it
+ * @param {Error} error - Axios, rss-parser or adapter error
+ * @returns {string} - e.g. "HTTP 403 Forbidden from https://..."
+ */
+function describeFetchError(error) {
+  if (error.response) {
+    const { status, statusText } = error.response;
+    // Query strings may carry API tokens
+    const url = error.config && error.config.url && error.config.url.split('?')[0];
+    return `HTTP ${status}${statusText ? ` ${statusText}` : ''}${url ? ` from ${url}` : ''}`;
+  }
+  if (error.code) {
+    return `${error.code}: ${error.message}`;
+  }
+  return error.message || String(error);
+}
+
+module.exports = {
+  fetchWithRetry,
+  describeFetchError
+}
@@ -0,0 +1,63 @@
+/**
+ * HTTP caching helpers for responses derived from the job cache
+ *
+ * Validators come from the snapshot's metadata.lastUpdated, so they change
+ * exactly when updateRemoteJobsCache writes a new snapshot.
+ */
+
+// Clients may keep serving a stale response while revalidating for this long
+const STALE_WHILE_REVALIDATE_SECONDS = 300
+
+/**
+ * Builds the ETag of a cache snapshot
+ * @param {Date} lastUpdated - Snapshot time
+ * @returns {string} - Weak ETag, the JSON serialization is not byte-stable
+ */
+function snapshotETag(lastUpdated) {
+  return `W/"${lastUpdated.getTime().toString(36)}"`
+}
+
+/**
+ * Sets ETag, Last-Modified and Cache-Control for a cached snapshot
+ * max-age runs until the next scheduled update is expected
+ * @param {Object} response - HTTP response
+ * @param {Date} lastUpdated - Snapshot time
+ * @param {number} updateIntervalSeconds - Interval of the scheduled update
+ */
+function setSnapshotCacheHeaders(response, lastUpdated, updateIntervalSeconds) {
+  const ageSeconds = Math.floor((Date.now() - lastUpdated.getTime()) / 1000)
+  const maxAge = Math.max(60, updateIntervalSeconds - ageSeconds)
+
+  response.set('ETag', snapshotETag(lastUpdated))
+  response.set('Last-Modified', lastUpdated.toUTCString())
+  response.set('Cache-Control', `public, max-age=${maxAge}, stale-while-revalidate=${STALE_WHILE_REVALIDATE_SECONDS}`)
+}
+
+/**
+ * Checks the request's conditional headers against a snapshot
+ * If-None-Match takes precedence over If-Modified-Since (RFC 9110)
+ * @param {Object} request - HTTP request
+ * @param {Date} lastUpdated - Snapshot time
+ * @returns {boolean} - True if a 304 Not Modified can be sent
+ */
+function isNotModified(request, lastUpdated) {
+  const ifNoneMatch = request.get('If-None-Match')
+  if (ifNoneMatch) {
+    const etag = snapshotETag(lastUpdated)
+    const weakMatch = tag => tag.trim().replace(/^W\//, '') === etag.replace(/^W\//, '')
+    return ifNoneMatch.trim() === '*' || ifNoneMatch.split(',').some(weakMatch)
+  }
+
+  const ifModifiedSince = Date.parse(request.get('If-Modified-Since') || '')
+  if (!Number.isNaN(ifModifiedSince)) {
+    // HTTP dates have second precision
+    return Math.floor(lastUpdated.getTime() / 1000) <= Math.floor(ifModifiedSince / 1000)
+  }
+
+  return false
+}
+
+module.exports = {
+  setSnapshotCacheHeaders,
+  isNotModified
+}
@@ -0,0 +1,199 @@
+/**
+ * Background checker for dead apply links
+ *
+ * Active jobs are checked oldest-check first, one request at a time with a
+ * pause in between so boards and employers are not hammered. A HEAD request
+ * catches removed pages cheaply; pages that still answer are fetched with GET
+ * and searched for "position filled" notices. Jobs whose link answers 404/410,
+ * redirects to the site's front page, or announces the position is filled are
+ * expired and removed from the snapshot. Anything else (timeouts, 403s from
+ * bot protection, 5xx) only records the check. Results are written in a
+ * transaction that first re-reads the job, so a job the cache update changed
+ * or expired during its check is left for the next run.
+ */
+const axios = require('axios')
+const {removeFromSnapshot, toDate} = require('./store')
+
+// Jobs checked per run, and the pause between two checked jobs
+const LINK_CHECK_BATCH_SIZE = 100
+const LINK_CHECK_DELAY_MS = 1000
+
+// Stop starting new checks after this long, to finish within the function timeout
+const LINK_CHECK_BUDGET_MS = 7 * 60 * 1000
+
+const REQUEST_TIMEOUT_MS = 10000
+const MAX_BODY_BYTES = 2 * 1024 * 1024
+
+const GONE_STATUSES = [404, 410]
+
+// Lowercased phrases boards and ATS pages show for closed postings
+const FILLED_PHRASES = [
+  'position has been filled',
+  'position is filled',
+  'position is no longer available',
+  'job is no longer available',
+  'this job has expired',
+  'this job has been closed',
+  'job posting has been closed',
+  'no longer accepting applications',
+  'this position is closed',
+  'job you are looking for is no longer'
+]
+
+const requestHeaders = {
+  'User-Agent': 'Mozilla/5.0 (compatible; RemoteJobsServerless link checker)',
+  'Accept': 'text/html,application/xhtml+xml;q=0.9,*/*;q=0.8'
+}
+
+/**
+ * Checks whether a redirect ended on the front page of a site
+ * @param {string} originalUrl - Checked URL
+ * @param {string} finalUrl - URL after redirects
+ * @returns {boolean}
+ */
+function redirectedToFrontPage(originalUrl, finalUrl) {
+  try {
+    const original = new URL(originalUrl)
+    const final = new URL(finalUrl)
+    return original.pathname !== '/' && final.pathname === '/' && original.href !== final.href
+  } catch (error) {
+    return false
+  }
+}
+
+/**
+ * Checks a single link
+ * @param {string} url - Apply URL
+ * @param {Object} [options] - { timeout }
+ * @returns {Promise<Object>} - { dead, reason, status } where reason is
+ *   'dead-link' or 'position-filled' for dead links
+ */
+async function checkLink(url, { timeout = REQUEST_TIMEOUT_MS } = {}) {
+  const request = method => axios.request({
+    url,
+    method,
+    timeout,
+    headers: requestHeaders,
+    maxRedirects: 5,
+    maxContentLength: MAX_BODY_BYTES,
+    responseType: 'text',
+    // Every status is an answer here, not an error
+    validateStatus: () => true
+  })
+  const finalUrl = response => (response.request && response.request.res && response.request.res.responseUrl) || url
+
+  try {
+    const head = await request('HEAD')
+    if (GONE_STATUSES.includes(head.status)) {
+      return { dead: true, reason: 'dead-link', status: head.status }
+    }
+
+    // Some servers do not implement HEAD, GET answers for them
+    const get = await request('GET')
+    if (GONE_STATUSES.includes(get.status) || redirectedToFrontPage(url, finalUrl(get))) {
+      return { dead: true, reason: 'dead-link', status: get.status }
+    }
+    if (get.status >= 200 && get.status < 300) {
+      const body = String(get.data || '').toLowerCase()
+      if (FILLED_PHRASES.some(phrase => body.includes(phrase))) {
+        return { dead: true, reason: 'position-filled', status: get.status }
+      }
+    }
+    return { dead: false, reason: null, status: get.status }
+  } catch (error) {
+    // Network errors and timeouts say nothing about the posting
+    return { dead: false, reason: null, status: null, error: error.message }
+  }
+}
+
+/**
+ * Records the result of a check unless the job changed since it was read
+ * @param {Object} db - Firestore instance
+ * @param {Object} doc - Job document as read before the check
+ * @param {Object} result - Result of checkLink
+ * @param {Date} checkedAt - Time of the check
+ * @returns {Promise<boolean>} - False when the job was left alone
+ */
+function recordCheck(db, doc, result, checkedAt) {
+  const time = value => (toDate(value) || new Date(0)).getTime()
+
+  return db.runTransaction(async transaction => {
+    const current = await transaction.get(doc.ref)
+    if (!current.exists || current.get('status') !== 'active' ||
+        current.get('url') !== doc.get('url') || time(current.get('updatedAt')) !== time(doc.get('updatedAt'))) {
+      return false
+    }
+
+    const check = { linkCheckedAt: checkedAt, linkStatus: result.status }
+    transaction.update(doc.ref, result.dead
+      ? { ...check, status: 'expired', expiredAt: checkedAt, expiredReason: result.reason, updatedAt: checkedAt }
+      : check)
+    return true
+  })
+}
+
+/**
+ * Checks the links of the active jobs that were checked least recently
+ * @param {Object} db - Firestore instance
+ * @param {Object} [options] - { limit, delayMs, budgetMs, timeout } overrides, e.g. for tests
+ * @returns {Promise<Object>} - Counts of checked, expired, failed and skipped checks
+ */
+async function checkJobLinks(db, options = {}) {
+  const {
+    limit = LINK_CHECK_BATCH_SIZE,
+    delayMs = LINK_CHECK_DELAY_MS,
+    budgetMs = LINK_CHECK_BUDGET_MS,
+    timeout = REQUEST_TIMEOUT_MS
+  } = options
+  const startTime = Date.now()
+
+  const snapshot = await db.collection('jobs')
+    .where('status', '==', 'active')
+    .orderBy('linkCheckedAt')
+    .limit(limit)
+    .select('url', 'updatedAt')
+    .get()
+
+  const summary = { checked: 0, expired: 0, errors: 0, skipped: 0 }
+  const expiredKeys = []
+
+  for (const doc of snapshot.docs) {
+    if (Date.now() - startTime > budgetMs) break
+    if (summary.checked > 0) {
+      await new Promise(resolve => setTimeout(resolve, delayMs))
+    }
+
+    const url = doc.get('url')
+    const result = url ? await checkLink(url, { timeout }) : { dead: false, status: null, error: 'Missing url' }
+    const checkedAt = new Date()
+    summary.checked++
+
+    if (result.error) {
+      summary.errors++
+    }
+
+    if (!await recordCheck(db, doc, result, checkedAt)) {
+      summary.skipped++
+      continue
+    }
+
+    if (result.dead) {
+      summary.expired++
+      expiredKeys.push(doc.id)
+      console.log(`Expiring ${doc.id} (${result.reason}, HTTP ${result.status}): ${url}`)
+    }
+  }
+
+  if (expiredKeys.length > 0) {
+    const removed = await removeFromSnapshot(db, expiredKeys)
+    console.log(`Removed ${removed} dead jobs from the snapshot`)
+  }
+
+  console.log(`Link check: ${summary.checked} checked, ${summary.expired} expired, ${summary.errors} errors, ${summary.skipped} changed meanwhile`)
+  return summary
+}
+
+module.exports = {
+  checkLink,
+  checkJobLinks
+}
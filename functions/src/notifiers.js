@@ -0,0 +1,220 @@
+/**
+ * Pluggable delivery channels for saved search alerts
+ *
+ * Each notifier declares a type, validates its target and sends a digest of
+ * new jobs for one saved search. Notifiers whose targets must opt in first
+ * (email) set requiresConfirmation and send the confirmation link themselves.
+ * Register new channels in the notifiers map.
+ *
+ * Webhooks only reach public addresses: hosts resolving to loopback, private,
+ * link-local (cloud metadata) or other reserved ranges are rejected when the
+ * search is created and again on every delivery, when the connection is made.
+ *
+ * SMTP is configured through environment variables (SMTP_HOST, SMTP_PORT,
+ * SMTP_SECURE, SMTP_USER, SMTP_PASS, ALERTS_FROM) so it can be pointed at a
+ * local SMTP stand-in during development. ALERTS_ALLOW_PRIVATE_TARGETS=true
+ * lets webhooks reach a local stand-in too.
+ */
+const dns = require('dns')
+const net = require('net')
+const axios = require('axios')
+const nodemailer = require('nodemailer')
+
+// Ranges no webhook may reach; IPv4-mapped IPv6 addresses are checked against the IPv4 ranges
+const blockedAddresses = new net.BlockList()
+;[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, 'ipv4'))
+;[
+  ['::', 127], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, 'ipv6'))
+
+let smtpTransport = null
+
+/**
+ * Lazily creates the SMTP transport from the environment
+ * @returns {Object} - Nodemailer transport
+ */
+function getSmtpTransport() {
+  if (!smtpTransport) {
+    if (!process.env.SMTP_HOST) {
+      throw new Error('SMTP_HOST is not configured')
+    }
+    smtpTransport = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT || '587', 10),
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined
+    })
+  }
+  return smtpTransport
+}
+
+/**
+ * Checks whether webhooks may reach private addresses, for local stand-ins
+ * @returns {boolean}
+ */
+function allowPrivateTargets() {
+  return process.env.ALERTS_ALLOW_PRIVATE_TARGETS === 'true'
+}
+
+/**
+ * Checks an IP address against the blocked ranges
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} - True unless the address is public
+ */
+function isBlockedAddress(address) {
+  const family = net.isIP(address)
+  if (!family) return true
+  return blockedAddresses.check(address, family === 6 ? 'ipv6' : 'ipv4')
+}
+
+/**
+ * DNS lookup for webhook requests that refuses non-public addresses
+ * Used as the connection's lookup, so a host cannot resolve to a public
+ * address when validated and to a private one when delivered to
+ * @param {string} hostname - Host to resolve
+ * @param {Object} options - dns.lookup options
+ * @param {Function} callback - Receives the error or the addresses
+ */
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error)
+    if (!allowPrivateTargets() && (addresses.length === 0 || addresses.some(({ address }) => isBlockedAddress(address)))) {
+      return callback(new Error(`Webhook host ${hostname} does not resolve to a public address`))
+    }
+    return callback(null, addresses)
+  })
+}
+
+/**
+ * Checks that a webhook URL is http(s) and its host resolves to public addresses only
+ * @param {string} url - Webhook URL
+ * @returns {Promise<string|null>} - Error message, or null if allowed
+ */
+async function checkWebhookUrl(url) {
+  let parsed
+  try {
+    parsed = new URL(url)
+  } catch (error) {
+    return 'Invalid webhook url'
+  }
+  if (!['http:', 'https:'].includes(parsed.protocol)) return 'Webhook url must be http(s)'
+  if (allowPrivateTargets()) return null
+
+  const host = parsed.hostname.replace(/^\[|\]$/g, '')
+  let addresses
+  try {
+    addresses = net.isIP(host) ? [{ address: host }] : await dns.promises.lookup(host, { all: true })
+  } catch (error) {
+    return `Webhook host ${host} cannot be resolved`
+  }
+  if (addresses.length === 0 || addresses.some(({ address }) => isBlockedAddress(address))) {
+    return 'Webhook url must point to a public address'
+  }
+  return null
+}
+
+/**
+ * Builds the plain-text digest shared by all channels
+ * @param {Object} search - Saved search document data
+ * @param {Array} jobs - New matching jobs
+ * @param {number} [more] - Matching jobs left for the next digest
+ * @returns {string}
+ */
+function digestText(search, jobs, more = 0) {
+  const lines = jobs.map(job => `- ${job.position} at ${job.company} (${job.source})\n  ${job.url}`)
+  const overflow = more > 0 ? `\n\n...and ${more} more to follow` : ''
+  return `${jobs.length + more} new job(s) for "${search.name}":\n\n${lines.join('\n')}${overflow}`
+}
+
+const webhook = {
+  type: 'webhook',
+
+  /**
+   * Validates a webhook target
+   * @param {Object} target - { url }
+   * @returns {Promise<string|null>} - Error message, or null if valid
+   */
+  async validate(target) {
+    return checkWebhookUrl(String(target.url || ''))
+  },
+
+  /**
+   * POSTs the digest as JSON to the webhook URL
+   * Redirects are not followed, they could lead anywhere
+   * @param {Object} search - Saved search document data, including its id
+   * @param {Array} jobs - New matching jobs
+   * @param {number} [more] - Matching jobs left out of the digest
+   */
+  async send(search, jobs, more = 0) {
+    const targetError = await checkWebhookUrl(search.notify.url)
+    if (targetError) {
+      throw new Error(targetError)
+    }
+    await axios.post(search.notify.url, {
+      searchId: search.id,
+      name: search.name,
+      text: digestText(search, jobs, more),
+      jobs: jobs.map(({ key, id, position, company, url, source, date }) => ({ key, id, position, company, url, source, date })),
+      more
+    }, { timeout: 10000, maxRedirects: 0, lookup: publicLookup })
+  }
+}
+
+const email = {
+  type: 'email',
+  // Nobody is mailed alerts they did not ask for, see sendConfirmation
+  requiresConfirmation: true,
+
+  /**
+   * Validates an email target
+   * @param {Object} target - { address }
+   * @returns {Promise<string|null>} - Error message, or null if valid
+   */
+  async validate(target) {
+    return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(String(target.address || '')) ? null : 'Invalid email address'
+  },
+
+  /**
+   * Mails the link confirming the subscription
+   * Only fixed text and the link are sent, the search name comes from whoever created it
+   * @param {Object} notify - { address }
+   * @param {string} confirmUrl - Confirmation link
+   */
+  async sendConfirmation(notify, confirmUrl) {
+    await getSmtpTransport().sendMail({
+      from: process.env.ALERTS_FROM || 'Remote Jobs <alerts@localhost>',
+      to: notify.address,
+      subject: 'Confirm your remote job alerts',
+      text: `Someone asked to send remote job alerts to this address.\n\nTo receive them, confirm here:\n${confirmUrl}\n\nIf this was not you, ignore this email and you will not hear from us again.`
+    })
+  },
+
+  /**
+   * Sends the digest over SMTP
+   * @param {Object} search - Saved search document data, including its id
+   * @param {Array} jobs - New matching jobs
+   * @param {number} [more] - Matching jobs left out of the digest
+   */
+  async send(search, jobs, more = 0) {
+    await getSmtpTransport().sendMail({
+      from: process.env.ALERTS_FROM || 'Remote Jobs <alerts@localhost>',
+      to: search.notify.address,
+      subject: `${jobs.length + more} new remote job(s) for "${search.name}"`,
+      text: digestText(search, jobs, more)
+    })
+  }
+}
+
+const notifiers = {
+  [webhook.type]: webhook,
+  [email.type]: email
+}
+
+module.exports = {
+  notifiers
+}
@@ -0,0 +1,251 @@
+/**
+ * Spam, scam and low-quality listing detection
+ *
+ * Every aggregated job is scored from 100 down by rule-based signals: a
+ * missing company, an empty or very short description, phrases typical of
+ * scams, an apply link on an unrelated domain and a company flooding the
+ * boards. Wording that is also common in honest entry-level postings is a
+ * weak signal that cannot hide a job on its own. The job keeps its qualityScore and the names of the signals as
+ * flags; jobs scoring below the threshold are marked hidden and left out of
+ * the public lists unless includeHidden=true is passed.
+ *
+ * The threshold, the per-company post limit and the allow and block lists of
+ * company slugs live in config/quality. Allow-listed companies always score
+ * 100, blocked companies always 0.
+ */
+const {applyHost} = require('./dedupe')
+const {QueryError} = require('./query')
+const {normalizeCompanyName, companySlug} = require('./text')
+
+const DEFAULT_QUALITY = {
+  threshold: 50,
+  maxPostsPerCompany: 15
+}
+
+// Points taken off the score for each signal
+const PENALTIES = {
+  'missing-company': 35,
+  'empty-description': 45,
+  'short-description': 20,
+  'suspicious-phrase': 60,
+  'weak-suspicious-phrase': 10,
+  'apply-domain-mismatch': 25,
+  'too-many-posts': 15
+}
+
+const SHORT_DESCRIPTION_LENGTH = 200
+
+// Placeholders that name no employer, besides the unknowns companySlug already rejects
+const placeholderCompanies = ['n a', 'na', 'none', 'confidential', 'anonymous']
+
+// Wording of get-rich-quick, advance fee and reshipping scams
+const suspiciousPhrases = [
+  /\bearn (up to )?\$?\d[\d,.]*k?\+? ?(usd )?(per|\/|a|every) ?(day|week)\b/i,
+  /\b(contact|message|text|reach|dm) (us |me )?(on|via|through) (whatsapp|telegram)\b/i,
+  /\b(registration|training|starter kit|onboarding) fee\b/i,
+  /\b(guaranteed|passive) income\b/i,
+  /\b(crypto|forex|bitcoin) (trading|investment) (opportunity|platform|signals)\b/i,
+  /\b(get rich|multi-level marketing|mlm)\b/i,
+  /\b(reshipping|package forwarding|payment processing agent|money transfer agent)\b/i,
+  /\b(buy|send) (us )?gift cards?\b/i
+]
+
+// Common in scams, but also in honest junior and entry-level postings
+const weakSuspiciousPhrases = [
+  /\bno (prior )?experience (is )?(needed|required|necessary)\b/i,
+  /\b(be your own boss|financial freedom)\b/i
+]
+
+// Link shorteners and messengers hide where an application really goes
+const untraceableHosts = ['bit.ly', 'tinyurl.com', 't.co', 'goo.gl', 'cutt.ly', 'rebrand.ly', 't.me', 'wa.me', 'forms.gle']
+
+/**
+ * Loads the quality configuration merged over the defaults
+ * @param {Object} db - Firestore instance
+ * @returns {Promise<Object>} - { threshold, maxPostsPerCompany, allowCompanies, blockCompanies }
+ */
+async function loadQualityConfig(db) {
+  let config = {}
+  try {
+    const configDoc = await db.collection('config').doc('quality').get()
+    config = configDoc.exists ? configDoc.data() : {}
+  } catch (error) {
+    console.error('Failed to load quality config, using defaults:', error.message)
+  }
+
+  return {
+    threshold: typeof config.threshold === 'number' ? config.threshold : DEFAULT_QUALITY.threshold,
+    maxPostsPerCompany: config.maxPostsPerCompany || DEFAULT_QUALITY.maxPostsPerCompany,
+    allowCompanies: config.allowCompanies || [],
+    blockCompanies: config.blockCompanies || []
+  }
+}
+
+/**
+ * Checks whether a job names no real company
+ * @param {Object} job - Normalized job
+ * @returns {boolean}
+ */
+function isMissingCompany(job) {
+  return companySlug(job.company) === null || placeholderCompanies.includes(normalizeCompanyName(job.company))
+}
+
+/**
+ * Checks whether a job's apply link leads somewhere unrelated to its company
+ * Board and shared ATS pages are fine, other hosts (or their path, for ATS
+ * hosts like apply.workable.com/acme) must mention the company
+ * @param {Object} job - Normalized job
+ * @returns {boolean}
+ */
+function isApplyDomainMismatch(job) {
+  const host = applyHost(job.url)
+  if (!host) return false
+  if (untraceableHosts.includes(host)) return true
+
+  const slug = companySlug(job.company)
+  if (!slug) return false
+  const words = slug.split('-').filter(word => word.length >= 3)
+  if (words.length === 0) return false
+
+  let path = ''
+  try {
+    path = new URL(job.url).pathname.toLowerCase()
+  } catch (error) {
+    // applyHost already parsed the URL
+  }
+  const target = `${host}${path}`.replace(/[^a-z0-9]/g, '')
+  return !target.includes(slug.replace(/-/g, '')) && !words.some(word => target.includes(word))
+}
+
+/**
+ * Lists the quality signals of a job
+ * @param {Object} job - Normalized job
+ * @param {number} companyPosts - Number of jobs of the same company in the run
+ * @param {Object} config - Result of loadQualityConfig
+ * @returns {Array} - Flag names, see PENALTIES
+ */
+function qualityFlags(job, companyPosts, config) {
+  const flags = []
+  const description = String(job.description || '').trim()
+
+  if (isMissingCompany(job)) flags.push('missing-company')
+  if (!description) {
+    flags.push('empty-description')
+  } else if (description.length < SHORT_DESCRIPTION_LENGTH) {
+    flags.push('short-description')
+  }
+  const text = `${job.position || ''} ${description}`
+  if (suspiciousPhrases.some(pattern => pattern.test(text))) {
+    flags.push('suspicious-phrase')
+  } else if (weakSuspiciousPhrases.some(pattern => pattern.test(text))) {
+    flags.push('weak-suspicious-phrase')
+  }
+  if (isApplyDomainMismatch(job)) flags.push('apply-domain-mismatch')
+  if (companyPosts > config.maxPostsPerCompany) flags.push('too-many-posts')
+  return flags
+}
+
+/**
+ * Scores jobs and marks the ones below the threshold as hidden
+ * Scoring is recomputed from the job fields, so already scored jobs can be scored again
+ * @param {Array} jobs - Deduplicated jobs of the run
+ * @param {Object} config - Result of loadQualityConfig
+ * @returns {Array} - Copies of the jobs with qualityScore, flags and hidden
+ */
+function scoreJobs(jobs, config) {
+  const allowed = new Set(config.allowCompanies)
+  const blocked = new Set(config.blockCompanies)
+  const postsPerCompany = new Map()
+  jobs.forEach(job => {
+    const slug = companySlug(job.company)
+    if (slug) postsPerCompany.set(slug, (postsPerCompany.get(slug) || 0) + 1)
+  })
+
+  return jobs.map(job => {
+    const slug = companySlug(job.company)
+    let flags
+    let qualityScore
+    if (slug && allowed.has(slug)) {
+      flags = []
+      qualityScore = 100
+    } else if (slug && blocked.has(slug)) {
+      flags = ['blocked-company']
+      qualityScore = 0
+    } else {
+      flags = qualityFlags(job, slug ? postsPerCompany.get(slug) : 0, config)
+      qualityScore = Math.max(0, 100 - flags.reduce((sum, flag) => sum + PENALTIES[flag], 0))
+    }
+    return { ...job, qualityScore, flags, hidden: qualityScore < config.threshold }
+  })
+}
+
+/**
+ * Loads the quality configuration and scores the jobs
+ * @param {Object} db - Firestore instance
+ * @param {Array} jobs - Deduplicated jobs of the run
+ * @returns {Promise<Object>} - { jobs, summary: { threshold, hidden, flags } }
+ */
+async function applyQuality(db, jobs) {
+  const config = await loadQualityConfig(db)
+  const scored = scoreJobs(jobs, config)
+
+  const flags = {}
+  scored.forEach(job => job.flags.forEach(flag => {
+    flags[flag] = (flags[flag] || 0) + 1
+  }))
+  const hidden = scored.filter(job => job.hidden).length
+  if (hidden > 0) {
+    console.log(`Hiding ${hidden} jobs scoring below ${config.threshold}`)
+  }
+  return { jobs: scored, summary: { threshold: config.threshold, hidden, flags } }
+}
+
+/**
+ * Adds a company to the allow or block list, or removes it from both
+ * @param {Object} db - Firestore instance
+ * @param {string} company - Company name or slug
+ * @param {string} action - 'allow', 'block' or 'clear'
+ * @returns {Promise<Object>} - Updated { allowCompanies, blockCompanies }
+ * @throws {QueryError} - For an unknown action or a company without a slug
+ */
+async function moderateCompany(db, company, action) {
+  if (!['allow', 'block', 'clear'].includes(action)) {
+    throw new QueryError('action must be one of: allow, block, clear')
+  }
+  const slug = companySlug(company)
+  if (!slug) {
+    throw new QueryError('Missing or invalid company')
+  }
+
+  const ref = db.collection('config').doc('quality')
+  return db.runTransaction(async transaction => {
+    const doc = await transaction.get(ref)
+    const data = doc.exists ? doc.data() : {}
+    const allowCompanies = (data.allowCompanies || []).filter(entry => entry !== slug)
+    const blockCompanies = (data.blockCompanies || []).filter(entry => entry !== slug)
+    if (action === 'allow') allowCompanies.push(slug)
+    if (action === 'block') blockCompanies.push(slug)
+    transaction.set(ref, { allowCompanies, blockCompanies }, { merge: true })
+    return { allowCompanies, blockCompanies }
+  })
+}
+
+/**
+ * Leaves out hidden jobs unless they were asked for
+ * @param {Array} jobs - Scored jobs
+ * @param {boolean} includeHidden - Whether to keep hidden jobs
+ * @returns {Array}
+ */
+function visibleJobs(jobs, includeHidden) {
+  return includeHidden ? jobs : jobs.filter(job => !job.hidden)
+}
+
+module.exports = {
+  DEFAULT_QUALITY,
+  PENALTIES,
+  loadQualityConfig,
+  scoreJobs,
+  applyQuality,
+  moderateCompany,
+  visibleJobs
+}
@@ -0,0 +1,295 @@
+/**
+ * Query parsing, filtering and pagination for the getRemoteJobs endpoint
+ */
+const {annualSalary} = require('./enrich')
+const {jobKey} = require('./store')
+
+const DEFAULT_LIMIT = 50
+const MAX_LIMIT = 200
+
+// Query parameters that switch the response from a plain array to an envelope
+const FILTER_PARAMS = [
+  'q', 'tags', 'category', 'source', 'company', 'since',
+  'employmentType', 'seniority', 'location', 'salaryMin', 'currency',
+  'limit', 'cursor', 'sort'
+]
+
+const SORTS = ['date', 'popular']
+
+/**
+ * Error thrown for malformed query parameters, reported to clients as 400
+ */
+class QueryError extends Error {
+  constructor(message) {
+    super(message)
+    this.name = 'QueryError'
+  }
+}
+
+/**
+ * Splits a comma separated query value (or repeated parameter) into a list
+ * @param {string|Array} value - Raw query value
+ * @returns {Array} - Lowercased, trimmed, non-empty values
+ */
+function parseList(value) {
+  if (value === undefined || value === null) return []
+  const values = Array.isArray(value) ? value : [value]
+  return values
+    .flatMap(item => String(item).split(','))
+    .map(item => item.trim().toLowerCase())
+    .filter(Boolean)
+}
+
+/**
+ * Encodes a pagination offset into an opaque cursor string
+ * @param {number} offset - Index of the next job to return
+ * @returns {string} - Base64url encoded cursor
+ */
+function encodeCursor(offset) {
+  return Buffer.from(JSON.stringify({ offset })).toString('base64url')
+}
+
+/**
+ * Decodes a cursor produced by encodeCursor
+ * @param {string} cursor - Opaque cursor from a previous response
+ * @returns {number} - Offset to resume from
+ */
+function decodeCursor(cursor) {
+  try {
+    const { offset } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'))
+    if (Number.isInteger(offset) && offset >= 0) {
+      return offset
+    }
+  } catch (error) {
+    // Fall through to the validation error below
+  }
+  throw new QueryError('Invalid cursor')
+}
+
+/**
+ * Encodes the position after a job of a snapshot into an opaque cursor string
+ * @param {number} snapshot - Time of the snapshot, in milliseconds
+ * @param {string} key - Key of the last job returned
+ * @returns {string} - Base64url encoded cursor
+ */
+function encodeJobCursor(snapshot, key) {
+  return Buffer.from(JSON.stringify({ snapshot, key })).toString('base64url')
+}
+
+/**
+ * Decodes a cursor produced by encodeJobCursor
+ * @param {string} cursor - Opaque cursor from a previous response
+ * @returns {Object} - { snapshot, key } to resume after
+ */
+function decodeJobCursor(cursor) {
+  try {
+    const { snapshot, key } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'))
+    if (Number.isInteger(snapshot) && typeof key === 'string' && key) {
+      return { snapshot, key }
+    }
+  } catch (error) {
+    // Fall through to the validation error below
+  }
+  throw new QueryError('Invalid cursor')
+}
+
+/**
+ * Checks whether the request asked for any filtering or pagination
+ * @param {Object} query - Express request query object
+ * @returns {boolean} - True if at least one supported parameter is present
+ */
+function hasJobQuery(query) {
+  return FILTER_PARAMS.some(param => query[param] !== undefined)
+}
+
+/**
+ * Parses and validates the supported query parameters
+ * @param {Object} query - Express request query object
+ * @returns {Object} - Normalized filter options
+ */
+function parseJobQuery(query) {
+  const options = {
+    q: query.q ? String(query.q).trim().toLowerCase() : '',
+    tags: parseList(query.tags),
+    categories: parseList(query.category),
+    sources: parseList(query.source),
+    company: query.company ? String(query.company).trim().toLowerCase() : '',
+    since: null,
+    employmentTypes: parseList(query.employmentType),
+    seniorities: parseList(query.seniority),
+    locations: parseList(query.location),
+    salaryMin: null,
+    currency: query.currency ? String(query.currency).trim().toUpperCase() : '',
+    sort: query.sort ? String(query.sort) : 'date',
+    includeHidden: query.includeHidden === 'true',
+    limit: DEFAULT_LIMIT,
+    cursor: null
+  }
+
+  if (!SORTS.includes(options.sort)) {
+    throw new QueryError(`Invalid sort, expected one of ${SORTS.join(', ')}`)
+  }
+
+  if (query.since !== undefined) {
+    const since = Date.parse(query.since)
+    if (Number.isNaN(since)) {
+      throw new QueryError('Invalid since date')
+    }
+    options.since = since
+  }
+
+  if (query.salaryMin !== undefined) {
+    const salaryMin = Number(query.salaryMin)
+    if (Number.isNaN(salaryMin) || salaryMin < 0) {
+      throw new QueryError('Invalid salaryMin')
+    }
+    options.salaryMin = salaryMin
+  }
+
+  if (query.limit !== undefined) {
+    const limit = parseInt(query.limit, 10)
+    if (Number.isNaN(limit) || limit < 1) {
+      throw new QueryError('Invalid limit')
+    }
+    options.limit = Math.min(limit, MAX_LIMIT)
+  }
+
+  if (query.cursor !== undefined) {
+    options.cursor = decodeJobCursor(query.cursor)
+  }
+
+  return options
+}
+
+/**
+ * Checks a single job against the parsed filter options
+ * @param {Object} job - Job object from the cache
+ * @param {Object} options - Options returned by parseJobQuery
+ * @returns {boolean} - True if the job matches every filter
+ */
+function matchesJob(job, options) {
+  // Jobs scoring below the quality threshold are left out unless asked for
+  if (job.hidden && !options.includeHidden) {
+    return false
+  }
+
+  if (options.sources.length > 0 && !options.sources.includes(String(job.source).toLowerCase())) {
+    return false
+  }
+
+  if (options.company && !String(job.company || '').toLowerCase().includes(options.company)) {
+    return false
+  }
+
+  // Tags match both the raw source tags and the normalized skills
+  if (options.tags.length > 0) {
+    const jobTags = (job.tags || []).concat(job.skills || []).map(tag => String(tag).toLowerCase())
+    if (!options.tags.some(tag => jobTags.includes(tag))) {
+      return false
+    }
+  }
+
+  if (options.categories.length > 0) {
+    const categories = job.categories || []
+    if (!options.categories.some(category => categories.includes(category))) {
+      return false
+    }
+  }
+
+  if (options.since !== null) {
+    const posted = Date.parse(job.date)
+    if (Number.isNaN(posted) || posted < options.since) {
+      return false
+    }
+  }
+
+  if (options.employmentTypes.length > 0 && !options.employmentTypes.includes(job.employmentType)) {
+    return false
+  }
+
+  if (options.seniorities.length > 0 && !options.seniorities.includes(job.seniority)) {
+    return false
+  }
+
+  if (options.locations.length > 0) {
+    const restrictions = job.locationRestrictions || []
+    if (!options.locations.some(location => restrictions.includes(location))) {
+      return false
+    }
+  }
+
+  if (options.currency && (!job.salary || job.salary.currency !== options.currency)) {
+    return false
+  }
+
+  // Salaries are compared annualized, jobs without a salary never match
+  if (options.salaryMin !== null) {
+    const annual = annualSalary(job.salary)
+    if (annual === null || annual < options.salaryMin) {
+      return false
+    }
+  }
+
+  if (options.q) {
+    const haystack = [job.position, job.company, job.description]
+      .filter(Boolean)
+      .join(' ')
+      .toLowerCase()
+    if (!options.q.split(/\s+/).every(term => haystack.includes(term))) {
+      return false
+    }
+  }
+
+  return true
+}
+
+/**
+ * Filters, sorts and paginates the cached job list
+ * The popular sort orders by apply clicks, jobs with as many clicks stay newest first.
+ * Cursors resume after the last job of the previous page and are only valid for
+ * the snapshot they were issued for, a newer snapshot may have moved the jobs
+ * @param {Array} jobs - Full job list, already sorted newest first
+ * @param {Object} options - Options returned by parseJobQuery
+ * @param {Object} [popularity] - Click counts keyed by job key, for sort=popular
+ * @param {Date} [snapshot] - Time of the snapshot the jobs come from
+ * @returns {Object} - Envelope with jobs, total and nextCursor
+ * @throws {QueryError} - When the cursor belongs to another snapshot
+ */
+function queryJobs(jobs, options, popularity = {}, snapshot = new Date(0)) {
+  const snapshotTime = snapshot.getTime()
+  const matched = jobs.filter(job => matchesJob(job, options))
+  if (options.sort === 'popular') {
+    // Array.prototype.sort is stable, so ties keep the date order
+    matched.sort((first, second) => (popularity[second.key] || 0) - (popularity[first.key] || 0))
+  }
+
+  let start = 0
+  if (options.cursor) {
+    if (options.cursor.snapshot !== snapshotTime) {
+      throw new QueryError('Cursor is from an older snapshot, start again without a cursor')
+    }
+    start = matched.findIndex(job => (job.key || jobKey(job)) === options.cursor.key) + 1
+    if (start === 0) {
+      throw new QueryError('Cursor does not match this query, start again without a cursor')
+    }
+  }
+  const page = matched.slice(start, start + options.limit)
+  const last = page[page.length - 1]
+
+  return {
+    jobs: page,
+    total: matched.length,
+    nextCursor: start + page.length < matched.length ? encodeJobCursor(snapshotTime, last.key || jobKey(last)) : null
+  }
+}
+
+module.exports = {
+  FILTER_PARAMS,
+  QueryError,
+  encodeCursor,
+  decodeCursor,
+  hasJobQuery,
+  parseJobQuery,
+  matchesJob,
+  queryJobs
+}
@@ -0,0 +1,309 @@
+/**
+ * API keys, rate limiting and usage quotas for the public endpoints
+ *
+ * Clients may send an API key in the X-API-Key header (or the apiKey query
+ * parameter, for feed readers). Keys live in apiKeys/{sha256(key)}, so the
+ * plain key is never stored. Requests with a key draw from that key's token
+ * bucket, anonymous requests from a bucket per client IP (stored hashed).
+ * Buckets live in rateLimits/{id} and are updated in a transaction, so the
+ * limit holds across function instances. To keep busy clients from contending
+ * on one document, an instance takes tokens from the bucket in small leases
+ * and serves requests from its lease until it runs out; refusals are also kept
+ * per instance until the client may retry. Keys can also carry a daily quota;
+ * every request of a key is counted in apiKeys/{id}/usage/{YYYY-MM-DD}.
+ *
+ * Limits default to DEFAULT_LIMITS and can be changed in config/rateLimits:
+ * { enabled, anonymous: { capacity, refillPerMinute }, key: { capacity, refillPerMinute, dailyQuota } }
+ * A key document may override capacity, refillPerMinute and dailyQuota.
+ */
+const crypto = require('crypto')
+const {FieldValue} = require('firebase-admin/firestore')
+const {AuthError} = require('./auth')
+const {toDate} = require('./store')
+
+const DEFAULT_LIMITS = {
+  enabled: true,
+  anonymous: { capacity: 60, refillPerMinute: 60 },
+  key: { capacity: 300, refillPerMinute: 300, dailyQuota: null }
+}
+
+// Config and key documents are re-read at most this often per instance
+const CONFIG_CACHE_MS = 60 * 1000
+
+// Idle buckets can be deleted by a Firestore TTL policy on expiresAt
+const BUCKET_TTL_MS = 24 * 60 * 60 * 1000
+
+// A lease holds about this many seconds of the client's refill
+const LEASE_SECONDS = 2
+
+// Unused leased tokens and kept refusals expire after this long
+const LEASE_TTL_MS = 10 * 1000
+
+// Expired leases are dropped once an instance holds this many
+const MAX_LEASES = 10000
+
+const cache = new Map()
+
+// Leases and refusals of this instance, by bucket ID
+const leases = new Map()
+
+/**
+ * Hashes a value for use as a document ID
+ * @param {string} value - API key or IP address
+ * @returns {string} - Hex SHA-256 digest
+ */
+function sha256(value) {
+  return crypto.createHash('sha256').update(String(value)).digest('hex')
+}
+
+/**
+ * Reads a document through the per-instance cache
+ * @param {Object} ref - Document reference
+ * @returns {Promise<Object|null>} - Document data, or null if missing
+ */
+async function readCached(ref) {
+  const cached = cache.get(ref.path)
+  if (cached && cached.expiresAt > Date.now()) return cached.data
+
+  const doc = await ref.get()
+  const data = doc.exists ? doc.data() : null
+  cache.set(ref.path, { data, expiresAt: Date.now() + CONFIG_CACHE_MS })
+  return data
+}
+
+/**
+ * Loads the rate limit configuration merged over the defaults
+ * @param {Object} db - Firestore instance
+ * @returns {Promise<Object>}
+ */
+async function loadLimits(db) {
+  const config = await readCached(db.collection('config').doc('rateLimits')) || {}
+  return {
+    enabled: config.enabled !== false,
+    anonymous: { ...DEFAULT_LIMITS.anonymous, ...(config.anonymous || {}) },
+    key: { ...DEFAULT_LIMITS.key, ...(config.key || {}) }
+  }
+}
+
+/**
+ * Extracts the client IP address
+ * @param {Object} request - HTTP request
+ * @returns {string}
+ */
+function clientIp(request) {
+  const forwarded = (request.get('X-Forwarded-For') || '').split(',')[0].trim()
+  return request.ip || forwarded || 'unknown'
+}
+
+/**
+ * Identifies the client of a request and its limits
+ * @param {Object} db - Firestore instance
+ * @param {Object} request - HTTP request
+ * @param {Object} limits - Result of loadLimits
+ * @returns {Promise<Object>} - { bucketId, keyId, name, capacity, refillPerMinute, dailyQuota }
+ * @throws {AuthError} - For unknown or revoked keys
+ */
+async function identifyClient(db, request, limits) {
+  const apiKey = request.get('X-API-Key') || request.query.apiKey
+  if (!apiKey) {
+    return { bucketId: `ip_${sha256(clientIp(request))}`, keyId: null, name: null, ...limits.anonymous, dailyQuota: null }
+  }
+
+  const keyId = sha256(apiKey)
+  const keyDoc = await readCached(db.collection('apiKeys').doc(keyId))
+  if (!keyDoc || keyDoc.active === false) {
+    throw new AuthError('Invalid API key')
+  }
+
+  return {
+    bucketId: `key_${keyId}`,
+    keyId,
+    name: keyDoc.name || null,
+    capacity: keyDoc.capacity || limits.key.capacity,
+    refillPerMinute: keyDoc.refillPerMinute || limits.key.refillPerMinute,
+    dailyQuota: keyDoc.dailyQuota !== undefined ? keyDoc.dailyQuota : limits.key.dailyQuota
+  }
+}
+
+/**
+ * Number of tokens an instance takes from a bucket at once
+ * @param {Object} client - Result of identifyClient
+ * @returns {number}
+ */
+function leaseSize(client) {
+  return Math.max(1, Math.min(Math.floor(client.capacity), Math.round(client.refillPerMinute / 60 * LEASE_SECONDS)))
+}
+
+/**
+ * Takes a lease of tokens from the client's shared bucket
+ * The bucket refills continuously; the daily count resets at midnight UTC and
+ * counts every leased token
+ * @param {Object} db - Firestore instance
+ * @param {Object} client - Result of identifyClient
+ * @param {Date} now - Request time
+ * @returns {Promise<Object>} - { granted, result }, result as returned by takeToken
+ */
+async function leaseTokens(db, client, now) {
+  const ref = db.collection('rateLimits').doc(client.bucketId)
+  const day = now.toISOString().slice(0, 10)
+  const refillPerMs = client.refillPerMinute / 60000
+
+  return db.runTransaction(async transaction => {
+    const doc = await transaction.get(ref)
+    const previous = doc.exists ? doc.data() : null
+    const elapsed = previous ? Math.max(0, now - toDate(previous.updatedAt)) : 0
+    const tokens = previous
+      ? Math.min(client.capacity, previous.tokens + elapsed * refillPerMs)
+      : client.capacity
+    const dayCount = previous && previous.day === day ? previous.dayCount : 0
+
+    // Seconds until the bucket is full again
+    const resetSeconds = level => Math.ceil((client.capacity - level) / refillPerMs / 1000)
+
+    if (client.dailyQuota && dayCount >= client.dailyQuota) {
+      const midnight = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1)
+      return { granted: 0, result: { allowed: false, reason: 'Daily quota exceeded', remaining: 0, resetSeconds: resetSeconds(tokens), retryAfterSeconds: Math.ceil((midnight - now) / 1000) } }
+    }
+    if (tokens < 1) {
+      return { granted: 0, result: { allowed: false, reason: 'Rate limit exceeded', remaining: 0, resetSeconds: resetSeconds(tokens), retryAfterSeconds: Math.ceil((1 - tokens) / refillPerMs / 1000) } }
+    }
+
+    const quotaLeft = client.dailyQuota ? client.dailyQuota - dayCount : Infinity
+    const granted = Math.min(leaseSize(client), Math.floor(tokens), quotaLeft)
+    transaction.set(ref, {
+      tokens: tokens - granted,
+      updatedAt: now,
+      day,
+      dayCount: dayCount + granted,
+      expiresAt: new Date(now.getTime() + BUCKET_TTL_MS)
+    })
+    return { granted, result: { allowed: true, reason: null, remaining: Math.floor(tokens - 1), resetSeconds: resetSeconds(tokens - granted), retryAfterSeconds: 0 } }
+  })
+}
+
+/**
+ * Stores a lease or refusal for the client's bucket
+ * @param {string} bucketId - Bucket ID
+ * @param {Object} lease - { granted, result } from leaseTokens
+ * @param {Date} now - Request time
+ */
+function keepLease(bucketId, { granted, result }, now) {
+  if (leases.size >= MAX_LEASES) {
+    leases.forEach((lease, id) => {
+      if (!lease.pending && lease.expiresAt <= now.getTime()) leases.delete(id)
+    })
+  }
+  const ttl = result.allowed ? LEASE_TTL_MS : Math.min(LEASE_TTL_MS, result.retryAfterSeconds * 1000)
+  leases.set(bucketId, { tokens: granted - 1, result, expiresAt: now.getTime() + ttl })
+}
+
+/**
+ * Takes one token for the client, from this instance's lease when it has one
+ * Concurrent requests of a client share one lease transaction
+ * @param {Object} db - Firestore instance
+ * @param {Object} client - Result of identifyClient
+ * @param {Date} [now] - Request time
+ * @returns {Promise<Object>} - { allowed, remaining, resetSeconds, retryAfterSeconds, reason }
+ */
+async function takeToken(db, client, now = new Date()) {
+  for (;;) {
+    const lease = leases.get(client.bucketId)
+    if (lease && lease.pending) {
+      await lease.pending
+      continue
+    }
+    if (lease && lease.expiresAt > now.getTime()) {
+      if (!lease.result.allowed) {
+        return { ...lease.result, retryAfterSeconds: Math.max(1, Math.ceil((lease.expiresAt - now.getTime()) / 1000)) }
+      }
+      if (lease.tokens >= 1) {
+        lease.tokens -= 1
+        lease.result = { ...lease.result, remaining: Math.max(0, lease.result.remaining - 1) }
+        return lease.result
+      }
+    }
+
+    const pending = leaseTokens(db, client, now)
+    leases.set(client.bucketId, { pending })
+    try {
+      const taken = await pending
+      keepLease(client.bucketId, taken, now)
+      return taken.result
+    } catch (error) {
+      leases.delete(client.bucketId)
+      throw error
+    }
+  }
+}
+
+/**
+ * Counts a request of an API key in its daily usage document
+ * Every request is written as an increment, so no count is held back in an
+ * instance that may be shut down
+ * @param {Object} db - Firestore instance
+ * @param {Object} client - Result of identifyClient
+ * @param {boolean} allowed - Whether the request was served
+ * @param {Date} now - Request time
+ */
+async function recordUsage(db, client, allowed, now) {
+  const day = now.toISOString().slice(0, 10)
+  await db.collection('apiKeys').doc(client.keyId).collection('usage').doc(day).set({
+    day,
+    requests: FieldValue.increment(allowed ? 1 : 0),
+    throttled: FieldValue.increment(allowed ? 0 : 1),
+    lastRequestAt: now
+  }, { merge: true })
+}
+
+/**
+ * Applies the rate limit to a request and sets the RateLimit-* headers
+ * Sends the 401 or 429 response itself. Errors of the limiter are logged and
+ * let the request through, so an outage of the limiter does not take the API down
+ * @param {Object} db - Firestore instance
+ * @param {Object} request - HTTP request
+ * @param {Object} response - HTTP response
+ * @returns {Promise<boolean>} - True if the request may be served
+ */
+async function enforceRateLimit(db, request, response) {
+  const now = new Date()
+  let client
+  let result
+
+  try {
+    const limits = await loadLimits(db)
+    if (!limits.enabled) return true
+    client = await identifyClient(db, request, limits)
+    result = await takeToken(db, client, now)
+  } catch (error) {
+    if (error instanceof AuthError) {
+      response.status(error.status).json({ error: error.message })
+      return false
+    }
+    console.error('Rate limiter unavailable, letting the request through:', error.message)
+    return true
+  }
+
+  response.set('RateLimit-Limit', String(client.capacity))
+  response.set('RateLimit-Remaining', String(result.remaining))
+  response.set('RateLimit-Reset', String(result.resetSeconds))
+  response.set('RateLimit-Policy', `${client.capacity};w=${Math.round(client.capacity / client.refillPerMinute * 60)}`)
+
+  if (client.keyId) {
+    try {
+      await recordUsage(db, client, result.allowed, now)
+    } catch (error) {
+      console.error('Failed to record API key usage:', error.message)
+    }
+  }
+
+  if (!result.allowed) {
+    response.set('Retry-After', String(result.retryAfterSeconds))
+    response.status(429).json({ error: result.reason, retryAfterSeconds: result.retryAfterSeconds })
+    return false
+  }
+  return true
+}
+
+module.exports = {
+  enforceRateLimit
+}
@@ -0,0 +1,199 @@
+/**
+ * Saved jobs and application tracking of signed-in users
+ *
+ * Entries live in users/{uid}/savedJobs/{jobKey}. Each one keeps a snapshot of
+ * the job taken when it was saved, so it stays readable after the listing
+ * expires, plus the user's status (saved, applied, interviewing, rejected),
+ * notes and a history of status changes.
+ */
+const {QueryError} = require('./query')
+const {isJobKey, toDate, readJobDocument} = require('./store')
+const {excerpt} = require('./text')
+
+const STATUSES = ['saved', 'applied', 'interviewing', 'rejected']
+const MAX_NOTES_LENGTH = 5000
+const MAX_HISTORY = 50
+
+// Job fields kept in the snapshot, the full description stays on the job document
+const SNAPSHOT_FIELDS = ['id', 'key', 'source', 'company', 'companySlug', 'position', 'url', 'image', 'date', 'location', 'salary', 'employmentType', 'tags']
+
+/**
+ * Validates the status and notes of a request body
+ * @param {Object} body - { status, notes }
+ * @returns {Object} - Only the fields present in the body
+ */
+function validateEntryFields(body) {
+  const fields = {}
+  if (body.status !== undefined) {
+    if (!STATUSES.includes(body.status)) {
+      throw new QueryError(`status must be one of: ${STATUSES.join(', ')}`)
+    }
+    fields.status = body.status
+  }
+  if (body.notes !== undefined && body.notes !== null) {
+    if (typeof body.notes !== 'string' || body.notes.length > MAX_NOTES_LENGTH) {
+      throw new QueryError(`notes must be a string of at most ${MAX_NOTES_LENGTH} characters`)
+    }
+    fields.notes = body.notes
+  }
+  return fields
+}
+
+/**
+ * Builds the stored snapshot of a job document
+ * @param {Object} job - Job document data
+ * @returns {Object}
+ */
+function jobSnapshot(job) {
+  const snapshot = {}
+  SNAPSHOT_FIELDS.forEach(field => {
+    if (job[field] !== undefined) snapshot[field] = job[field]
+  })
+  snapshot.description = excerpt(job.description || '', 500)
+  return snapshot
+}
+
+/**
+ * Converts a saved job document to its public representation
+ * @param {Object} doc - Firestore document snapshot
+ * @param {string} [listingStatus] - Current status of the job document, if known
+ * @returns {Object}
+ */
+function toPublicEntry(doc, listingStatus) {
+  const { status, notes, job, history, createdAt, updatedAt } = doc.data()
+  const entry = {
+    id: doc.id,
+    status,
+    notes: notes || '',
+    job,
+    history: (history || []).map(change => ({ status: change.status, at: toDate(change.at).toISOString() })),
+    createdAt: createdAt ? toDate(createdAt).toISOString() : null,
+    updatedAt: updatedAt ? toDate(updatedAt).toISOString() : null
+  }
+  if (listingStatus !== undefined) {
+    entry.listingStatus = listingStatus
+  }
+  return entry
+}
+
+/**
+ * Returns the saved jobs collection of a user
+ * @param {Object} db - Firestore instance
+ * @param {string} uid - Firebase Auth user ID
+ * @returns {Object}
+ */
+function savedJobsCollection(db, uid) {
+  return db.collection('users').doc(uid).collection('savedJobs')
+}
+
+/**
+ * Lists a user's saved jobs, most recently changed first
+ * listingStatus tells whether the job is still active, expired or gone
+ * @param {Object} db - Firestore instance
+ * @param {string} uid - Firebase Auth user ID
+ * @param {Object} [filters] - { status }
+ * @returns {Promise<Array>}
+ */
+async function listSavedJobs(db, uid, filters = {}) {
+  let query = savedJobsCollection(db, uid)
+  if (filters.status !== undefined) {
+    query = query.where('status', '==', validateEntryFields({ status: filters.status }).status)
+  }
+  const snapshot = await query.get()
+  const docs = snapshot.docs.sort((first, second) => toDate(second.get('updatedAt')) - toDate(first.get('updatedAt')))
+  if (docs.length === 0) return []
+
+  const jobDocs = await db.getAll(...docs.map(doc => db.collection('jobs').doc(doc.id)))
+  return docs.map((doc, index) => toPublicEntry(doc, jobDocs[index].exists ? jobDocs[index].get('status') : 'removed'))
+}
+
+/**
+ * Saves a job for a user, or updates the entry if it is already saved
+ * @param {Object} db - Firestore instance
+ * @param {string} uid - Firebase Auth user ID
+ * @param {Object} body - { jobId (key or source ID), status, notes }
+ * @returns {Promise<Object|null>} - { entry, created }, or null if the job does not exist
+ */
+async function saveJob(db, uid, body = {}) {
+  if (!body.jobId) {
+    throw new QueryError('Missing jobId')
+  }
+  const fields = validateEntryFields(body)
+
+  const job = await readJobDocument(db, body.jobId)
+  if (!job) return null
+
+  const ref = savedJobsCollection(db, uid).doc(job.key)
+  const existing = await ref.get()
+  if (existing.exists) {
+    return { entry: await updateSavedJob(db, uid, job.key, fields), created: false }
+  }
+
+  const now = new Date()
+  const status = fields.status || 'saved'
+  await ref.set({
+    status,
+    notes: fields.notes || '',
+    job: jobSnapshot(job),
+    history: [{ status, at: now }],
+    createdAt: now,
+    updatedAt: now
+  })
+  return { entry: toPublicEntry(await ref.get()), created: true }
+}
+
+/**
+ * Changes the status or notes of a saved job
+ * A status change is appended to the history
+ * @param {Object} db - Firestore instance
+ * @param {string} uid - Firebase Auth user ID
+ * @param {string} key - Job key
+ * @param {Object} body - { status, notes }
+ * @returns {Promise<Object|null>} - Updated entry, or null if the job is not saved
+ */
+async function updateSavedJob(db, uid, key, body = {}) {
+  const fields = validateEntryFields(body)
+  if (Object.keys(fields).length === 0) {
+    throw new QueryError('Nothing to update, send status or notes')
+  }
+
+  // Anything but a job key, e.g. one containing '/', cannot name a saved job
+  if (!isJobKey(key)) return null
+
+  const ref = savedJobsCollection(db, uid).doc(key)
+  const doc = await ref.get()
+  if (!doc.exists) return null
+
+  const now = new Date()
+  const update = { ...fields, updatedAt: now }
+  if (fields.status && fields.status !== doc.get('status')) {
+    update.history = (doc.get('history') || []).concat({ status: fields.status, at: now }).slice(-MAX_HISTORY)
+  }
+  await ref.update(update)
+  return toPublicEntry(await ref.get())
+}
+
+/**
+ * Removes a saved job
+ * @param {Object} db - Firestore instance
+ * @param {string} uid - Firebase Auth user ID
+ * @param {string} key - Job key
+ * @returns {Promise<boolean>} - False if the job was not saved
+ */
+async function deleteSavedJob(db, uid, key) {
+  if (!isJobKey(key)) return false
+
+  const ref = savedJobsCollection(db, uid).doc(key)
+  const doc = await ref.get()
+  if (!doc.exists) return false
+  await ref.delete()
+  return true
+}
+
+module.exports = {
+  STATUSES,
+  listSavedJobs,
+  saveJob,
+  updateSavedJob,
+  deleteSavedJob
+}
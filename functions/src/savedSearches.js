@@ -0,0 +1,297 @@
+/**
+ * Saved searches and new-job alerts
+ *
+ * A saved search stores getRemoteJobs filters and a notification target.
+ * Searches are owned by whoever holds the owner token returned when the first
+ * one was created; only a hash of the token is stored. After each cache update
+ * the jobs that are new in that run are matched against every saved search and
+ * a digest is delivered through the search's notifier. Delivered job keys are
+ * recorded in a deliveries subcollection so nobody gets the same job twice.
+ * Matches that do not fit in a digest are kept on the search as pendingKeys
+ * and delivered with the next one while the jobs are still listed.
+ *
+ * Targets of notifiers that require confirmation (email) get nothing but a
+ * confirmation link until it is opened. Confirmation mails to one address are
+ * throttled, see alertConfirmations.
+ */
+const crypto = require('crypto')
+const {FILTER_PARAMS, QueryError, parseJobQuery, matchesJob} = require('./query')
+const {notifiers} = require('./notifiers')
+const {toDate} = require('./store')
+
+// Pagination parameters make no sense for an alert
+const SEARCH_PARAMS = FILTER_PARAMS.filter(param => !['limit', 'cursor', 'sort'].includes(param))
+
+// Upper bound of jobs listed in one digest, the rest wait for the next digest
+const MAX_DIGEST_JOBS = 50
+
+// Upper bound of matches a search keeps waiting for later digests
+const MAX_PENDING_KEYS = 500
+
+// At most one confirmation mail per address in this interval
+const CONFIRMATION_INTERVAL_MS = 60 * 60 * 1000
+
+/**
+ * Checks that an ID can name a saved search document
+ * @param {*} id - ID from the request
+ * @returns {boolean}
+ */
+function isSearchId(id) {
+  return typeof id === 'string' && /^[A-Za-z0-9_-]{1,128}$/.test(id)
+}
+
+/**
+ * Hashes an owner token for storage and lookup
+ * @param {string} token - Owner token
+ * @returns {string} - Hex SHA-256 digest
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex')
+}
+
+/**
+ * Validates the body of a create request
+ * @param {Object} body - { name, filters, notify, ownerToken }
+ * @returns {Promise<Object>} - Sanitized filters and notify target
+ */
+async function validateSavedSearch(body) {
+  const { name, filters = {}, notify = {} } = body || {}
+
+  const unknown = Object.keys(filters).filter(param => !SEARCH_PARAMS.includes(param))
+  if (unknown.length > 0) {
+    throw new QueryError(`Unsupported filters: ${unknown.join(', ')}`)
+  }
+
+  const sanitizedFilters = {}
+  SEARCH_PARAMS.forEach(param => {
+    if (filters[param] !== undefined && filters[param] !== null) {
+      sanitizedFilters[param] = String(filters[param])
+    }
+  })
+  if (Object.keys(sanitizedFilters).length === 0) {
+    throw new QueryError('At least one filter is required')
+  }
+
+  // Throws a QueryError for malformed values
+  parseJobQuery(sanitizedFilters)
+
+  const notifier = notifiers[notify.type]
+  if (!notifier) {
+    throw new QueryError(`notify.type must be one of: ${Object.keys(notifiers).join(', ')}`)
+  }
+  const targetError = await notifier.validate(notify)
+  if (targetError) {
+    throw new QueryError(targetError)
+  }
+
+  return {
+    name: String(name || sanitizedFilters.q || 'Saved search').slice(0, 100),
+    filters: sanitizedFilters,
+    notify: notify.type === 'email'
+      ? { type: 'email', address: String(notify.address) }
+      : { type: notify.type, url: String(notify.url) }
+  }
+}
+
+/**
+ * Converts a saved search document to its public representation
+ * @param {Object} doc - Firestore document snapshot
+ * @returns {Object}
+ */
+function toPublicSearch(doc) {
+  const { name, filters, notify, createdAt, lastNotifiedAt } = doc.data()
+  return {
+    id: doc.id,
+    name,
+    filters,
+    notify,
+    createdAt: createdAt ? toDate(createdAt).toISOString() : null,
+    lastNotifiedAt: lastNotifiedAt ? toDate(lastNotifiedAt).toISOString() : null
+  }
+}
+
+/**
+ * Records a confirmation mail to a target unless one was sent recently
+ * @param {Object} db - Firestore instance
+ * @param {string} target - Target address
+ * @param {Date} now - Current time
+ * @returns {Promise<boolean>} - False if the target is throttled
+ */
+async function reserveConfirmation(db, target, now) {
+  const ref = db.collection('alertConfirmations').doc(hashToken(target.toLowerCase()))
+  return db.runTransaction(async transaction => {
+    const doc = await transaction.get(ref)
+    const sentAt = doc.exists ? toDate(doc.get('sentAt')) : null
+    if (sentAt && now - sentAt < CONFIRMATION_INTERVAL_MS) {
+      return false
+    }
+    transaction.set(ref, { sentAt: now })
+    return true
+  })
+}
+
+/**
+ * Creates a saved search
+ * Targets requiring confirmation are mailed a link to confirmUrl; the search
+ * stays silent until it is opened
+ * @param {Object} db - Firestore instance
+ * @param {Object} body - Request body, may carry an existing ownerToken
+ * @param {Object} [options] - { confirmUrl: URL of the savedSearches endpoint }
+ * @returns {Promise<Object>} - { search, ownerToken }, plus confirmationSent for targets requiring confirmation
+ */
+async function createSavedSearch(db, body, { confirmUrl } = {}) {
+  const search = await validateSavedSearch(body)
+  const ownerToken = body.ownerToken ? String(body.ownerToken) : crypto.randomBytes(24).toString('hex')
+  const notifier = notifiers[search.notify.type]
+  const confirmToken = notifier.requiresConfirmation ? crypto.randomBytes(24).toString('hex') : null
+
+  const ref = await db.collection('savedSearches').add({
+    ...search,
+    notify: confirmToken ? { ...search.notify, confirmed: false } : search.notify,
+    ownerTokenHash: hashToken(ownerToken),
+    confirmTokenHash: confirmToken ? hashToken(confirmToken) : null,
+    createdAt: new Date(),
+    lastNotifiedAt: null
+  })
+
+  const created = { search: toPublicSearch(await ref.get()), ownerToken }
+  if (confirmToken) {
+    created.confirmationSent = await reserveConfirmation(db, search.notify.address, new Date())
+    if (created.confirmationSent) {
+      const link = `${confirmUrl}?id=${encodeURIComponent(ref.id)}&confirm=${confirmToken}`
+      try {
+        await notifier.sendConfirmation(search.notify, link)
+      } catch (error) {
+        console.error(`Failed to send the confirmation of saved search ${ref.id}:`, error.message)
+        created.confirmationSent = false
+      }
+    }
+  }
+  return created
+}
+
+/**
+ * Confirms the target of a saved search through the mailed link
+ * @param {Object} db - Firestore instance
+ * @param {string} id - Saved search ID
+ * @param {string} token - Confirmation token from the link
+ * @returns {Promise<boolean>} - False if the search does not exist or the token does not match
+ */
+async function confirmSavedSearch(db, id, token) {
+  if (!isSearchId(id)) return false
+  const ref = db.collection('savedSearches').doc(String(id))
+  const doc = await ref.get()
+  if (!doc.exists || !doc.get('confirmTokenHash') || doc.get('confirmTokenHash') !== hashToken(token)) {
+    return false
+  }
+  await ref.update({ 'notify.confirmed': true, confirmTokenHash: null, confirmedAt: new Date() })
+  return true
+}
+
+/**
+ * Lists the saved searches of an owner
+ * @param {Object} db - Firestore instance
+ * @param {string} ownerToken - Owner token
+ * @returns {Promise<Array>}
+ */
+async function listSavedSearches(db, ownerToken) {
+  const snapshot = await db.collection('savedSearches')
+    .where('ownerTokenHash', '==', hashToken(ownerToken))
+    .get()
+  return snapshot.docs.map(toPublicSearch)
+}
+
+/**
+ * Deletes a saved search and its delivery history
+ * @param {Object} db - Firestore instance
+ * @param {string} id - Saved search ID
+ * @param {string} ownerToken - Owner token
+ * @returns {Promise<boolean>} - False if the search does not exist or is not owned by the token
+ */
+async function deleteSavedSearch(db, id, ownerToken) {
+  if (!isSearchId(id)) return false
+  const ref = db.collection('savedSearches').doc(String(id))
+  const doc = await ref.get()
+  if (!doc.exists || doc.get('ownerTokenHash') !== hashToken(ownerToken)) {
+    return false
+  }
+  await db.recursiveDelete(ref)
+  return true
+}
+
+/**
+ * Matches the jobs added in the last run against every saved search and
+ * delivers a digest per search. Matches left over from an earlier digest are
+ * delivered first, as long as they are still listed. A failing search is
+ * logged and does not stop the others
+ * @param {Object} db - Firestore instance
+ * @param {Array} newJobs - Jobs added in this run (with their key)
+ * @param {Array} [listedJobs] - Every job listed after this run (with their key), to resolve pending matches
+ * @returns {Promise<Object>} - Counts of notified searches, delivered jobs and failures
+ */
+async function deliverSavedSearchAlerts(db, newJobs, listedJobs = newJobs) {
+  const summary = { searches: 0, notified: 0, jobs: 0, failed: 0 }
+  if (listedJobs.length === 0) return summary
+
+  const listed = new Map(listedJobs.map(job => [job.key, job]))
+  const searches = await db.collection('savedSearches').get()
+  summary.searches = searches.size
+
+  for (const doc of searches.docs) {
+    const search = { id: doc.id, ...doc.data() }
+    const notifier = notifiers[search.notify && search.notify.type]
+    if (notifier && notifier.requiresConfirmation && search.notify.confirmed !== true) continue
+
+    try {
+      if (!notifier) {
+        throw new Error(`Unknown notifier ${search.notify && search.notify.type}`)
+      }
+      const options = parseJobQuery(search.filters || {})
+      const pendingKeys = Array.isArray(search.pendingKeys) ? search.pendingKeys : []
+      const carried = pendingKeys.filter(key => listed.has(key)).map(key => listed.get(key))
+      const carriedKeys = new Set(carried.map(job => job.key))
+      const matched = carried.concat(newJobs.filter(job => !carriedKeys.has(job.key) && matchesJob(job, options)))
+      if (matched.length === 0) {
+        if (pendingKeys.length > 0) await doc.ref.update({ pendingKeys: [] })
+        continue
+      }
+
+      // Skip jobs this search was already told about (e.g. reactivated listings)
+      const deliveries = doc.ref.collection('deliveries')
+      const deliveryDocs = await db.getAll(...matched.map(job => deliveries.doc(job.key)))
+      const delivered = new Set(deliveryDocs.filter(delivery => delivery.exists).map(delivery => delivery.id))
+      const undelivered = matched.filter(job => !delivered.has(job.key))
+      const pending = undelivered.slice(0, MAX_DIGEST_JOBS)
+      const overflow = undelivered.slice(MAX_DIGEST_JOBS, MAX_DIGEST_JOBS + MAX_PENDING_KEYS)
+      if (pending.length === 0) {
+        if (pendingKeys.length > 0) await doc.ref.update({ pendingKeys: [] })
+        continue
+      }
+
+      await notifier.send(search, pending, undelivered.length - pending.length)
+
+      const deliveredAt = new Date()
+      const batch = db.batch()
+      pending.forEach(job => batch.set(deliveries.doc(job.key), { deliveredAt }))
+      batch.update(doc.ref, { lastNotifiedAt: deliveredAt, pendingKeys: overflow.map(job => job.key) })
+      await batch.commit()
+
+      summary.notified++
+      summary.jobs += pending.length
+    } catch (error) {
+      summary.failed++
+      console.error(`Failed to deliver alerts for saved search ${doc.id}:`, error.message)
+    }
+  }
+
+  console.log(`Saved search alerts: ${summary.notified}/${summary.searches} searches notified, ${summary.jobs} jobs, ${summary.failed} failures`)
+  return summary
+}
+
+module.exports = {
+  createSavedSearch,
+  confirmSavedSearch,
+  listSavedSearches,
+  deleteSavedSearch,
+  deliverSavedSearchAlerts
+}
@@ -0,0 +1,299 @@
+/**
+ * Versioned schema of the normalized job
+ *
+ * Adapters build their jobs independently, so every normalized record is
+ * repaired and validated here before it enters the pipeline. Repairs trim
+ * strings (but not id and url, which identify the posting), add dateIso next
+ * to the legacy toUTCString date and resolve relative URLs against the
+ * source's homepage; records that still do not match JOB_SCHEMA are
+ * quarantined (see quarantineRecords) instead of reaching the snapshot. The
+ * final records are validated again before the snapshot is written (see
+ * partitionValidJobs), as later steps add fields of their own. The schema is a JSON Schema served by getSchema, so clients
+ * can generate types from it. Bump SCHEMA_VERSION on incompatible changes.
+ */
+const {FieldValue} = require('firebase-admin/firestore')
+const {CATEGORIES} = require('./taxonomy')
+const {sha1, commitInBatches} = require('./store')
+
+const SCHEMA_VERSION = 1
+
+// Quarantined records are meant to be removed by a Firestore TTL policy on expiresAt
+const QUARANTINE_TTL_MS = 30 * 24 * 60 * 60 * 1000
+
+// Raw payloads are kept as JSON text, cut to stay far below the document limit
+const MAX_PAYLOAD_LENGTH = 64 * 1024
+
+const nullableString = { type: ['string', 'null'] }
+
+const JOB_SCHEMA = {
+  $schema: 'https://json-schema.org/draft/2020-12/schema',
+  $id: `urn:remotejobs:job:v${SCHEMA_VERSION}`,
+  title: 'Job',
+  description: 'A remote job listing as served by getRemoteJobs, getJobsFeed and the other list endpoints',
+  type: 'object',
+  required: ['id', 'source', 'company', 'position', 'date', 'dateIso', 'url', 'description', 'tags', 'image'],
+  properties: {
+    id: { type: ['string', 'number'], description: 'ID of the posting at its source' },
+    key: { type: 'string', description: 'Stable key of the job, a SHA-1 of source and ID' },
+    source: { type: 'string', minLength: 1 },
+    company: { type: 'string', minLength: 1 },
+    companySlug: nullableString,
+    position: { type: 'string', minLength: 1 },
+    date: { type: 'string', minLength: 1, description: 'Posting date in the legacy toUTCString format' },
+    dateIso: { type: 'string', format: 'date-time', description: 'Posting date as ISO 8601' },
+    dateRepaired: { type: 'boolean', description: 'Set when the source date could not be parsed' },
+    url: { type: 'string', format: 'uri', pattern: '^https?://' },
+    description: { type: 'string', description: 'Plain text description' },
+    tags: { type: 'array', items: { type: 'string' } },
+    image: {
+      type: 'object',
+      required: ['uri'],
+      properties: { uri: { type: 'string', format: 'uri', pattern: '^https?://' } }
+    },
+    location: { type: 'string' },
+    salary: {
+      type: ['object', 'null'],
+      required: ['currency', 'period'],
+      properties: {
+        min: { type: ['number', 'null'] },
+        max: { type: ['number', 'null'] },
+        currency: { type: 'string' },
+        period: { type: 'string', enum: ['hour', 'day', 'week', 'month', 'year'] }
+      }
+    },
+    locationRestrictions: { type: 'array', items: { type: 'string' } },
+    employmentType: nullableString,
+    seniority: nullableString,
+    categories: { type: 'array', items: { type: 'string', enum: CATEGORIES } },
+    skills: { type: 'array', items: { type: 'string' } },
+    alsoListedOn: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['source', 'url'],
+        properties: { source: { type: 'string' }, url: { type: 'string' }, id: { type: ['string', 'number'] } }
+      }
+    },
+    firstSeenAt: { type: ['string', 'null'], format: 'date-time' },
+    qualityScore: { type: 'number', minimum: 0, maximum: 100 },
+    flags: { type: 'array', items: { type: 'string' } },
+    hidden: { type: 'boolean' }
+  },
+  additionalProperties: true
+}
+
+// Optional string fields dropped when they end up empty
+const optionalStrings = ['location', 'employmentType']
+
+// Fields left exactly as the adapter built them; id is part of the job key
+const untrimmedFields = ['id', 'url']
+
+/**
+ * Resolves a URL against a base, keeping only http(s) URLs
+ * @param {*} value - Absolute, relative or protocol-relative URL
+ * @param {string} [base] - Source homepage
+ * @returns {string|null} - Absolute URL, or null if it cannot be made one
+ */
+function absoluteUrl(value, base) {
+  if (typeof value !== 'string' || !value.trim()) return null
+  try {
+    const url = base ? new URL(value.trim(), base) : new URL(value.trim())
+    return ['http:', 'https:'].includes(url.protocol) ? url.toString() : null
+  } catch (error) {
+    return null
+  }
+}
+
+/**
+ * Fixes what can be fixed in a normalized job
+ * @param {Object} job - Normalized job
+ * @param {string} [homepage] - Source homepage, base of relative URLs
+ * @returns {Object} - Repaired copy of the job
+ */
+function repairJob(job, homepage) {
+  const repaired = { ...job }
+
+  Object.keys(repaired).forEach(field => {
+    if (typeof repaired[field] === 'string' && !untrimmedFields.includes(field)) repaired[field] = repaired[field].trim()
+  })
+  optionalStrings.forEach(field => {
+    if (repaired[field] === '') delete repaired[field]
+  })
+
+  const time = Date.parse(repaired.date)
+  if (!Number.isNaN(time)) {
+    repaired.date = new Date(time).toUTCString()
+    repaired.dateIso = new Date(time).toISOString()
+  }
+
+  // Only relative URLs are resolved, absolute ones stay as they are
+  if (typeof repaired.url === 'string' && !/^https?:\/\//i.test(repaired.url)) {
+    repaired.url = absoluteUrl(repaired.url, homepage) || repaired.url
+  }
+  if (repaired.image && typeof repaired.image === 'object') {
+    repaired.image = { ...repaired.image, uri: absoluteUrl(repaired.image.uri, homepage) || repaired.image.uri }
+  }
+
+  if (repaired.description === undefined || repaired.description === null) {
+    repaired.description = ''
+  }
+
+  if (Array.isArray(repaired.tags)) {
+    repaired.tags = repaired.tags.map(tag => String(tag).trim()).filter(Boolean)
+  } else if (repaired.tags === undefined || repaired.tags === null) {
+    repaired.tags = []
+  }
+
+  return repaired
+}
+
+/**
+ * Checks a value against its JSON type
+ * @param {*} value - Value to check
+ * @param {string} type - JSON Schema type
+ * @returns {boolean}
+ */
+function hasType(value, type) {
+  switch (type) {
+    case 'null': return value === null
+    case 'array': return Array.isArray(value)
+    case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value)
+    case 'number': return typeof value === 'number' && Number.isFinite(value)
+    default: return typeof value === type
+  }
+}
+
+/**
+ * Validates a value against the subset of JSON Schema used by JOB_SCHEMA
+ * (type, required, properties, items, enum, minLength, minimum, maximum, pattern, format)
+ * @param {*} value - Value to validate
+ * @param {Object} schema - Schema of the value
+ * @param {string} path - Path of the value, for messages
+ * @returns {Array} - Error messages, empty if valid
+ */
+function validateValue(value, schema, path) {
+  const types = [].concat(schema.type || [])
+  if (types.length > 0 && !types.some(type => hasType(value, type))) {
+    return [`${path} must be of type ${types.join(' or ')}`]
+  }
+
+  const errors = []
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path} must be one of ${schema.enum.join(', ')}`)
+  }
+  if (typeof value === 'string') {
+    if (schema.minLength && value.length < schema.minLength) errors.push(`${path} must not be empty`)
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) errors.push(`${path} must match ${schema.pattern}`)
+    if (schema.format === 'date-time' && Number.isNaN(Date.parse(value))) errors.push(`${path} must be a date-time`)
+    if (schema.format === 'uri' && !absoluteUrl(value)) errors.push(`${path} must be an absolute URL`)
+  }
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${path} must be at least ${schema.minimum}`)
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${path} must be at most ${schema.maximum}`)
+  }
+  if (hasType(value, 'object') && schema.properties) {
+    (schema.required || []).forEach(field => {
+      if (value[field] === undefined) errors.push(`${path}.${field} is required`)
+    })
+    Object.keys(schema.properties).forEach(field => {
+      if (value[field] !== undefined) {
+        errors.push(...validateValue(value[field], schema.properties[field], `${path}.${field}`))
+      }
+    })
+  }
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, index) => errors.push(...validateValue(item, schema.items, `${path}[${index}]`)))
+  }
+  return errors
+}
+
+/**
+ * Validates a repaired job against JOB_SCHEMA
+ * @param {Object} job - Repaired job
+ * @param {Object} [options] - { allowInvalidDate: leave unparseable dates to the source's repair policy }
+ * @returns {Array} - Error messages, empty if valid
+ */
+function validateJob(job, { allowInvalidDate = false } = {}) {
+  const errors = validateValue(job, JOB_SCHEMA, 'job')
+  if (!allowInvalidDate) return errors
+  return errors.filter(error => !/^job\.date(Iso)?\b/.test(error))
+}
+
+/**
+ * Validates the final records of the pipeline, before the snapshot is written
+ * Enrichment, classification, deduplication and scoring run after the
+ * per-source validation and add fields of their own, which are checked here
+ * @param {Array} jobs - Jobs about to be written
+ * @returns {Object} - { jobs: valid jobs, rejected: { [source]: [{ item, errors }] } }
+ */
+function partitionValidJobs(jobs) {
+  const valid = []
+  const rejected = {}
+  jobs.forEach(job => {
+    const errors = validateJob(job)
+    if (errors.length === 0) {
+      valid.push(job)
+      return
+    }
+    rejected[job.source] = (rejected[job.source] || []).concat({ item: job, errors })
+  })
+  return { jobs: valid, rejected }
+}
+
+/**
+ * Serializes a raw source item for the quarantine
+ * @param {*} item - Raw item as returned by the adapter
+ * @returns {Object} - { payload, payloadTruncated }
+ */
+function serializePayload(item) {
+  let payload
+  try {
+    payload = JSON.stringify(item === undefined ? null : item)
+  } catch (error) {
+    payload = String(item)
+  }
+  return payload.length > MAX_PAYLOAD_LENGTH
+    ? { payload: payload.slice(0, MAX_PAYLOAD_LENGTH), payloadTruncated: true }
+    : { payload, payloadTruncated: false }
+}
+
+/**
+ * Stores records that failed validation in quarantine/{id}
+ * The same record failing again in later runs updates its document and count
+ * @param {Object} db - Firestore instance
+ * @param {string} source - Source name
+ * @param {Array} records - { item, errors } per rejected record
+ * @param {Date} [now] - Time of the run
+ * @returns {Promise<number>} - Number of records stored
+ */
+async function quarantineRecords(db, source, records, now = new Date()) {
+  if (records.length === 0) return 0
+
+  const operations = records.map(({ item, errors }) => {
+    const { payload, payloadTruncated } = serializePayload(item)
+    const ref = db.collection('quarantine').doc(sha1(`${source}:${payload}`))
+    return batch => batch.set(ref, {
+      source,
+      reason: errors[0],
+      errors,
+      payload,
+      payloadTruncated,
+      schemaVersion: SCHEMA_VERSION,
+      count: FieldValue.increment(1),
+      lastSeenAt: now,
+      expiresAt: new Date(now.getTime() + QUARANTINE_TTL_MS)
+    }, { merge: true })
+  })
+  await commitInBatches(db, operations)
+  console.warn(`${source}: quarantined ${records.length} records failing schema v${SCHEMA_VERSION}: ${records[0].errors[0]}`)
+  return records.length
+}
+
+module.exports = {
+  SCHEMA_VERSION,
+  JOB_SCHEMA,
+  repairJob,
+  validateJob,
+  partitionValidJobs,
+  quarantineRecords
+}
@@ -0,0 +1,425 @@
+/**
+ * Full-text search index built by the cache update
+ *
+ * Position, company, tags/skills and the cleaned description of every active
+ * job are tokenized, stop words are dropped and the remaining words stemmed.
+ * The inverted index maps each term to compact postings ("jobIndex:weight,...")
+ * and is spread over searchIndex/shard_N documents by a hash of the term, so a
+ * query only reads the shards of its own terms and every shard stays well
+ * under the 1MB document limit. The indexed job keys and posting dates that
+ * postings refer to by position are listed in searchIndex/jobs_N documents of
+ * JOBS_PER_LIST jobs each; searchIndex/meta only holds the counts.
+ */
+const crypto = require('crypto')
+const {commitInBatches} = require('./store')
+const {QueryError, encodeCursor, decodeCursor} = require('./query')
+
+// Field weights: a term in the title counts three times a description match
+const FIELD_WEIGHTS = { position: 3, company: 2, tags: 2, description: 1 }
+
+// Postings per shard are sized against this budget, a third of the document limit
+const SHARD_TARGET_BYTES = 350 * 1024
+
+// Hard limit of a shard, hashing may fill some shards more than others
+const MAX_SHARD_BYTES = 900 * 1024
+
+// A key and a date take about 60 bytes, so a job list stays around 300KB
+const JOBS_PER_LIST = 5000
+
+// Recency boost: fresh postings score up to 50% higher, halving every week
+const RECENCY_BOOST = 0.5
+const RECENCY_HALF_LIFE_DAYS = 7
+
+const DEFAULT_LIMIT = 20
+const MAX_LIMIT = 100
+const MAX_QUERY_TERMS = 10
+const SNIPPET_LENGTH = 200
+
+const STOP_WORDS = new Set([
+  'a', 'about', 'after', 'all', 'also', 'an', 'and', 'any', 'are', 'as', 'at', 'be', 'been',
+  'being', 'but', 'by', 'can', 'do', 'does', 'for', 'from', 'has', 'have', 'he', 'her', 'his',
+  'how', 'i', 'if', 'in', 'into', 'is', 'it', 'its', 'may', 'more', 'most', 'must', 'no', 'not',
+  'of', 'on', 'or', 'our', 'out', 'she', 'so', 'such', 'than', 'that', 'the', 'their', 'them',
+  'then', 'there', 'these', 'they', 'this', 'those', 'to', 'up', 'us', 'was', 'we', 'were',
+  'what', 'when', 'where', 'which', 'while', 'who', 'will', 'with', 'within', 'would', 'you',
+  'your', 'll', 're', 've'
+])
+
+// Single characters that are still meaningful search terms (languages)
+const SHORT_TERMS = new Set(['c', 'r'])
+
+const tokenPattern = /[a-z0-9][a-z0-9+#]*/g
+const combiningMarks = /[\u0300-\u036f]/g
+
+/**
+ * Lowercases text and strips accents without changing its length,
+ * so token offsets can be used on the original text
+ * @param {string} text - Any text
+ * @returns {string}
+ */
+function foldText(text) {
+  return Array.from(String(text || ''), char => {
+    const folded = char.normalize('NFKD').replace(combiningMarks, '').toLowerCase()
+    if (folded.length === char.length) return folded
+    const lower = char.toLowerCase()
+    return lower.length === char.length ? lower : char
+  }).join('')
+}
+
+/**
+ * Reduces a word to its stem with a few conservative suffix rules
+ * Words with digits or symbols (e.g. "c++", "web3") are kept as they are
+ * @param {string} word - Lowercased word
+ * @returns {string} - Stem
+ */
+function stem(word) {
+  if (!/^[a-z]+$/.test(word) || word.length <= 3) return word
+
+  let result = word
+  if (result.endsWith('ies') && result.length > 4) {
+    result = `${result.slice(0, -3)}y`
+  } else if (result.endsWith('sses')) {
+    result = result.slice(0, -2)
+  } else if (result.endsWith('s') && !/(ss|us|is)$/.test(result)) {
+    result = result.slice(0, -1)
+  }
+
+  if (result.endsWith('ing') && result.length > 6) {
+    result = result.slice(0, -3)
+  } else if (result.endsWith('ed') && result.length > 5) {
+    result = result.slice(0, -2)
+  }
+
+  // "manage", "managed" and "managing" all end up as "manag"
+  if (result.endsWith('e') && result.length > 4) {
+    result = result.slice(0, -1)
+  }
+  return result
+}
+
+/**
+ * Splits text into words with their positions, without stop words
+ * @param {string} text - Plain text
+ * @returns {Array} - [{ word, term, start, end }] where term is the stem
+ */
+function tokenize(text) {
+  const normalized = foldText(text)
+  const tokens = []
+  let match
+  tokenPattern.lastIndex = 0
+  while ((match = tokenPattern.exec(normalized)) !== null) {
+    const word = match[0]
+    if (STOP_WORDS.has(word) || (word.length < 2 && !SHORT_TERMS.has(word))) continue
+    tokens.push({ word, term: stem(word), start: match.index, end: match.index + word.length })
+  }
+  return tokens
+}
+
+/**
+ * Maps a term to its shard
+ * @param {string} term - Stemmed term
+ * @param {number} shardCount - Number of shards of the index
+ * @returns {number} - Shard index
+ */
+function shardOf(term, shardCount) {
+  return parseInt(crypto.createHash('sha1').update(term).digest('hex').slice(0, 8), 16) % shardCount
+}
+
+/**
+ * Computes the weight of every term of a job
+ * Repeated words add up with diminishing returns
+ * @param {Object} job - Snapshot job
+ * @returns {Map} - Term weights
+ */
+function termWeights(job) {
+  const fields = {
+    position: job.position,
+    company: job.company,
+    tags: (job.tags || []).concat(job.skills || []).join(' '),
+    description: job.description
+  }
+
+  const weights = new Map()
+  Object.keys(fields).forEach(field => {
+    const counts = new Map()
+    tokenize(fields[field]).forEach(({ term }) => counts.set(term, (counts.get(term) || 0) + 1))
+    counts.forEach((count, term) => {
+      weights.set(term, (weights.get(term) || 0) + FIELD_WEIGHTS[field] * (1 + Math.log(count)))
+    })
+  })
+  return weights
+}
+
+/**
+ * Spreads postings over as few shards as keep every shard within the limit
+ * Starts from the target size and doubles the shard count while a shard is over the limit
+ * @param {Map} postings - Postings by term
+ * @param {Object} [sizes] - { targetBytes, maxBytes }
+ * @returns {Array} - Term maps, one per shard
+ * @throws {Error} - If the postings of a single term exceed the limit
+ */
+function splitIntoShards(postings, { targetBytes = SHARD_TARGET_BYTES, maxBytes = MAX_SHARD_BYTES } = {}) {
+  const termBytes = (value, term) => term.length + value.length + 8
+  let totalBytes = 0
+  postings.forEach((value, term) => {
+    const bytes = termBytes(value, term)
+    if (bytes > maxBytes) {
+      throw new Error(`Postings of "${term}" exceed the ${maxBytes} byte shard limit`)
+    }
+    totalBytes += bytes
+  })
+
+  let shardCount = Math.max(1, Math.ceil(totalBytes / targetBytes))
+  for (;;) {
+    const shards = Array.from({ length: shardCount }, () => ({}))
+    const shardBytes = new Array(shardCount).fill(0)
+    postings.forEach((value, term) => {
+      const shard = shardOf(term, shardCount)
+      shards[shard][term] = value
+      shardBytes[shard] += termBytes(value, term)
+    })
+    if (shardBytes.every(bytes => bytes <= maxBytes)) return shards
+    shardCount *= 2
+  }
+}
+
+/**
+ * Rebuilds the search index from the active jobs
+ * The shards, job lists and meta document are written together, in as many
+ * batches as needed with meta last, so readers only briefly mix two builds
+ * @param {Object} db - Firestore instance
+ * @param {Array} jobs - Active jobs of the new snapshot, with their keys
+ * @param {Date} builtAt - Time of the run
+ * @returns {Promise<Object>} - { terms, shards }
+ */
+async function buildSearchIndex(db, jobs, builtAt = new Date()) {
+  const collection = db.collection('searchIndex')
+  const metaDoc = await collection.doc('meta').get()
+  const previousShards = metaDoc.exists ? metaDoc.get('shardCount') || 0 : 0
+  const previousLists = metaDoc.exists ? metaDoc.get('listCount') || 0 : 0
+
+  const postings = new Map()
+  const indexed = jobs.filter(job => job.key)
+  indexed.forEach((job, index) => {
+    termWeights(job).forEach((weight, term) => {
+      // Weights are stored with one decimal to keep postings short
+      const entry = `${index}:${Math.round(weight * 10)}`
+      postings.set(term, postings.has(term) ? `${postings.get(term)},${entry}` : entry)
+    })
+  })
+
+  const shards = splitIntoShards(postings)
+  const shardCount = shards.length
+  const lists = []
+  for (let start = 0; start < indexed.length; start += JOBS_PER_LIST) {
+    lists.push(indexed.slice(start, start + JOBS_PER_LIST))
+  }
+
+  const operations = shards.map((terms, index) => batch => batch.set(collection.doc(`shard_${index}`), { terms, builtAt }))
+  for (let index = shardCount; index < previousShards; index++) {
+    operations.push(batch => batch.delete(collection.doc(`shard_${index}`)))
+  }
+  lists.forEach((list, index) => operations.push(batch => batch.set(collection.doc(`jobs_${index}`), {
+    builtAt,
+    keys: list.map(job => job.key),
+    dates: list.map(job => Date.parse(job.date) || null)
+  })))
+  for (let index = lists.length; index < previousLists; index++) {
+    operations.push(batch => batch.delete(collection.doc(`jobs_${index}`)))
+  }
+  operations.push(batch => batch.set(collection.doc('meta'), {
+    builtAt,
+    shardCount,
+    listCount: lists.length,
+    jobCount: indexed.length,
+    termCount: postings.size
+  }))
+
+  await commitInBatches(db, operations)
+  console.log(`Search index: ${postings.size} terms over ${indexed.length} jobs in ${shardCount} shards`)
+  return { terms: postings.size, shards: shardCount }
+}
+
+/**
+ * Parses and validates the search query parameters
+ * @param {Object} query - Express request query object
+ * @returns {Object} - { q, terms, match, limit, offset }
+ */
+function parseSearchQuery(query) {
+  const q = query.q ? String(query.q).trim() : ''
+  const terms = [...new Set(tokenize(q).map(token => token.term))]
+  if (terms.length === 0) {
+    throw new QueryError('Missing q, or it only contains stop words')
+  }
+  if (terms.length > MAX_QUERY_TERMS) {
+    throw new QueryError(`Too many search terms, at most ${MAX_QUERY_TERMS}`)
+  }
+
+  const match = query.match ? String(query.match) : 'all'
+  if (!['all', 'any'].includes(match)) {
+    throw new QueryError('Invalid match, expected all or any')
+  }
+
+  let limit = DEFAULT_LIMIT
+  if (query.limit !== undefined) {
+    limit = parseInt(query.limit, 10)
+    if (Number.isNaN(limit) || limit < 1) {
+      throw new QueryError('Invalid limit')
+    }
+    limit = Math.min(limit, MAX_LIMIT)
+  }
+
+  const offset = query.cursor !== undefined ? decodeCursor(query.cursor) : 0
+  return { q, terms, match, limit, offset }
+}
+
+/**
+ * Escapes text for use in HTML
+ * @param {string} text - Plain text
+ * @returns {string}
+ */
+function escapeHtml(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;')
+}
+
+/**
+ * Wraps the words matching the query terms in <mark>
+ * Long text is cut to a snippet around the first match
+ * @param {string} text - Plain text
+ * @param {Set} terms - Stemmed query terms
+ * @param {number} [maxLength] - Snippet length, or 0 to keep the whole text
+ * @returns {string|null} - HTML escaped text with marks, or null without a match
+ */
+function highlight(text, terms, maxLength = 0) {
+  const source = String(text || '')
+  const matches = tokenize(source).filter(token => terms.has(token.term))
+  if (matches.length === 0) return null
+
+  let start = 0
+  let end = source.length
+  if (maxLength && source.length > maxLength) {
+    start = Math.max(0, matches[0].start - Math.floor(maxLength / 4))
+    end = Math.min(source.length, start + maxLength)
+  }
+
+  let result = ''
+  let cursor = start
+  matches
+    .filter(token => token.start >= start && token.end <= end)
+    .forEach(token => {
+      result += `${escapeHtml(source.slice(cursor, token.start))}<mark>${escapeHtml(source.slice(token.start, token.end))}</mark>`
+      cursor = token.end
+    })
+  result += escapeHtml(source.slice(cursor, end))
+
+  return `${start > 0 ? '…' : ''}${result}${end < source.length ? '…' : ''}`
+}
+
+/**
+ * Highlights the query terms in the searchable fields of a job
+ * @param {Object} job - Job
+ * @param {Array} terms - Stemmed query terms
+ * @returns {Object} - Highlighted fields, fields without a match are left out
+ */
+function highlightJob(job, terms) {
+  const termSet = new Set(terms)
+  const highlights = {
+    position: highlight(job.position, termSet),
+    company: highlight(job.company, termSet),
+    description: highlight(job.description, termSet, SNIPPET_LENGTH)
+  }
+  Object.keys(highlights).forEach(field => {
+    if (highlights[field] === null) delete highlights[field]
+  })
+  return highlights
+}
+
+/**
+ * Looks up the keys and posting dates of indexed jobs
+ * Only the job lists holding the given positions are read
+ * @param {Object} db - Firestore instance
+ * @param {Object} meta - Index metadata
+ * @param {Array} indexes - Positions of jobs in the index
+ * @returns {Promise<Map>} - { key, posted } by position
+ */
+async function readJobLists(db, meta, indexes) {
+  // Indexes built before the job lists were split out keep them in meta
+  if (meta.keys) {
+    return new Map(indexes.map(index => [index, { key: meta.keys[index], posted: meta.dates[index] }]))
+  }
+
+  const collection = db.collection('searchIndex')
+  const listIds = [...new Set(indexes.map(index => Math.floor(index / JOBS_PER_LIST)))]
+  const listDocs = listIds.length > 0 ? await db.getAll(...listIds.map(id => collection.doc(`jobs_${id}`))) : []
+  const lists = new Map(listIds.map((id, position) => [id, listDocs[position].data() || {}]))
+
+  return new Map(indexes.map(index => {
+    const list = lists.get(Math.floor(index / JOBS_PER_LIST))
+    const offset = index % JOBS_PER_LIST
+    return [index, { key: list.keys[offset], posted: list.dates[offset] }]
+  }))
+}
+
+/**
+ * Ranks the indexed jobs for a query
+ * Score is the sum of term weight times inverse document frequency, boosted for recent postings
+ * @param {Object} db - Firestore instance
+ * @param {Object} options - Options returned by parseSearchQuery
+ * @param {Date} [now] - Current time
+ * @returns {Promise<Object|null>} - { builtAt, total, hits: [{ key, score }] } for the requested page, or null without an index
+ */
+async function searchIndex(db, options, now = new Date()) {
+  const collection = db.collection('searchIndex')
+  const metaDoc = await collection.doc('meta').get()
+  if (!metaDoc.exists) return null
+  const meta = metaDoc.data()
+
+  const shardIds = [...new Set(options.terms.map(term => shardOf(term, meta.shardCount)))]
+  const shardDocs = await db.getAll(...shardIds.map(index => collection.doc(`shard_${index}`)))
+  const shardTerms = new Map(shardIds.map((index, position) => [index, shardDocs[position].get('terms') || {}]))
+
+  const scores = new Map()
+  const matchedTerms = new Map()
+  options.terms.forEach(term => {
+    const value = shardTerms.get(shardOf(term, meta.shardCount))[term]
+    if (!value) return
+    const entries = value.split(',')
+    const idf = Math.log(1 + meta.jobCount / entries.length)
+    entries.forEach(entry => {
+      const [index, weight] = entry.split(':').map(Number)
+      scores.set(index, (scores.get(index) || 0) + (weight / 10) * idf)
+      matchedTerms.set(index, (matchedTerms.get(index) || 0) + 1)
+    })
+  })
+
+  const hitIndexes = [...scores.keys()].filter(index => options.match !== 'all' || matchedTerms.get(index) === options.terms.length)
+  const jobs = await readJobLists(db, meta, hitIndexes)
+
+  const hits = []
+  hitIndexes.forEach(index => {
+    const score = scores.get(index)
+    const { key, posted } = jobs.get(index)
+    const ageDays = posted ? Math.max(0, (now.getTime() - posted) / 86400000) : Infinity
+    const boost = 1 + RECENCY_BOOST * Math.pow(0.5, ageDays / RECENCY_HALF_LIFE_DAYS)
+    hits.push({ key, score: Math.round(score * boost * 1000) / 1000 })
+  })
+  hits.sort((first, second) => second.score - first.score)
+
+  const page = hits.slice(options.offset, options.offset + options.limit)
+  const nextOffset = options.offset + page.length
+  return {
+    builtAt: meta.builtAt,
+    total: hits.length,
+    hits: page,
+    nextCursor: nextOffset < hits.length ? encodeCursor(nextOffset) : null
+  }
+}
+
+module.exports = {
+  MAX_SHARD_BYTES,
+  buildSearchIndex,
+  splitIntoShards,
+  parseSearchQuery,
+  searchIndex,
+  highlightJob
+}
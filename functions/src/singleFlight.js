@@ -0,0 +1,97 @@
+/**
+ * Single-flight guard for expensive work such as the live fetch
+ *
+ * Within an instance, concurrent callers share one promise. Across instances,
+ * a lease document locks/{name} decides who runs the work; the others poll a
+ * readiness check (e.g. "is the cache populated now?") until the holder is done.
+ */
+const {toDate} = require('./store')
+
+// Suggested wait for callers that gave up waiting
+const RETRY_AFTER_SECONDS = 10
+
+/**
+ * Error thrown when another instance holds the lease and nothing became ready in time
+ */
+class SingleFlightBusyError extends Error {
+  constructor(name, retryAfterSeconds = RETRY_AFTER_SECONDS) {
+    super(`${name} is already running elsewhere`)
+    this.name = 'SingleFlightBusyError'
+    this.retryAfterSeconds = retryAfterSeconds
+  }
+}
+
+const inFlight = new Map()
+
+/**
+ * Tries to acquire the lease of a named task
+ * @param {Object} db - Firestore instance
+ * @param {string} name - Task name
+ * @param {number} leaseMs - Lease duration, so a crashed holder does not block forever
+ * @returns {Promise<boolean>} - True if this caller holds the lease
+ */
+async function acquireLease(db, name, leaseMs) {
+  const ref = db.collection('locks').doc(name)
+  return db.runTransaction(async transaction => {
+    const doc = await transaction.get(ref)
+    const now = new Date()
+    if (doc.exists && toDate(doc.get('expiresAt')) > now) return false
+    transaction.set(ref, { acquiredAt: now, expiresAt: new Date(now.getTime() + leaseMs) })
+    return true
+  })
+}
+
+/**
+ * Runs a task at most once at a time
+ * If the lease cannot be checked (Firestore unavailable) the task runs, guarded
+ * only within this instance
+ * @param {Object} db - Firestore instance
+ * @param {string} name - Task name, also the lease document ID
+ * @param {Function} task - Async function doing the work
+ * @param {Object} options - { ready, leaseMs, waitMs, pollMs }
+ * @param {Function} options.ready - Async function returning the result once another holder finished, or null
+ * @returns {Promise<*>} - Result of the task, or of ready for waiting callers
+ * @throws {SingleFlightBusyError} - If waiting timed out
+ */
+function singleFlight(db, name, task, { ready, leaseMs = 120000, waitMs = 25000, pollMs = 1000 }) {
+  if (inFlight.has(name)) {
+    return inFlight.get(name)
+  }
+
+  const run = (async () => {
+    let acquired = true
+    try {
+      acquired = await acquireLease(db, name, leaseMs)
+    } catch (error) {
+      console.error(`Could not check the ${name} lease, running without it:`, error.message)
+    }
+
+    if (acquired) {
+      try {
+        return await task()
+      } finally {
+        await db.collection('locks').doc(name).delete().catch(error => {
+          console.error(`Failed to release the ${name} lease:`, error.message)
+        })
+      }
+    }
+
+    console.log(`${name} is running elsewhere, waiting for its result`)
+    const deadline = Date.now() + waitMs
+    while (Date.now() < deadline) {
+      await new Promise(resolve => setTimeout(resolve, pollMs))
+      const result = await ready()
+      if (result) return result
+    }
+    throw new SingleFlightBusyError(name)
+  })()
+
+  inFlight.set(name, run)
+  run.then(() => inFlight.delete(name), () => inFlight.delete(name))
+  return run
+}
+
+module.exports = {
+  SingleFlightBusyError,
+  singleFlight
+}
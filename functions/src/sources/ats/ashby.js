@@ -0,0 +1,71 @@
+const {htmlToText, sanitizeDescription} = require('../../text')
+
+/**
+ * Ashby job posting API client
+ * https://developers.ashbyhq.com/docs/public-job-posting-api
+ */
+module.exports = {
+  name: 'ashby',
+  fallbackImage: 'https://www.ashbyhq.com/favicon.ico',
+
+  /**
+   * Public page of a board
+   * @param {string} board - Job board name
+   * @returns {string}
+   */
+  homepage(board) {
+    return `https://jobs.ashbyhq.com/${board}`
+  },
+
+  /**
+   * Fetches all listed postings of a board
+   * @param {string} board - Job board name
+   * @param {number} timeout - Request timeout
+   * @param {Object} http - Fetch session of the source
+   * @returns {Promise<Array>} - Raw postings
+   */
+  async fetch(board, timeout, http) {
+    const data = await http.get(`https://api.ashbyhq.com/posting-api/job-board/${encodeURIComponent(board)}`, { timeout })
+    if (!data || !Array.isArray(data.jobs)) {
+      throw new Error(`Unexpected Ashby response for board ${board}`)
+    }
+    return data.jobs.filter(posting => posting.isListed !== false)
+  },
+
+  /**
+   * Ashby flags remote postings with isRemote or workplaceType
+   * @param {Object} posting - Raw posting
+   * @returns {boolean}
+   */
+  isRemote(posting) {
+    return posting.isRemote === true || posting.workplaceType === 'Remote'
+  },
+
+  /**
+   * Converts a posting into the common job shape
+   * @param {Object} posting - Raw posting
+   * @param {Object} entry - Board entry { company, logo }
+   * @returns {Object} - Normalized job, source still unset
+   */
+  normalize(posting, entry) {
+    const html = posting.descriptionHtml || ''
+
+    const job = {
+      id: `ashby-${posting.id}`,
+      company: entry.company,
+      position: posting.title,
+      date: new Date(posting.publishedAt).toUTCString(),
+      image: { uri: entry.logo || this.fallbackImage },
+      description: posting.descriptionPlain ? posting.descriptionPlain.replace(/\s+/g, ' ').trim() : htmlToText(html),
+      descriptionHtml: sanitizeDescription(html),
+      url: posting.jobUrl,
+      tags: [posting.department, posting.team].filter(Boolean)
+    }
+    if (job.tags.length === 0) job.tags = ['remote work']
+    if (posting.location) job.location = posting.location
+    // e.g. FullTime, PartTime, Contract, Intern
+    if (posting.employmentType) job.employmentType = posting.employmentType.replace(/([a-z])([A-Z])/g, '$1-$2')
+
+    return job
+  }
+}
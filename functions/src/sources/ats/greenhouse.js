@@ -0,0 +1,72 @@
+const {htmlToText, decodeEntities, sanitizeDescription} = require('../../text')
+
+/**
+ * Greenhouse job board API client
+ * https://developers.greenhouse.io/job-board.html
+ */
+module.exports = {
+  name: 'greenhouse',
+  fallbackImage: 'https://www.greenhouse.com/favicon.ico',
+
+  /**
+   * Public page of a board
+   * @param {string} board - Board token
+   * @returns {string}
+   */
+  homepage(board) {
+    return `https://boards.greenhouse.io/${board}`
+  },
+
+  /**
+   * Fetches all postings of a board, with their descriptions
+   * @param {string} board - Board token
+   * @param {number} timeout - Request timeout
+   * @param {Object} http - Fetch session of the source
+   * @returns {Promise<Array>} - Raw postings
+   */
+  async fetch(board, timeout, http) {
+    const data = await http.get(`https://boards-api.greenhouse.io/v1/boards/${encodeURIComponent(board)}/jobs?content=true`, { timeout })
+    if (!data || !Array.isArray(data.jobs)) {
+      throw new Error(`Unexpected Greenhouse response for board ${board}`)
+    }
+    return data.jobs
+  },
+
+  /**
+   * Greenhouse has no remote flag, boards put it in the location or office names
+   * @param {Object} posting - Raw posting
+   * @returns {boolean}
+   */
+  isRemote(posting) {
+    const locations = [posting.location && posting.location.name]
+      .concat((posting.offices || []).map(office => office.name))
+    return locations.some(location => /\bremote\b/i.test(location || ''))
+  },
+
+  /**
+   * Converts a posting into the common job shape
+   * @param {Object} posting - Raw posting
+   * @param {Object} entry - Board entry { company, logo }
+   * @returns {Object} - Normalized job, source still unset
+   */
+  normalize(posting, entry) {
+    // The content field is HTML escaped as entities
+    const html = decodeEntities(posting.content || '')
+    const departments = (posting.departments || []).map(department => department.name).filter(Boolean)
+
+    const job = {
+      id: `greenhouse-${posting.id}`,
+      company: entry.company,
+      position: posting.title,
+      date: new Date(posting.first_published || posting.updated_at).toUTCString(),
+      image: { uri: entry.logo || this.fallbackImage },
+      description: htmlToText(html),
+      descriptionHtml: sanitizeDescription(html),
+      url: posting.absolute_url,
+      tags: departments.length > 0 ? departments : ['remote work']
+    }
+    if (posting.location && posting.location.name) job.location = posting.location.name
+
+    return job
+  }
+}
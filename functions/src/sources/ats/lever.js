@@ -0,0 +1,98 @@
+const {htmlToText, sanitizeDescription} = require('../../text')
+
+// Lever salary intervals and the matching salary periods
+const salaryPeriods = {
+  'per-year-salary': 'year',
+  'per-month-salary': 'month',
+  'per-week-salary': 'week',
+  'per-day-salary': 'day',
+  'per-hour-wage': 'hour'
+}
+
+/**
+ * Lever postings API client
+ * https://github.com/lever/postings-api
+ */
+module.exports = {
+  name: 'lever',
+  fallbackImage: 'https://www.lever.co/favicon.ico',
+
+  /**
+   * Public page of a board
+   * @param {string} board - Lever site name
+   * @returns {string}
+   */
+  homepage(board) {
+    return `https://jobs.lever.co/${board}`
+  },
+
+  /**
+   * Fetches all postings of a board
+   * @param {string} board - Lever site name
+   * @param {number} timeout - Request timeout
+   * @param {Object} http - Fetch session of the source
+   * @returns {Promise<Array>} - Raw postings
+   */
+  async fetch(board, timeout, http) {
+    const data = await http.get(`https://api.lever.co/v0/postings/${encodeURIComponent(board)}?mode=json`, { timeout })
+    if (!Array.isArray(data)) {
+      throw new Error(`Unexpected Lever response for board ${board}`)
+    }
+    return data
+  },
+
+  /**
+   * Lever flags remote postings through workplaceType, older postings only in the location
+   * @param {Object} posting - Raw posting
+   * @returns {boolean}
+   */
+  isRemote(posting) {
+    if (posting.workplaceType && posting.workplaceType !== 'unspecified') {
+      return posting.workplaceType === 'remote'
+    }
+    const categories = posting.categories || {}
+    const locations = [categories.location].concat(categories.allLocations || [])
+    return locations.some(location => /\bremote\b/i.test(location || ''))
+  },
+
+  /**
+   * Converts a posting into the common job shape
+   * @param {Object} posting - Raw posting
+   * @param {Object} entry - Board entry { company, logo }
+   * @returns {Object} - Normalized job, source still unset
+   */
+  normalize(posting, entry) {
+    const categories = posting.categories || {}
+    const lists = (posting.lists || [])
+      .map(list => `<h3>${list.text}</h3><ul>${list.content}</ul>`)
+      .join('')
+    const html = `${posting.description || ''}${lists}${posting.additional || ''}`
+    const range = posting.salaryRange
+
+    const job = {
+      id: `lever-${posting.id}`,
+      company: entry.company,
+      position: posting.text,
+      date: new Date(posting.createdAt).toUTCString(),
+      image: { uri: entry.logo || this.fallbackImage },
+      description: htmlToText(html),
+      descriptionHtml: sanitizeDescription(html),
+      url: posting.hostedUrl,
+      tags: [categories.team, categories.department].filter(Boolean)
+    }
+    if (job.tags.length === 0) job.tags = ['remote work']
+    if (categories.location) job.location = categories.location
+    if (categories.commitment) job.employmentType = categories.commitment
+
+    // A range without a currency cannot be compared or validated, the job goes without it
+    if (range && (range.min > 0 || range.max > 0) && salaryPeriods[range.interval] && typeof range.currency === 'string' && range.currency) {
+      job.salary = {
+        min: range.min > 0 ? range.min : null,
+        max: range.max > 0 ? range.max : null,
+        currency: range.currency,
+        period: salaryPeriods[range.interval]
+      }
+    }
+    return job
+  }
+}
@@ -0,0 +1,90 @@
+/**
+ * Company career boards hosted on Greenhouse, Lever and Ashby
+ *
+ * Boards are listed in the config/companyBoards Firestore document, e.g.
+ * { boards: [{ ats: 'greenhouse', board: 'acme', company: 'Acme', logo: 'https://...' }] }
+ * Every board becomes a source adapter of its own, named after the company,
+ * so its jobs carry the company as source and its health, circuit breaker and
+ * expiry are tracked per board. Only postings marked remote are kept.
+ * A board lists a posting for as long as the company hires for it, so board
+ * jobs are not dropped for their age; a maxAgeDays override still applies.
+ */
+const greenhouse = require('./ats/greenhouse')
+const lever = require('./ats/lever')
+const ashby = require('./ats/ashby')
+
+const atsClients = {
+  [greenhouse.name]: greenhouse,
+  [lever.name]: lever,
+  [ashby.name]: ashby
+}
+
+// Board names end up in API URLs
+const boardPattern = /^[A-Za-z0-9_.-]+$/
+
+/**
+ * Reads the configured company boards from Firestore
+ * @param {Object} db - Firestore instance
+ * @returns {Promise<Array>} - Valid board entries (empty if unavailable)
+ */
+async function loadCompanyBoards(db) {
+  try {
+    const configDoc = await db.collection('config').doc('companyBoards').get()
+    const boards = configDoc.exists ? configDoc.get('boards') || [] : []
+    return boards.filter(entry => {
+      const valid = entry && atsClients[entry.ats] && boardPattern.test(entry.board || '')
+      if (!valid) {
+        console.error('Ignoring invalid company board entry:', JSON.stringify(entry))
+      }
+      return valid
+    })
+  } catch (error) {
+    console.error('Failed to load company boards:', error.message)
+    return []
+  }
+}
+
+/**
+ * Builds the source adapter of a company board
+ * @param {Object} entry - { ats, board, company, logo, enabled }
+ * @returns {Object} - Source adapter
+ */
+function companyBoardAdapter(entry) {
+  const client = atsClients[entry.ats]
+  const company = entry.company || entry.board
+  const boardEntry = { ...entry, company }
+
+  return {
+    name: company,
+    homepage: client.homepage(entry.board),
+    enabled: entry.enabled !== false,
+    timeout: 10000,
+    maxAgeDays: Infinity,
+    ats: entry.ats,
+    board: entry.board,
+
+    /**
+     * Fetches the board's postings, keeping only remote ones
+     * @param {Object} context - Source context with the configured timeout and fetch session
+     * @returns {Promise<Array>} - Raw remote postings
+     */
+    async fetch({ timeout, http }) {
+      const postings = await client.fetch(entry.board, timeout, http)
+      return postings.filter(posting => client.isRemote(posting))
+    },
+
+    /**
+     * Converts a posting into the common job shape, with the company as source
+     * @param {Object} posting - Raw posting
+     * @returns {Object} - Normalized job
+     */
+    normalize(posting) {
+      return { ...client.normalize(posting, boardEntry), source: company }
+    }
+  }
+}
+
+module.exports = {
+  loadCompanyBoards,
+  companyBoardAdapter
+}
@@ -0,0 +1,85 @@
+/**
+ * Built-in feed source definitions, see feedSources.js for the format
+ */
+module.exports = [
+  {
+    name: 'Remotive',
+    homepage: 'https://remotive.com',
+    url: 'https://remotive.com/remote-jobs/feed',
+    format: 'rss',
+    headers: { 'Accept': 'application/rss+xml, text/xml, application/xml;q=0.9, */*;q=0.8' },
+    fields: { id: ['guid', 'link'], title: 'title', date: 'pubDate', url: 'link', description: 'content' },
+    // Format varies, "Position at Company" or "Position: Company"
+    titlePatterns: ['(?<position>.+) at (?<company>.+)', '(?<position>.+): (?<company>.+)'],
+    imageFromDescription: true,
+    fallbackImage: 'https://remotive.com/web/image/website/1/logo/Remotive?unique=33c627c',
+    tags: { pattern: 'Categories: (.+?)<', flags: 'i', from: 'description', split: ',' }
+  },
+  {
+    name: 'WorkingNomads',
+    homepage: 'https://www.workingnomads.com',
+    url: 'https://www.workingnomads.com/api/exposed_jobs/',
+    format: 'json',
+    fields: {
+      id: 'url',
+      title: 'title',
+      company: 'company_name',
+      date: 'pub_date',
+      url: 'url',
+      description: 'description',
+      location: 'location'
+    },
+    fallbackImage: 'https://www.workingnomads.com/favicon.ico',
+    tags: { field: ['tags', 'category_name'], split: ',' },
+    idPrefix: 'workingnomads-'
+  },
+  {
+    name: 'Jobicy',
+    homepage: 'https://jobicy.com',
+    url: 'https://jobicy.com/api/v2/remote-jobs?count=100',
+    format: 'json',
+    itemsPath: 'jobs',
+    fields: {
+      id: 'id',
+      title: 'jobTitle',
+      company: 'companyName',
+      date: 'pubDate',
+      url: 'url',
+      description: 'jobDescription',
+      image: 'companyLogo',
+      location: 'jobGeo',
+      employmentType: 'jobType',
+      salaryMin: 'annualSalaryMin',
+      salaryMax: 'annualSalaryMax',
+      salaryCurrency: 'salaryCurrency'
+    },
+    fallbackImage: 'https://jobicy.com/favicon.ico',
+    tags: { field: 'jobIndustry' },
+    idPrefix: 'jobicy-'
+  },
+  {
+    name: 'Himalayas',
+    homepage: 'https://himalayas.app',
+    url: 'https://himalayas.app/jobs/api?limit=100',
+    format: 'json',
+    itemsPath: 'jobs',
+    fields: {
+      id: ['guid', 'applicationLink'],
+      title: 'title',
+      company: 'companyName',
+      date: 'pubDate',
+      url: 'applicationLink',
+      description: 'description',
+      image: 'companyLogo',
+      location: 'locationRestrictions',
+      employmentType: 'employmentType',
+      salaryMin: 'minSalary',
+      salaryMax: 'maxSalary',
+      salaryCurrency: 'currency'
+    },
+    dateFormat: 'unix',
+    fallbackImage: 'https://himalayas.app/favicon.ico',
+    tags: { field: 'categories' },
+    idPrefix: 'himalayas-'
+  }
+]
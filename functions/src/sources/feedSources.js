@@ -0,0 +1,276 @@
+/**
+ * Declarative feed sources
+ *
+ * Boards that publish a plain RSS, Atom or JSON feed are described by a
+ * definition instead of an adapter module. Built-in definitions live in
+ * definitions.js; more can be added without a deploy through the
+ * config/feedSources Firestore document ({ sources: [definition, ...] }).
+ *
+ * A definition looks like:
+ * {
+ *   name: 'Jobicy',                       // source name, also used for overrides
+ *   homepage: 'https://jobicy.com',
+ *   url: 'https://jobicy.com/api/v2/remote-jobs',
+ *   format: 'json',                       // rss, atom or json
+ *   itemsPath: 'jobs',                    // json only: path of the item array
+ *   fields: {                             // item paths, a list means first non-empty wins
+ *     id: 'id', title: 'jobTitle', company: 'companyName', date: 'pubDate',
+ *     url: 'url', description: 'jobDescription', image: 'companyLogo'
+ *   },
+ *   titlePatterns: ['(?<company>[^:]+): (?<position>.+)'], // split the title, first match wins
+ *   imageFromDescription: true,           // regex the first image out of the description
+ *   fallbackImage: 'https://...',
+ *   tags: { field: 'jobIndustry', split: ',' }, // or { pattern: 'Categories: (.+?)<', from: 'description' }
+ *   idPrefix: 'jobicy-'
+ * }
+ * Optional: enabled, timeout, headers, customFields (rss-parser item fields),
+ * dateFormat ('unix' for epoch seconds), defaultCompany, maxAgeDays, invalidDates,
+ * salaryPeriod, and the fields position, location, employmentType, salaryMin, salaryMax,
+ * salaryCurrency. A named definition that does not compile (e.g. an invalid
+ * pattern) becomes a disabled source that fails when fetched.
+ */
+const Parser = require('rss-parser')
+const {cleanDescription, sanitizeDescription} = require('../text')
+
+const FORMATS = ['rss', 'atom', 'json']
+const DEFAULT_TIMEOUT = 10000
+const imgRegex = /(http)?s?:?(\/\/[^"']*\.(?:png|jpg|jpeg|gif|png|svg|webp))/
+
+// The session's own User-Agent identifies the project; a definition needing another sets it in headers
+const defaultHeaders = {
+  'Accept': 'application/rss+xml, application/atom+xml, application/json, text/xml, application/xml;q=0.9, */*;q=0.8'
+}
+
+/**
+ * Reads a value by dot path, e.g. 'company.name' or 'categories.0'
+ * @param {Object} item - Feed item
+ * @param {string|Array} paths - Path, or alternative paths tried in order
+ * @returns {*} - First non-empty value, or undefined
+ */
+function getPath(item, paths) {
+  for (const path of [].concat(paths || [])) {
+    const value = String(path).split('.').reduce((current, key) => (current == null ? undefined : current[key]), item)
+    if (value !== undefined && value !== null && value !== '') return value
+  }
+  return undefined
+}
+
+/**
+ * Turns a field value into a list of strings
+ * @param {*} value - Array or separated string
+ * @param {string} separator - Separator of string values
+ * @returns {Array}
+ */
+function toList(value, separator = ',') {
+  const values = Array.isArray(value) ? value : String(value || '').split(separator)
+  return values.map(entry => String(entry && entry.name ? entry.name : entry).trim()).filter(Boolean)
+}
+
+/**
+ * Parses an item date into the common toUTCString format
+ * @param {*} value - Date value
+ * @param {string} [format] - 'unix' for epoch seconds
+ * @returns {string} - "Invalid Date" when unparseable, handled by the freshness rules
+ */
+function parseDate(value, format) {
+  if (format === 'unix') return new Date(Number(value) * 1000).toUTCString()
+  return new Date(value).toUTCString()
+}
+
+/**
+ * Validates a definition and turns it into a source adapter
+ * A definition that fails to compile is logged and disabled rather than
+ * dropped, so it still shows up (and fails) under its name
+ * @param {Object} definition - Feed source definition
+ * @returns {Object} - Source adapter
+ * @throws {Error} - If the definition has no name
+ */
+function compileDefinition(definition) {
+  const name = definition && definition.name
+  if (!name || typeof name !== 'string') throw new Error('name is required')
+
+  try {
+    return buildAdapter(definition)
+  } catch (error) {
+    console.error(`Disabling feed source ${name}, invalid definition:`, error.message)
+    return disabledAdapter(definition, error.message)
+  }
+}
+
+/**
+ * Builds the adapter of a definition that failed to compile
+ * @param {Object} definition - Feed source definition
+ * @param {string} reason - Compilation error
+ * @returns {Object} - Disabled source adapter whose fetch fails with the reason
+ */
+function disabledAdapter(definition, reason) {
+  let homepage = definition.homepage || ''
+  try {
+    homepage = homepage || new URL(definition.url).origin
+  } catch (error) {
+    // Without a valid URL there is no homepage to attribute
+  }
+
+  return {
+    name: definition.name,
+    homepage,
+    enabled: false,
+    invalid: reason,
+    timeout: DEFAULT_TIMEOUT,
+    headers: { ...defaultHeaders },
+    async fetch() {
+      throw new Error(`Invalid feed source definition: ${reason}`)
+    },
+    normalize() {
+      return null
+    }
+  }
+}
+
+/**
+ * Turns a named definition into a source adapter
+ * @param {Object} definition - Feed source definition
+ * @returns {Object} - Source adapter
+ * @throws {Error} - If the definition is invalid
+ */
+function buildAdapter(definition) {
+  const { name, url, format, fields = {} } = definition
+  if (!/^https?:\/\//.test(url || '')) throw new Error(`${name}: url must be http(s)`)
+  if (!FORMATS.includes(format)) throw new Error(`${name}: format must be one of ${FORMATS.join(', ')}`)
+  if (!fields.url) throw new Error(`${name}: fields.url is required`)
+  if (!fields.title && !fields.position) throw new Error(`${name}: fields.title or fields.position is required`)
+
+  const titlePatterns = (definition.titlePatterns || []).map(pattern => new RegExp(pattern))
+  const tagRule = definition.tags || {}
+  const tagPattern = tagRule.pattern ? new RegExp(tagRule.pattern, tagRule.flags || '') : null
+  const parser = format === 'json' ? null : new Parser({ customFields: { item: definition.customFields || [] } })
+
+  return {
+    name,
+    homepage: definition.homepage || new URL(url).origin,
+    enabled: definition.enabled !== false,
+    timeout: definition.timeout || DEFAULT_TIMEOUT,
+    maxAgeDays: definition.maxAgeDays,
+    invalidDates: definition.invalidDates,
+    headers: { ...defaultHeaders, ...(definition.headers || {}) },
+
+    /**
+     * Fetches and parses the feed through the shared conditional fetch path
+     * @param {Object} context - Source context with the configured timeout and fetch session
+     * @returns {Promise<Array>} - Feed items
+     */
+    async fetch({ timeout, http }) {
+      const items = await http.get(url, {
+        responseType: format === 'json' ? 'json' : 'text',
+        timeout
+      }, async data => {
+        if (parser) {
+          return (await parser.parseString(data)).items
+        }
+        return definition.itemsPath ? getPath(data, definition.itemsPath) : data
+      })
+
+      if (!Array.isArray(items)) {
+        throw new Error(`Unexpected ${name} response, no item array at ${definition.itemsPath || 'the root'}`)
+      }
+      return items
+    },
+
+    /**
+     * Maps a feed item onto the common job shape
+     * @param {Object} item - Feed item
+     * @returns {Object|null} - Normalized job, or null without a position or URL
+     */
+    normalize(item) {
+      const value = field => getPath(item, fields[field])
+      const title = value('title')
+      let position = value('position') || title
+      let company = value('company')
+
+      for (const pattern of titlePatterns) {
+        const match = title ? pattern.exec(title) : null
+        if (match && match.groups) {
+          position = (match.groups.position || position).trim()
+          company = match.groups.company ? match.groups.company.trim() : company
+          break
+        }
+      }
+
+      const link = value('url')
+      if (!position || !link) return null
+
+      const content = String(value('description') || '')
+      const imageMatch = definition.imageFromDescription ? content.match(imgRegex) : null
+
+      const tagSource = tagPattern
+        ? (String(value(tagRule.from || 'description') || '').match(tagPattern) || [])[1]
+        : (tagRule.field ? getPath(item, tagRule.field) : undefined)
+      const tags = toList(tagSource, tagRule.split)
+
+      const id = value('id') || link
+      const job = {
+        id: definition.idPrefix ? `${definition.idPrefix}${id}` : id,
+        company: company ? String(company).trim() : (definition.defaultCompany || 'Unknown Company'),
+        position: String(position).trim(),
+        date: parseDate(value('date'), definition.dateFormat),
+        image: { uri: value('image') || (imageMatch ? imageMatch[0] : definition.fallbackImage) },
+        description: cleanDescription(content),
+        descriptionHtml: sanitizeDescription(content),
+        url: link,
+        tags: tags.length > 0 ? tags : (tagRule.default || ['remote work']),
+        source: name
+      }
+
+      const location = value('location')
+      if (location) job.location = toList(location).join(', ')
+      const employmentType = value('employmentType')
+      if (employmentType) job.employmentType = toList(employmentType)[0]
+
+      const salaryMin = Number(value('salaryMin')) || null
+      const salaryMax = Number(value('salaryMax')) || null
+      const currency = value('salaryCurrency')
+      if ((salaryMin || salaryMax) && currency) {
+        job.salary = { min: salaryMin, max: salaryMax, currency: String(currency).toUpperCase(), period: definition.salaryPeriod || 'year' }
+      }
+
+      return job
+    }
+  }
+}
+
+/**
+ * Compiles definitions, logging and skipping those without a name
+ * @param {Array} definitions - Feed source definitions
+ * @returns {Array} - Source adapters
+ */
+function compileDefinitions(definitions) {
+  return definitions.reduce((adapters, definition) => {
+    try {
+      adapters.push(compileDefinition(definition))
+    } catch (error) {
+      console.error('Ignoring invalid feed source definition:', error.message)
+    }
+    return adapters
+  }, [])
+}
+
+/**
+ * Reads the feed source definitions stored in Firestore
+ * @param {Object} db - Firestore instance
+ * @returns {Promise<Array>} - Source adapters (empty if unavailable)
+ */
+async function loadFeedSources(db) {
+  try {
+    const configDoc = await db.collection('config').doc('feedSources').get()
+    return compileDefinitions(configDoc.exists ? configDoc.get('sources') || [] : [])
+  } catch (error) {
+    console.error('Failed to load feed source definitions:', error.message)
+    return []
+  }
+}
+
+module.exports = {
+  compileDefinition,
+  compileDefinitions,
+  loadFeedSources
+}
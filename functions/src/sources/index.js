@@ -0,0 +1,148 @@
+/**
+ * Source adapter registry
+ *
+ * Each adapter declares a name, its homepage, whether it is enabled by
+ * default, a request timeout, and fetch/normalize functions. fetch receives
+ * the timeout and a fetch session (see src/upstream.js), returns raw items and
+ * may throw; normalize turns one raw item into a job (or null to skip it).
+ * Adapters may also declare maxAgeDays and an invalidDates policy (see
+ * src/freshness.js), and headers sent with every request of the source, for
+ * boards that turn away anything but a browser. Boards with a plain feed are declared in definitions.js
+ * or the config/feedSources document (see feedSources.js), and company boards
+ * configured in Firestore are added as one adapter per board (see companyBoards.js).
+ * Defaults can be overridden without a redeploy through the config/sources
+ * Firestore document, e.g. { RemoteOK: { enabled: false, timeout: 5000, maxAgeDays: 30 } }.
+ * Overridden headers are merged over the adapter's own
+ */
+const remoteOk = require('./remoteok')
+const weWorkRemotely = require('./weworkremotely')
+const web3Jobs = require('./web3jobs')
+const definitions = require('./definitions')
+const {compileDefinitions, loadFeedSources} = require('./feedSources')
+const {loadCompanyBoards, companyBoardAdapter} = require('./companyBoards')
+const {DEFAULT_MAX_AGE_DAYS, INVALID_DATE_POLICIES} = require('../freshness')
+const {createFetchSession} = require('../upstream')
+const {repairJob, validateJob} = require('../schema')
+
+// Remote.co removed as it no longer works
+const registry = [remoteOk, weWorkRemotely, ...compileDefinitions(definitions), web3Jobs]
+
+/**
+ * Reads per-source overrides from Firestore
+ * @param {Object} db - Firestore instance
+ * @returns {Promise<Object>} - Overrides keyed by source name (empty if unavailable)
+ */
+async function loadSourceConfig(db) {
+  try {
+    const configDoc = await db.collection('config').doc('sources').get()
+    return configDoc.exists ? configDoc.data() : {}
+  } catch (error) {
+    console.error('Failed to load source config, using defaults:', error.message)
+    return {}
+  }
+}
+
+/**
+ * Applies overrides to the registry defaults
+ * @param {Object} overrides - Overrides keyed by source name
+ * @param {Array} [companyBoards] - Company board entries to add as sources
+ * @param {Array} [feedSources] - Adapters compiled from Firestore feed source definitions
+ * @returns {Array} - Adapters with resolved enabled, timeout, maxAgeDays, invalidDates and headers settings
+ */
+function resolveSources(overrides = {}, companyBoards = [], feedSources = []) {
+  const names = new Set(registry.map(adapter => adapter.name))
+  const extraAdapters = feedSources.concat(companyBoards.map(companyBoardAdapter)).filter(adapter => {
+    if (names.has(adapter.name)) {
+      console.error(`Ignoring source ${adapter.name}, the name is already taken`)
+      return false
+    }
+    names.add(adapter.name)
+    return true
+  })
+
+  return registry.concat(extraAdapters).map(adapter => {
+    const override = overrides[adapter.name] || {}
+    const headerOverrides = override.headers && typeof override.headers === 'object' ? override.headers : {}
+    return {
+      ...adapter,
+      enabled: typeof override.enabled === 'boolean' ? override.enabled : adapter.enabled,
+      timeout: Number.isInteger(override.timeout) && override.timeout > 0 ? override.timeout : adapter.timeout,
+      maxAgeDays: override.maxAgeDays > 0 ? override.maxAgeDays : (adapter.maxAgeDays || DEFAULT_MAX_AGE_DAYS),
+      invalidDates: INVALID_DATE_POLICIES.includes(override.invalidDates) ? override.invalidDates : (adapter.invalidDates || 'reject'),
+      headers: { ...(adapter.headers || {}), ...headerOverrides }
+    }
+  })
+}
+
+/**
+ * Loads the configuration and resolves every source, company boards included
+ * @param {Object} db - Firestore instance
+ * @returns {Promise<Array>} - Resolved source adapters
+ */
+async function loadSources(db) {
+  const [overrides, companyBoards, feedSources] = await Promise.all([
+    loadSourceConfig(db),
+    loadCompanyBoards(db),
+    loadFeedSources(db)
+  ])
+  return resolveSources(overrides, companyBoards, feedSources)
+}
+
+/**
+ * Fetches and normalizes all jobs of a single source
+ * Normalized jobs are repaired and validated against the job schema (see
+ * src/schema.js). Items that fail to normalize are logged and skipped, jobs
+ * failing validation are returned as quarantined with their raw item. The
+ * source fails when none of its items make it, the error then carries the
+ * quarantined records too
+ * @param {Object} adapter - Resolved source adapter
+ * @param {Object} [http] - Fetch session, one without stored validators sending the source headers by default
+ * @returns {Promise<Object>} - { jobs, quarantined: [{ item, errors }] }
+ */
+async function fetchSourceJobs(adapter, http = createFetchSession(null, { headers: adapter.headers })) {
+  const items = await adapter.fetch({ timeout: adapter.timeout, http })
+  const jobs = []
+  const normalizeErrors = []
+  const quarantined = []
+
+  // Unparseable dates are left to the source's freshness policy when it repairs them
+  const allowInvalidDate = adapter.invalidDates === 'repair'
+
+  items.forEach(item => {
+    try {
+      const normalized = adapter.normalize(item)
+      if (!normalized) return
+
+      const job = repairJob(normalized, adapter.homepage)
+      const errors = validateJob(job, { allowInvalidDate })
+      if (errors.length > 0) {
+        quarantined.push({ item, errors })
+      } else {
+        jobs.push(job)
+      }
+    } catch (itemError) {
+      console.error(`Error processing ${adapter.name} item:`, itemError.message)
+      normalizeErrors.push(itemError)
+    }
+  })
+
+  // A feed whose items all fail to normalize has most likely changed format
+  if (items.length > 0 && jobs.length === 0 && normalizeErrors.length > 0) {
+    throw new Error(`All ${items.length} items failed to normalize: ${normalizeErrors[0].message}`)
+  }
+  if (items.length > 0 && jobs.length === 0 && quarantined.length > 0) {
+    const error = new Error(`All ${quarantined.length} jobs failed validation: ${quarantined[0].errors[0]}`)
+    error.quarantined = quarantined
+    throw error
+  }
+
+  return { jobs, quarantined }
+}
+
+module.exports = {
+  registry,
+  loadSourceConfig,
+  resolveSources,
+  loadSources,
+  fetchSourceJobs
+}
@@ -0,0 +1,76 @@
+const {cleanDescription, sanitizeDescription} = require('../text')
+
+const remoteOkApi = 'https://remoteok.io/api'
+const rLogo = 'https://remoteok.io/assets/logo.png'
+
+/**
+ * RemoteOK JSON API adapter
+ */
+module.exports = {
+  name: 'RemoteOK',
+  homepage: 'https://remoteok.com',
+  enabled: true,
+  timeout: 10000,
+
+  /**
+   * Fetches raw job listings from the RemoteOK API
+   * @param {Object} context - Source context with the configured timeout and fetch session
+   * @returns {Promise<Array>} - Raw API job objects
+   */
+  async fetch({ timeout, http }) {
+    const remoteOkJobs = await http.get(remoteOkApi, {
+      headers: { 'Accept': 'application/json' },
+      timeout
+    })
+    if (!Array.isArray(remoteOkJobs)) {
+      throw new Error(`Unexpected RemoteOK API response (${typeof remoteOkJobs})`)
+    }
+
+    // The first item contains API information, not a job
+    return remoteOkJobs.slice(1)
+  },
+
+  /**
+   * Converts a RemoteOK API job into the common job shape
+   * @param {Object} job - Raw API job object
+   * @returns {Object} - Normalized job
+   */
+  normalize(job) {
+    const { logo, company_logo, id, company, position, date, url, description, tags, location, salary_min, salary_max } = job
+    const logoUri = logo || company_logo
+    const image = logoUri ? { uri: logoUri } : { uri: rLogo }
+    const formattedDate = new Date(date).toUTCString()
+    let jobsTags = tags === null ? ['remote work'] : tags
+
+    // Handle case where tags is an object
+    if (!jobsTags.length) {
+      jobsTags = Object.values(tags)
+    }
+
+    const normalized = {
+      id,
+      company,
+      position,
+      date: formattedDate,
+      image,
+      description: cleanDescription(description || ''),
+      descriptionHtml: sanitizeDescription(description),
+      url,
+      tags: jobsTags,
+      source: 'RemoteOK'
+    }
+
+    // RemoteOK reports yearly USD salaries, 0 when not disclosed
+    if (salary_min > 0 || salary_max > 0) {
+      normalized.salary = {
+        min: salary_min > 0 ? salary_min : null,
+        max: salary_max > 0 ? salary_max : null,
+        currency: 'USD',
+        period: 'year'
+      }
+    }
+    if (location) normalized.location = location
+
+    return normalized
+  }
+}
@@ -0,0 +1,78 @@
+const {cleanDescription, sanitizeDescription} = require('../text')
+
+// Using the provided API token
+const web3JobsApi = 'https://web3.career/api/v1?token=oUKT4YEswSKx4DpAaxM5DwZJt3E9Nun2&remote=true&limit=100'
+const fallBackImage = 'https://web3.career/img/web3-career-logo.png'
+
+/**
+ * Web3.career JSON API adapter
+ */
+module.exports = {
+  name: 'Web3Jobs',
+  homepage: 'https://web3.career',
+  enabled: true,
+  timeout: 10000,
+
+  /**
+   * Fetches raw job listings from the Web3.career API
+   * @param {Object} context - Source context with the configured timeout and fetch session
+   * @returns {Promise<Array>} - Raw API job objects
+   */
+  async fetch({ timeout, http }) {
+    const data = await http.get(web3JobsApi, {
+      headers: { 'Accept': 'application/json' },
+      timeout
+    })
+
+    // As per the API documentation, the array starts at index 2
+    const web3Jobs = Array.isArray(data) ? data[2] : null
+    if (!Array.isArray(web3Jobs)) {
+      const reason = data && data.error ? `: ${data.error}` : ''
+      throw new Error(`Unexpected Web3.career API response${reason}`)
+    }
+    return web3Jobs
+  },
+
+  /**
+   * Converts a Web3.career API job into the common job shape
+   * @param {Object} job - Raw API job object
+   * @returns {Object} - Normalized job
+   */
+  normalize(job) {
+    const {
+      id,
+      title,
+      company,
+      date_epoch,
+      country,
+      city,
+      location,
+      apply_url,
+      tags,
+      description
+    } = job
+
+    // The API does not provide company logos, use the board logo
+    const image = { uri: fallBackImage }
+
+    // Format date to be consistent with other sources
+    const formattedDate = new Date(parseInt(date_epoch) * 1000).toUTCString()
+
+    // Process tags to match our format
+    const jobTags = Array.isArray(tags) ? tags : ['web3', 'blockchain']
+
+    return {
+      id: `web3-${id}`, // Adding a prefix to ensure unique IDs across sources
+      company,
+      position: title,
+      date: formattedDate,
+      image,
+      description: cleanDescription(description || ''),
+      descriptionHtml: sanitizeDescription(description),
+      url: apply_url, // Using apply_url as required by the API provider
+      tags: jobTags,
+      location: location || `${city || ''} ${country || ''}`.trim(),
+      source: 'Web3Jobs'
+    }
+  }
+}
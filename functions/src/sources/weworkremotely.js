@@ -0,0 +1,183 @@
+const Parser = require('rss-parser')
+const {cleanDescription, sanitizeDescription} = require('../text')
+
+// Fetched one or two at a time (see src/http.js), conditionally after the first run
+const urls = [
+  'https://weworkremotely.com/categories/remote-programming-jobs.rss',
+  'https://weworkremotely.com/categories/remote-customer-support-jobs.rss',
+  'https://weworkremotely.com/categories/remote-product-jobs.rss',
+  'https://weworkremotely.com/categories/remote-sales-and-marketing-jobs.rss',
+  'https://weworkremotely.com/categories/remote-copywriting-jobs.rss',
+  'https://weworkremotely.com/categories/remote-design-jobs.rss',
+  'https://weworkremotely.com/remote-jobs.rss',
+  'https://weworkremotely.com/categories/remote-devops-sysadmin-jobs.rss',
+]
+const imgRegex = /(http)?s?:?(\/\/[^"']*\.(?:png|jpg|jpeg|gif|png|svg|webp))/g
+const fallBackImage = 'https://weworkremotely.com/assets/wwr-social-fd7d545c56e975b65fae9cf49346aac95a8cdb4774b2c269af89ac8993141380.png'
+
+// WWR answers 403 to feed readers, these browser-like headers get past it
+const browserHeaders = {
+  'User-Agent': 'Mozilla/5.0 (iPhone; CPU iPhone OS 15_0 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/15.0 Mobile/15E148 Safari/604.1',
+  'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
+  'Accept-Language': 'en-US,en;q=0.5',
+  'Accept-Encoding': 'gzip, deflate, br',
+  'Connection': 'keep-alive',
+  'Referer': 'https://weworkremotely.com/',
+  'Cache-Control': 'no-cache',
+  'Pragma': 'no-cache'
+}
+
+// Only used to parse feed bodies fetched with axios, handles CDATA and entities
+const parser = new Parser({
+  customFields: {
+    item: ['region', 'country', 'type', 'category', ['media:content', 'mediaContent']]
+  }
+})
+
+/**
+ * Derives the category tag from a category feed URL
+ * e.g. .../categories/remote-customer-support-jobs.rss -> 'customer support'
+ * @param {string} feedUrl - Feed URL
+ * @returns {string|null} - Category tag, or null for the all-jobs feed
+ */
+function feedCategory(feedUrl) {
+  const match = feedUrl.match(/\/categories\/remote-(.+)-jobs\.rss$/)
+  return match ? match[1].replace(/-/g, ' ') : null
+}
+
+/**
+ * Reads the text of a custom feed field
+ * rss-parser returns elements with attributes as { _: text, $: attributes },
+ * and repeated elements as arrays
+ * @param {*} value - Parsed field value
+ * @returns {string|null} - Trimmed text, or null if there is none
+ */
+function fieldText(value) {
+  if (Array.isArray(value)) return fieldText(value[0])
+  if (value && typeof value === 'object') return fieldText(value._)
+  if (typeof value !== 'string' && typeof value !== 'number') return null
+  return String(value).trim() || null
+}
+
+/**
+ * Splits a "Company: Position" title, tolerating titles without a colon
+ * @param {string} title - Item title
+ * @returns {Object} - Company and position
+ */
+function parseTitle(title) {
+  const separator = title.indexOf(':')
+  if (separator === -1) {
+    return { company: 'Unknown Company', position: title.trim() }
+  }
+  return {
+    company: title.slice(0, separator).trim(),
+    position: title.slice(separator + 1).trim() || 'Unknown Position'
+  }
+}
+
+/**
+ * Fetches a single WeWorkRemotely feed and parses its items
+ * The session sends the source headers, browserHeaders unless overridden
+ * @param {string} url - Feed URL
+ * @param {number} timeout - Request timeout in milliseconds
+ * @param {Object} http - Fetch session of the run
+ * @returns {Promise<Array>} - Parsed items with the feed URL attached
+ */
+async function fetchFeed(url, timeout, http) {
+  const items = await http.get(url, {
+    responseType: 'text',
+    timeout
+  }, async body => (await parser.parseString(body)).items)
+
+  return items.map(item => ({ ...item, feedUrl: url }))
+}
+
+/**
+ * WeWorkRemotely RSS feeds adapter
+ */
+module.exports = {
+  name: 'WeWorkRemotely',
+  homepage: 'https://weworkremotely.com',
+  enabled: true,
+  timeout: 15000,
+  headers: browserHeaders,
+
+  /**
+   * Fetches all category feeds, tolerating individual feed failures
+   * @param {Object} context - Source context with the configured timeout and fetch session
+   * @returns {Promise<Array>} - Parsed feed items
+   */
+  async fetch({ timeout, http }) {
+    const errors = []
+    const jobResults = await Promise.all(
+      urls.map(url => fetchFeed(url, timeout, http).catch(error => {
+        console.error(`Error fetching ${url}:`, error.message)
+        errors.push(error)
+        return []
+      }))
+    )
+
+    // Only fail the source when every feed failed
+    if (errors.length === urls.length) {
+      throw errors[0]
+    }
+
+    return jobResults.flat()
+  },
+
+  /**
+   * Converts a parsed feed item into the common job shape
+   * @param {Object} item - Parsed feed item
+   * @returns {Object|null} - Normalized job, or null if essential data is missing
+   */
+  normalize(item) {
+    const { feedUrl, title, link, pubDate, isoDate, mediaContent } = item
+    const region = fieldText(item.region)
+    const type = fieldText(item.type)
+    const category = fieldText(item.category)
+    const content = item.content || ''
+
+    // Skip if missing essential data
+    if (!title || !link) return null
+
+    const { company, position } = parseTitle(title)
+
+    // Prefer the logo published as media:content over images in the description
+    const logoUrl = mediaContent && mediaContent.$ && mediaContent.$.url
+    const imageUrl = content.match(imgRegex)
+    const image = { uri: logoUrl || (imageUrl ? imageUrl[0] : fallBackImage) }
+
+    // Tags come from the category feed, plus the item's own category
+    const tags = []
+    const feedTag = feedCategory(feedUrl)
+    if (feedTag) tags.push(feedTag)
+    if (category && !tags.includes(category.toLowerCase())) tags.push(category.toLowerCase())
+    if (tags.length === 0) tags.push('remote work')
+
+    const date = new Date(isoDate || pubDate).toUTCString()
+    const description = cleanDescription(content)
+
+    const job = {
+      company,
+      position,
+      image,
+      date,
+      description,
+      descriptionHtml: sanitizeDescription(content),
+      id: link,
+      url: link,
+      tags,
+      source: 'WeWorkRemotely'
+    }
+
+    // Optional fields WWR exposes per item
+    if (region) job.location = region
+    if (type) job.employmentType = type
+
+    return job
+  },
+
+  // Exposed for the fixture tests
+  parseTitle,
+  feedCategory
+}
@@ -0,0 +1,221 @@
+/**
+ * Daily market statistics
+ *
+ * Every cache update rewrites the aggregate of the current UTC day in
+ * dailyStats/{YYYY-MM-DD}, so each day ends up holding the visible active jobs
+ * of its last run (hidden low-quality jobs are left out), counted per source,
+ * category, skill, salary band and location restriction, plus the jobs added
+ * and expired over the whole day.
+ */
+const {annualSalary} = require('./enrich')
+const {QueryError} = require('./query')
+const {toDate} = require('./store')
+
+// Dimensions stored as { key: count } maps, and the total series
+const GROUPS = ['sources', 'categories', 'skills', 'salaryBands', 'locations']
+const TOTAL_SERIES = ['jobCount', 'new', 'expired']
+
+const DEFAULT_RANGE_DAYS = 30
+const MAX_RANGE_DAYS = 366
+const DEFAULT_TOP = 10
+const DAY_MS = 24 * 60 * 60 * 1000
+
+// Upper bounds of the annual salary bands, in thousands of the job's currency
+const SALARY_BANDS = [50, 100, 150, 200]
+
+/**
+ * Formats a date as its UTC day
+ * @param {Date} date - Any time of the day
+ * @returns {string} - YYYY-MM-DD
+ */
+function dayKey(date) {
+  return date.toISOString().slice(0, 10)
+}
+
+/**
+ * Names the salary band of a job
+ * Currencies are not converted, so bands are per currency (e.g. "USD 100k-150k")
+ * @param {Object} salary - Structured salary
+ * @returns {string} - Band name, "undisclosed" without a salary
+ */
+function salaryBand(salary) {
+  const annual = annualSalary(salary)
+  if (annual === null) return 'undisclosed'
+
+  const thousands = annual / 1000
+  const index = SALARY_BANDS.findIndex(bound => thousands < bound)
+  const band = index === -1
+    ? `${SALARY_BANDS[SALARY_BANDS.length - 1]}k+`
+    : `${index === 0 ? 0 : SALARY_BANDS[index - 1]}k-${SALARY_BANDS[index]}k`
+  return `${salary.currency || 'unknown'} ${band}`
+}
+
+/**
+ * Counts the active jobs per dimension
+ * @param {Array} jobs - Active jobs of the snapshot
+ * @returns {Object} - { jobCount, sources, categories, skills, salaryBands, locations }
+ */
+function aggregateJobs(jobs) {
+  const aggregate = { jobCount: jobs.length }
+  GROUPS.forEach(group => { aggregate[group] = {} })
+
+  const increment = (group, key) => {
+    if (key === undefined || key === null || key === '') return
+    aggregate[group][key] = (aggregate[group][key] || 0) + 1
+  }
+
+  jobs.forEach(job => {
+    increment('sources', job.source)
+    ;(job.categories || []).forEach(category => increment('categories', category))
+    ;(job.skills || []).forEach(skill => increment('skills', skill))
+    increment('salaryBands', salaryBand(job.salary))
+    ;(job.locationRestrictions || []).forEach(location => increment('locations', location))
+  })
+
+  return aggregate
+}
+
+/**
+ * Rewrites the aggregate of the run's day
+ * Added and expired counts accumulate over the runs of the day, in a
+ * transaction so overlapping runs (schedule and admin refresh) add up. Added
+ * jobs count only if they are among the given (visible) jobs
+ * @param {Object} db - Firestore instance
+ * @param {Array} jobs - Visible active jobs of the new snapshot
+ * @param {Object} changes - Added and expired job keys of the run
+ * @param {Date} runAt - Time of the run
+ */
+async function recordDailyStats(db, jobs, changes, runAt = new Date()) {
+  const date = dayKey(runAt)
+  const ref = db.collection('dailyStats').doc(date)
+  const aggregate = aggregateJobs(jobs)
+  const keys = new Set(jobs.map(job => job.key))
+  const added = changes.added.filter(key => keys.has(key)).length
+
+  await db.runTransaction(async transaction => {
+    const existing = await transaction.get(ref)
+    const previous = existing.exists ? existing.data() : {}
+
+    transaction.set(ref, {
+      date,
+      ...aggregate,
+      new: (previous.new || 0) + added,
+      expired: (previous.expired || 0) + changes.expired.length,
+      runs: (previous.runs || 0) + 1,
+      updatedAt: runAt
+    })
+  })
+}
+
+/**
+ * Parses a YYYY-MM-DD query value
+ * @param {string} value - Raw query value
+ * @param {string} name - Parameter name for the error message
+ * @returns {Date} - Midnight UTC of that day
+ */
+function parseDay(value, name) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(value))
+  const date = match ? new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3]))) : null
+  if (!date || dayKey(date) !== String(value)) {
+    throw new QueryError(`Invalid ${name}, expected YYYY-MM-DD`)
+  }
+  return date
+}
+
+/**
+ * Parses and validates the getStats query parameters
+ * @param {Object} query - Express request query object
+ * @param {Date} [now] - Current time
+ * @returns {Object} - { from, to, groupBy, keys, top }
+ */
+function parseStatsQuery(query, now = new Date()) {
+  const to = query.to !== undefined ? parseDay(query.to, 'to') : parseDay(dayKey(now), 'to')
+  const from = query.from !== undefined
+    ? parseDay(query.from, 'from')
+    : new Date(to.getTime() - (DEFAULT_RANGE_DAYS - 1) * DAY_MS)
+
+  if (from > to) {
+    throw new QueryError('from must not be after to')
+  }
+  if ((to - from) / DAY_MS + 1 > MAX_RANGE_DAYS) {
+    throw new QueryError(`Date range is limited to ${MAX_RANGE_DAYS} days`)
+  }
+
+  const groupBy = query.groupBy ? String(query.groupBy) : 'total'
+  if (groupBy !== 'total' && !GROUPS.includes(groupBy)) {
+    throw new QueryError(`Invalid groupBy, expected one of total, ${GROUPS.join(', ')}`)
+  }
+
+  const keys = query.keys
+    ? String(query.keys).split(',').map(key => key.trim()).filter(Boolean)
+    : []
+
+  let top = DEFAULT_TOP
+  if (query.top !== undefined) {
+    top = parseInt(query.top, 10)
+    if (Number.isNaN(top) || top < 1) {
+      throw new QueryError('Invalid top')
+    }
+  }
+
+  return { from, to, groupBy, keys, top }
+}
+
+/**
+ * Builds time series from the daily aggregates
+ * Days without an aggregate (e.g. before stats existed) are null in every series.
+ * Without explicit keys, the top keys by count on the latest day are returned
+ * @param {Object} db - Firestore instance
+ * @param {Object} options - Options returned by parseStatsQuery
+ * @returns {Promise<Object>} - { from, to, groupBy, dates, series: [{ key, values }] }
+ */
+async function readStats(db, options) {
+  const snapshot = await db.collection('dailyStats')
+    .where('date', '>=', dayKey(options.from))
+    .where('date', '<=', dayKey(options.to))
+    .get()
+
+  const byDate = new Map()
+  snapshot.forEach(doc => byDate.set(doc.get('date'), doc.data()))
+
+  const dates = []
+  for (let time = options.from.getTime(); time <= options.to.getTime(); time += DAY_MS) {
+    dates.push(dayKey(new Date(time)))
+  }
+  const days = dates.map(date => byDate.get(date) || null)
+  const latest = days.filter(Boolean).pop()
+
+  let keys = TOTAL_SERIES
+  let valueOf = (day, key) => day[key] || 0
+
+  if (options.groupBy !== 'total') {
+    const group = options.groupBy
+    valueOf = (day, key) => (day[group] || {})[key] || 0
+    keys = options.keys
+
+    if (keys.length === 0) {
+      keys = Object.entries(latest ? latest[group] || {} : {})
+        .sort((first, second) => second[1] - first[1])
+        .slice(0, options.top)
+        .map(([key]) => key)
+    }
+  }
+
+  return {
+    from: dayKey(options.from),
+    to: dayKey(options.to),
+    groupBy: options.groupBy,
+    updatedAt: latest ? toDate(latest.updatedAt).toISOString() : null,
+    dates,
+    series: keys.map(key => ({
+      key,
+      values: days.map(day => (day ? valueOf(day, key) : null))
+    }))
+  }
+}
+
+module.exports = {
+  recordDailyStats,
+  parseStatsQuery,
+  readStats
+}
@@ -0,0 +1,467 @@
+/**
+ * Firestore persistence for the job cache
+ *
+ * Every job lives in its own document of the jobs collection under a stable
+ * key, with firstSeenAt, lastSeenAt, updatedAt, status (active/expired) and
+ * expiredReason tracking its lifecycle. Clients are served from a compacted snapshot of the active set,
+ * stored as remoteJobs/chunk_N documents described by remoteJobs/metadata.
+ */
+const crypto = require('crypto')
+const {FieldPath} = require('firebase-admin/firestore')
+
+// Firestore allows at most 500 writes per batch
+const MAX_BATCH_WRITES = 500
+
+// Fields kept on the job documents only, to keep the snapshot small
+const DOCUMENT_ONLY_FIELDS = ['descriptionHtml']
+
+// How often lastSeenAt is refreshed for jobs whose content did not change
+const LAST_SEEN_RESOLUTION_MS = 24 * 60 * 60 * 1000
+
+// Jobs expired by the link checker stay expired even if their board still lists them
+const STICKY_EXPIRY_REASONS = ['dead-link', 'position-filled']
+
+// Changes are served for this long; clients further behind resync from the full list
+const CHANGES_WINDOW_MS = 7 * 24 * 60 * 60 * 1000
+
+// Changed jobs returned per page of readJobChanges
+const CHANGES_PAGE_SIZE = 500
+
+/**
+ * Returns a hex SHA-1 digest of the given value
+ * @param {*} value - String or JSON serializable value
+ * @returns {string} - Hex digest
+ */
+function sha1(value) {
+  const data = typeof value === 'string' ? value : JSON.stringify(value)
+  return crypto.createHash('sha1').update(data).digest('hex')
+}
+
+/**
+ * Builds the stable document key of a job
+ * Source IDs may be URLs, so they are hashed into a valid document ID
+ * @param {Object} job - Normalized job
+ * @returns {string} - Document ID in the jobs collection
+ */
+function jobKey(job) {
+  return sha1(`${job.source}:${job.id}`)
+}
+
+/**
+ * Tells whether a value has the shape of a job key
+ * Keys are SHA-1 hex digests, anything else cannot be a document ID
+ * @param {*} value - Candidate key
+ * @returns {boolean}
+ */
+function isJobKey(value) {
+  return typeof value === 'string' && /^[0-9a-f]{40}$/.test(value)
+}
+
+/**
+ * Splits an array into chunks to stay under Firestore 1MB limit
+ * @param {Array} jobs - Array of job objects
+ * @param {number} chunkSize - Number of jobs per chunk
+ * @returns {Array} - Array of job chunks
+ */
+function chunkJobs(jobs, chunkSize = 100) {
+  const chunks = []
+  for (let i = 0; i < jobs.length; i += chunkSize) {
+    chunks.push(jobs.slice(i, i + chunkSize))
+  }
+  return chunks
+}
+
+/**
+ * Commits write operations in as many batches as the Firestore limit requires
+ * @param {Object} db - Firestore instance
+ * @param {Array} operations - Functions receiving a batch and adding one write to it
+ */
+async function commitInBatches(db, operations) {
+  for (let i = 0; i < operations.length; i += MAX_BATCH_WRITES) {
+    const batch = db.batch()
+    operations.slice(i, i + MAX_BATCH_WRITES).forEach(operation => operation(batch))
+    await batch.commit()
+  }
+}
+
+/**
+ * Converts a Firestore timestamp (or Date) to a JavaScript Date
+ * @param {Object|Date} value - Timestamp value
+ * @returns {Date|null}
+ */
+function toDate(value) {
+  if (!value) return null
+  return typeof value.toDate === 'function' ? value.toDate() : new Date(value)
+}
+
+/**
+ * Removes the fields that are only stored on the job documents
+ * @param {Object} job - Job object
+ * @returns {Object} - Copy of the job for the snapshot and list responses
+ */
+function toSnapshotJob(job) {
+  const snapshotJob = { ...job }
+  DOCUMENT_ONLY_FIELDS.forEach(field => delete snapshotJob[field])
+  return snapshotJob
+}
+
+/**
+ * Diffs the current run against the active job documents and writes only what changed
+ * New jobs are created (or reactivated), changed jobs are updated, jobs that
+ * are no longer listed are marked expired. Jobs of sources that failed in this
+ * run are left untouched, so an outage does not expire a whole board. Jobs the
+ * link checker found dead are not reactivated and are left out of the result
+ * @param {Object} db - Firestore instance
+ * @param {Array} jobs - Jobs of the current run
+ * @param {Object} run - Run times and the names of the sources fetched successfully
+ * @param {Date} run.runAt - Time of the current run
+ * @param {Date|null} run.previousRunAt - Time of the previous run, used as lastSeenAt for expired jobs
+ * @param {Array} run.successfulSources - Sources whose missing jobs may be expired
+ * @returns {Promise<Object>} - Jobs annotated with firstSeenAt, plus added/updated/expired/skipped keys
+ */
+async function syncJobDocuments(db, jobs, { runAt, previousRunAt, successfulSources }) {
+  const collection = db.collection('jobs')
+  const activeDocs = await collection
+    .where('status', '==', 'active')
+    .select('source', 'contentHash', 'firstSeenAt', 'lastSeenAt', 'linkCheckedAt')
+    .get()
+
+  const active = new Map()
+  activeDocs.forEach(doc => active.set(doc.id, doc.data()))
+
+  const listed = jobs.map(job => ({ key: jobKey(job), job, contentHash: sha1(job) }))
+
+  // Jobs that are not active may still exist as expired documents
+  const inactiveRefs = listed
+    .filter(entry => !active.has(entry.key))
+    .map(entry => collection.doc(entry.key))
+  const inactiveDocs = inactiveRefs.length > 0 ? await db.getAll(...inactiveRefs) : []
+  const expiredFirstSeen = new Map()
+  const deadKeys = new Set()
+  inactiveDocs.forEach(doc => {
+    if (!doc.exists) return
+    expiredFirstSeen.set(doc.id, doc.get('firstSeenAt'))
+    if (STICKY_EXPIRY_REASONS.includes(doc.get('expiredReason'))) deadKeys.add(doc.id)
+  })
+  const current = listed.filter(entry => !deadKeys.has(entry.key))
+
+  const operations = []
+  const added = []
+  const updated = []
+  const seen = new Set()
+
+  const annotatedJobs = current.map(({ key, job, contentHash }) => {
+    seen.add(key)
+    const ref = collection.doc(key)
+    const previous = active.get(key)
+
+    if (!previous) {
+      const firstSeenAt = toDate(expiredFirstSeen.get(key)) || runAt
+      added.push(key)
+      operations.push(batch => batch.set(ref, {
+        ...job,
+        key,
+        contentHash,
+        firstSeenAt,
+        lastSeenAt: runAt,
+        updatedAt: runAt,
+        status: 'active',
+        expiredAt: null,
+        expiredReason: null,
+        linkCheckedAt: null
+      }))
+      return { ...job, key, firstSeenAt: firstSeenAt.toISOString() }
+    }
+
+    const firstSeenAt = toDate(previous.firstSeenAt) || runAt
+    // Documents written before link checking existed need the field to be queued
+    const linkCheck = previous.linkCheckedAt === undefined ? { linkCheckedAt: null } : {}
+    if (previous.contentHash !== contentHash) {
+      updated.push(key)
+      operations.push(batch => batch.set(ref, { ...job, key, contentHash, lastSeenAt: runAt, updatedAt: runAt, ...linkCheck }, { merge: true }))
+    } else if (runAt - toDate(previous.lastSeenAt) >= LAST_SEEN_RESOLUTION_MS) {
+      operations.push(batch => batch.update(ref, { lastSeenAt: runAt, ...linkCheck }))
+    }
+    return { ...job, key, firstSeenAt: firstSeenAt.toISOString() }
+  })
+
+  const expired = []
+  active.forEach((data, key) => {
+    if (seen.has(key) || !successfulSources.includes(data.source)) return
+    expired.push(key)
+    operations.push(batch => batch.update(collection.doc(key), {
+      status: 'expired',
+      expiredAt: runAt,
+      expiredReason: 'delisted',
+      updatedAt: runAt,
+      lastSeenAt: previousRunAt || toDate(data.lastSeenAt) || runAt
+    }))
+  })
+
+  await commitInBatches(db, operations)
+  console.log(`Job documents: ${added.length} added, ${updated.length} updated, ${expired.length} expired, ${deadKeys.size} dead links skipped`)
+
+  return { jobs: annotatedJobs, added, updated, expired, skippedKeys: [...deadKeys] }
+}
+
+/**
+ * Writes the compacted snapshot of active jobs served by getRemoteJobs
+ * Chunks whose content did not change since the previous snapshot are not rewritten
+ * @param {Object} db - Firestore instance
+ * @param {Array} jobs - Active jobs, sorted newest first
+ * @param {Object} metadata - Run metadata
+ * @param {Object|null} previousMetadata - Metadata of the previous snapshot
+ */
+async function writeSnapshot(db, jobs, metadata, previousMetadata) {
+  const jobChunks = chunkJobs(jobs, 100)
+  const chunkHashes = jobChunks.map(chunk => sha1(chunk))
+  const previousHashes = (previousMetadata && previousMetadata.chunkHashes) || []
+  const previousCount = (previousMetadata && previousMetadata.chunkCount) || 0
+  console.log(`Splitting ${jobs.length} jobs into ${jobChunks.length} chunks`)
+
+  const operations = []
+
+  jobChunks.forEach((chunk, index) => {
+    if (previousHashes[index] === chunkHashes[index]) return
+    const chunkDoc = db.collection('remoteJobs').doc(`chunk_${index}`)
+    operations.push(batch => batch.set(chunkDoc, {
+      jobs: chunk,
+      chunkIndex: index,
+      isChunk: true,
+      lastUpdated: metadata.lastUpdated
+    }))
+  })
+
+  // Delete chunks left over from a larger previous snapshot
+  for (let index = jobChunks.length; index < previousCount; index++) {
+    const chunkDoc = db.collection('remoteJobs').doc(`chunk_${index}`)
+    operations.push(batch => batch.delete(chunkDoc))
+  }
+
+  // Store metadata in main document
+  const metadataDoc = db.collection('remoteJobs').doc('metadata')
+  operations.push(batch => batch.set(metadataDoc, {
+    ...metadata,
+    modifiedAt: metadata.modifiedAt || metadata.lastUpdated,
+    chunkCount: jobChunks.length,
+    chunkHashes,
+    jobCount: jobs.length
+  }))
+
+  // Up to MAX_BATCH_WRITES operations (about 50,000 jobs) commit in one batch, so readers
+  // never see a partial update. Larger snapshots are split over several batches with the
+  // metadata last, and readers may briefly get a mix of old and new chunks
+  await commitInBatches(db, operations)
+  console.log(`Saved ${jobs.length} jobs in ${jobChunks.length} chunks to cache (${operations.length - 1} chunk writes)`)
+}
+
+/**
+ * Helper function to persist a run: job documents first, then the snapshot
+ * Used by both scheduled function and HTTP fallback
+ * With options.sources only the jobs of those sources are synced to job
+ * documents; the other jobs are already stored snapshot jobs (e.g. kept from
+ * the previous snapshot by a single-source refresh) and are written as they are
+ * @param {Array} jobs - Jobs of the current run, sorted newest first
+ * @param {Object} metadata - Run metadata
+ * @param {Object} db - Firestore instance
+ * @param {Object} [options] - { sources: names of the sources fetched in this run }
+ * @returns {Promise<Object>} - Added, updated and expired job keys, plus the jobs written to the snapshot
+ */
+async function saveJobsToCache(jobs, metadata, db, options = {}) {
+  const metadataDoc = await db.collection('remoteJobs').doc('metadata').get()
+  const previousMetadata = metadataDoc.exists ? metadataDoc.data() : null
+  const runAt = metadata.lastUpdated
+  const previousRunAt = previousMetadata ? toDate(previousMetadata.lastUpdated) : null
+
+  const successfulSources = Object.keys(metadata.sources || {})
+    .filter(name => metadata.sources[name].success)
+    .filter(name => !options.sources || options.sources.includes(name))
+
+  const inScope = job => !options.sources || options.sources.includes(job.source)
+  const changes = await syncJobDocuments(db, jobs.filter(inScope), { runAt, previousRunAt, successfulSources })
+
+  // Synced jobs come back in order, annotated with key and firstSeenAt
+  const skipped = new Set(changes.skippedKeys)
+  let syncedIndex = 0
+  const snapshotJobs = jobs
+    .filter(job => !inScope(job) || !skipped.has(jobKey(job)))
+    .map(job => inScope(job) ? changes.jobs[syncedIndex++] : job)
+
+  const activeJobs = snapshotJobs.map(toSnapshotJob)
+  await writeSnapshot(db, activeJobs, {
+    ...metadata,
+    changes: {
+      added: changes.added.length,
+      updated: changes.updated.length,
+      expired: changes.expired.length
+    }
+  }, previousMetadata)
+
+  return { ...changes, snapshotJobs: activeJobs }
+}
+
+/**
+ * Removes jobs from the snapshot between scheduled runs, e.g. after the link
+ * checker expired them. lastUpdated is kept, modifiedAt moves forward
+ * @param {Object} db - Firestore instance
+ * @param {Array} keys - Keys of the jobs to remove
+ * @returns {Promise<number>} - Number of jobs removed
+ */
+async function removeFromSnapshot(db, keys) {
+  const cached = await readJobsFromCache(db)
+  if (!cached) return 0
+
+  const removed = new Set(keys)
+  const jobs = cached.jobs.filter(job => !removed.has(job.key))
+  if (jobs.length === cached.jobs.length) return 0
+
+  // A cache update that finished meanwhile has already left these jobs out
+  const current = await readCacheMetadata(db)
+  if (!current || toDate(current.lastUpdated).getTime() !== toDate(cached.metadata.lastUpdated).getTime()) {
+    console.log('Snapshot changed while removing jobs, leaving it to the new snapshot')
+    return 0
+  }
+
+  await writeSnapshot(db, jobs, { ...cached.metadata, modifiedAt: new Date() }, cached.metadata)
+  return cached.jobs.length - jobs.length
+}
+
+/**
+ * Reads the snapshot metadata document
+ * @param {Object} db - Firestore instance
+ * @returns {Promise<Object|null>} - Metadata, or null if the cache is missing
+ */
+async function readCacheMetadata(db) {
+  const metadataDoc = await db.collection('remoteJobs').doc('metadata').get()
+  return metadataDoc.exists ? metadataDoc.data() : null
+}
+
+/**
+ * Reads the aggregated job list from the snapshot chunks
+ * @param {Object} db - Firestore instance
+ * @param {Object} [knownMetadata] - Metadata already read by the caller
+ * @returns {Promise<Object|null>} - Jobs and metadata, or null if the cache is missing
+ */
+async function readJobsFromCache(db, knownMetadata) {
+  const metadata = knownMetadata || await readCacheMetadata(db)
+
+  if (!metadata) {
+    return null
+  }
+
+  // Read all job chunks in parallel
+  const chunkCount = metadata.chunkCount || 0
+  const chunkPromises = []
+
+  for (let i = 0; i < chunkCount; i++) {
+    chunkPromises.push(
+      db.collection('remoteJobs').doc(`chunk_${i}`).get()
+    )
+  }
+
+  const chunkDocs = await Promise.all(chunkPromises)
+
+  // Aggregate all jobs from chunks
+  const jobs = []
+  chunkDocs.forEach(doc => {
+    if (doc.exists) {
+      const chunkData = doc.data()
+      jobs.push(...chunkData.jobs)
+    }
+  })
+
+  return { jobs, metadata }
+}
+
+/**
+ * Reads a single job document by its key, falling back to the source ID
+ * @param {Object} db - Firestore instance
+ * @param {string} id - Job key or source job ID
+ * @returns {Promise<Object|null>} - Job document data, or null if not found
+ */
+async function readJobDocument(db, id) {
+  const collection = db.collection('jobs')
+  const value = String(id)
+
+  if (isJobKey(value)) {
+    const doc = await collection.doc(value).get()
+    if (doc.exists) return doc.data()
+  }
+
+  // Source IDs are numbers for some boards and strings for others
+  const candidates = [value]
+  if (/^\d+$/.test(value)) candidates.push(Number(value))
+  const snapshot = await collection.where('id', 'in', candidates).limit(1).get()
+  return snapshot.empty ? null : snapshot.docs[0].data()
+}
+
+/**
+ * Converts a job document to the shape served in job lists
+ * @param {Object} data - Job document data
+ * @returns {Object}
+ */
+function documentToListJob(data) {
+  const job = toSnapshotJob(data)
+  delete job.contentHash
+  delete job.lastSeenAt
+  delete job.updatedAt
+  delete job.expiredAt
+  delete job.status
+  job.firstSeenAt = data.firstSeenAt ? toDate(data.firstSeenAt).toISOString() : null
+  return job
+}
+
+/**
+ * Lists the jobs that changed after the given time, a page at a time
+ * Added and updated jobs are returned in full, removed jobs by key. Pages are
+ * ordered by updatedAt and key; next is the position to resume after, or null
+ * on the last page
+ * @param {Object} db - Firestore instance
+ * @param {Date} since - Exclusive lower bound
+ * @param {Object} [options] - { limit, after: { updatedAt, key } from a previous page }
+ * @returns {Promise<Object>} - { added, updated, removed, next }
+ */
+async function readJobChanges(db, since, { limit = CHANGES_PAGE_SIZE, after = null } = {}) {
+  let query = db.collection('jobs')
+    .where('updatedAt', '>', since)
+    .orderBy('updatedAt')
+    .orderBy(FieldPath.documentId())
+  if (after) {
+    query = query.startAfter(after.updatedAt, after.key)
+  }
+  const snapshot = await query.limit(limit).get()
+
+  const changes = { added: [], updated: [], removed: [], next: null }
+  snapshot.forEach(doc => {
+    const data = doc.data()
+    if (data.status !== 'active') {
+      changes.removed.push(doc.id)
+    } else if (toDate(data.firstSeenAt) > since) {
+      changes.added.push(documentToListJob(data))
+    } else {
+      changes.updated.push(documentToListJob(data))
+    }
+  })
+  if (snapshot.size === limit) {
+    const last = snapshot.docs[snapshot.size - 1]
+    changes.next = { updatedAt: toDate(last.get('updatedAt')), key: last.id }
+  }
+  return changes
+}
+
+module.exports = {
+  CHANGES_WINDOW_MS,
+  jobKey,
+  isJobKey,
+  sha1,
+  toDate,
+  commitInBatches,
+  toSnapshotJob,
+  saveJobsToCache,
+  removeFromSnapshot,
+  readCacheMetadata,
+  readJobsFromCache,
+  readJobDocument,
+  readJobChanges,
+  documentToListJob
+}
@@ -0,0 +1,143 @@
+/**
+ * Canonical tag taxonomy
+ *
+ * Sources tag jobs inconsistently (raw API tags, feed categories, parsed
+ * "Categories:" lines, fixed fallbacks). This module maps them onto a fixed
+ * set of categories and normalized skill tags. The raw tags stay untouched on
+ * job.tags; the canonical values are added as job.categories and job.skills.
+ */
+
+// Checked against the raw tags and the position title
+const categoryRules = [
+  ['devops', /\b(devops|sysadmin|sre|site reliability|infrastructure|platform engineer|cloud engineer|kubernetes|terraform)\b/i],
+  ['data', /\b(data|analytics|analyst|machine learning|ml|ai|bi|etl|scientist)\b/i],
+  ['engineering', /\b(engineer|engineering|developer|development|programming|programmer|software|frontend|front-end|backend|back-end|full[- ]?stack|dev|qa|tester|mobile|ios|android|web3|blockchain|smart contract)\b/i],
+  ['design', /\b(design|designer|ux|ui|graphic|illustrat\w*|creative)\b/i],
+  ['product', /\b(product|project manager|program manager|scrum|agile coach)\b/i],
+  ['support', /\b(support|customer success|customer service|customer experience|help ?desk|technical account)\b/i],
+  ['sales-marketing', /\b(sales|marketing|growth|seo|sem|business development|account executive|advertising|social media|community|partnerships)\b/i],
+  ['writing', /\b(writ\w*|copywrit\w*|content|editor|editorial|journalis\w*|translat\w*)\b/i],
+  ['operations', /\b(operations|hr|human resources|recruit\w*|talent|people|finance|accounting|accountant|legal|admin\w*|assistant)\b/i]
+]
+
+const CATEGORIES = categoryRules.map(([category]) => category).concat('other')
+
+// Canonical skill -> pattern matched against tags, title and description
+const skillRules = [
+  ['javascript', /\b(javascript|js|es6|ecmascript)\b/i],
+  ['typescript', /\b(typescript|ts)\b/i],
+  ['react', /\b(react|reactjs|react\.js)\b/i],
+  ['react-native', /\breact[- ]native\b/i],
+  ['vue', /\b(vue|vuejs|vue\.js|nuxt)\b/i],
+  ['angular', /\b(angular|angularjs)\b/i],
+  ['node', /\b(node|nodejs|node\.js)\b/i],
+  ['python', /\bpython\b/i],
+  ['django', /\bdjango\b/i],
+  ['ruby', /\b(ruby|rails|ruby on rails)\b/i],
+  ['php', /\b(php|laravel|symfony)\b/i],
+  ['java', /\bjava\b(?!\s*script)/i],
+  ['kotlin', /\bkotlin\b/i],
+  ['swift', /\bswift\b/i],
+  // A bare "go" is only trusted as a whole tag, it is too common a word otherwise
+  ['golang', /\b(golang|go developer|go engineer)\b|(?:^|\| )go(?: \||$)/i],
+  ['rust', /\brust\b/i],
+  ['csharp', /(\bc#|\.net\b|\bdotnet\b)/i],
+  ['cpp', /\bc\+\+/i],
+  ['elixir', /\belixir\b/i],
+  ['scala', /\bscala\b/i],
+  ['sql', /\b(sql|postgres|postgresql|mysql)\b/i],
+  ['mongodb', /\bmongo(db)?\b/i],
+  ['graphql', /\bgraphql\b/i],
+  ['aws', /\b(aws|amazon web services)\b/i],
+  ['gcp', /\b(gcp|google cloud)\b/i],
+  ['azure', /\bazure\b/i],
+  ['docker', /\bdocker\b/i],
+  ['kubernetes', /\b(kubernetes|k8s)\b/i],
+  ['terraform', /\bterraform\b/i],
+  ['ios', /\bios\b/i],
+  ['android', /\bandroid\b/i],
+  ['machine-learning', /\b(machine learning|ml|deep learning|llm|pytorch|tensorflow)\b/i],
+  ['solidity', /\bsolidity\b/i],
+  ['blockchain', /\b(blockchain|web3|crypto|defi|ethereum)\b/i],
+  ['figma', /\bfigma\b/i],
+  ['seo', /\bseo\b/i]
+]
+
+const SKILLS = skillRules.map(([skill]) => skill)
+
+/**
+ * Finds the canonical categories of a job
+ * Only the raw tags and the title are checked; descriptions mention too many
+ * unrelated roles to be useful here
+ * @param {Object} job - Normalized job
+ * @returns {Array} - Categories, 'other' if nothing matched
+ */
+function classifyCategories(job) {
+  const text = [job.position].concat(job.tags || []).filter(Boolean).join(' | ')
+  const categories = categoryRules
+    .filter(([, pattern]) => pattern.test(text))
+    .map(([category]) => category)
+
+  return categories.length > 0 ? categories : ['other']
+}
+
+/**
+ * Finds normalized skill tags in the raw tags, title and description
+ * @param {Object} job - Normalized job
+ * @returns {Array} - Skill tags in taxonomy order
+ */
+function extractSkills(job) {
+  const text = [job.position, job.description].concat(job.tags || []).filter(Boolean).join(' | ')
+  return skillRules
+    .filter(([, pattern]) => pattern.test(text))
+    .map(([skill]) => skill)
+}
+
+/**
+ * Adds canonical categories and skills to a job, keeping the raw tags
+ * @param {Object} job - Normalized job
+ * @returns {Object} - Job with categories and skills
+ */
+function classifyJob(job) {
+  return {
+    ...job,
+    categories: classifyCategories(job),
+    skills: extractSkills(job)
+  }
+}
+
+/**
+ * Counts jobs per category and per skill
+ * @param {Array} jobs - Classified jobs
+ * @returns {Object} - { categories: [{ name, count }], skills: [{ name, count }] }
+ */
+function countTags(jobs) {
+  const categoryCounts = new Map(CATEGORIES.map(category => [category, 0]))
+  const skillCounts = new Map(SKILLS.map(skill => [skill, 0]))
+
+  const increment = (counts, name) => {
+    if (counts.has(name)) counts.set(name, counts.get(name) + 1)
+  }
+
+  jobs.forEach(job => {
+    const categories = job.categories || []
+    const skills = job.skills || []
+    categories.forEach(category => increment(categoryCounts, category))
+    skills.forEach(skill => increment(skillCounts, skill))
+  })
+
+  const toList = counts => Array.from(counts, ([name, count]) => ({ name, count }))
+    .sort((first, second) => second.count - first.count)
+
+  return {
+    categories: toList(categoryCounts),
+    skills: toList(skillCounts).filter(skill => skill.count > 0)
+  }
+}
+
+module.exports = {
+  CATEGORIES,
+  SKILLS,
+  classifyJob,
+  countTags
+}
@@ -0,0 +1,171 @@
+const sanitizeHtml = require('sanitize-html')
+const TurndownService = require('turndown')
+
+/**
+ * Cleans HTML content and special characters from text
+ * @param {string} content - HTML content to clean
+ * @returns {string} - Clean text
+ */
+function cleanDescription(content) {
+  return content
+    // First decode HTML entities like &lt; and &gt;
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, '&')
+    // Remove all HTML tags (including the decoded ones)
+    .replace(/<(?:.|\n)*?>/gm, '')
+    // Remove escaped characters like \n, \t, \"
+    .replace(/\\n/g, ' ')
+    .replace(/\\t/g, ' ')
+    .replace(/\\"/g, '"')
+    .replace(/\\'/g, "'")
+    // Clean up special characters and entities
+    .replace(/&#8211;/g, '-')
+    .replace(/&#8212;/g, '-')
+    .replace(/&rsquo;|&#8217;|&#8216;/g, "'")
+    .replace(/&ldquo;|&rdquo;|&#8220;|&#8221;/g, '"')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&hellip;|&#8230;/g, '...')
+    // Remove multiple spaces and trim
+    .replace(/\s+/g, ' ')
+    .trim()
+}
+
+/**
+ * Converts HTML to plain text, keeping block elements apart
+ * cleanDescription alone joins "<p>a</p><p>b</p>" into "ab"
+ * @param {string} html - HTML content
+ * @returns {string} - Clean text
+ */
+function htmlToText(html) {
+  return cleanDescription(String(html || '').replace(/<(?:br|\/(?:p|li|div|h[1-6]|ul|ol|tr))\b[^>]*>/gi, '$& '))
+}
+
+/**
+ * Decodes the HTML entities of entity-escaped markup, keeping the markup
+ * @param {string} content - Escaped HTML, e.g. &lt;p&gt;Hello&lt;/p&gt;
+ * @returns {string} - HTML
+ */
+function decodeEntities(content) {
+  return String(content || '')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&amp;/g, '&')
+}
+
+// Tags kept in sanitized descriptions, everything else is unwrapped to text
+const allowedTags = [
+  'p', 'br', 'hr', 'ul', 'ol', 'li', 'strong', 'b', 'em', 'i', 'u',
+  'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'blockquote', 'code', 'pre', 'a'
+]
+
+const turndown = new TurndownService({ headingStyle: 'atx', bulletListMarker: '-', codeBlockStyle: 'fenced' })
+
+/**
+ * Sanitizes description HTML against an allow-list of formatting tags
+ * Scripts, styles, images, event handlers and non-http(s) links are removed
+ * @param {string} content - HTML content from the source
+ * @returns {string} - Safe HTML
+ */
+function sanitizeDescription(content) {
+  return sanitizeHtml(String(content || ''), {
+    allowedTags,
+    allowedAttributes: { a: ['href', 'rel', 'target'] },
+    allowedSchemes: ['http', 'https', 'mailto'],
+    transformTags: {
+      a: sanitizeHtml.simpleTransform('a', { rel: 'nofollow noopener noreferrer', target: '_blank' })
+    },
+    nonTextTags: ['script', 'style', 'textarea', 'option', 'noscript']
+  }).trim()
+}
+
+/**
+ * Converts sanitized description HTML to Markdown
+ * @param {string} html - Sanitized HTML
+ * @returns {string} - Markdown
+ */
+function descriptionToMarkdown(html) {
+  return turndown.turndown(String(html || '')).trim()
+}
+
+/**
+ * Shortens plain text to a word boundary, adding an ellipsis when cut
+ * @param {string} text - Plain text
+ * @param {number} maxLength - Maximum length of the excerpt
+ * @returns {string}
+ */
+function excerpt(text, maxLength = 280) {
+  const value = String(text || '')
+  if (value.length <= maxLength) return value
+  const cut = value.slice(0, maxLength)
+  const lastSpace = cut.lastIndexOf(' ')
+  return `${(lastSpace > maxLength / 2 ? cut.slice(0, lastSpace) : cut).trim()}...`
+}
+
+// Legal suffixes that do not distinguish one company from another
+const companySuffixes = /\b(inc|llc|ltd|limited|gmbh|corp|corporation|co|company|plc|sa|sas|bv|ag|pty|srl)\b/g
+
+/**
+ * Normalizes a company name for comparison (case, punctuation, legal suffixes)
+ * @param {string} company - Company name as published by the source
+ * @returns {string} - Normalized company name
+ */
+function normalizeCompanyName(company) {
+  return String(company || '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .replace(companySuffixes, ' ')
+    .replace(/\s+/g, ' ')
+    .trim()
+}
+
+// Names used by adapters when a listing has no company
+const unknownCompanies = ['unknown', 'unknown company']
+
+/**
+ * Builds the URL slug of a company name
+ * Legal suffixes, case and punctuation are ignored, so "Acme, Inc." and "ACME" share a slug
+ * @param {string} company - Company name as published by the source
+ * @returns {string|null} - Slug, or null if the name has nothing to build one from
+ */
+function companySlug(company) {
+  const normalized = normalizeCompanyName(company)
+  if (!normalized || unknownCompanies.includes(normalized)) return null
+  return normalized.replace(/\s+/g, '-').slice(0, 100)
+}
+
+/**
+ * Normalizes a position title for comparison
+ * Drops parenthesized notes, "remote" markers and punctuation, expands common abbreviations
+ * @param {string} position - Position title as published by the source
+ * @returns {string} - Normalized position title
+ */
+function normalizePositionTitle(position) {
+  return String(position || '')
+    .toLowerCase()
+    .replace(/\([^)]*\)|\[[^\]]*\]/g, ' ')
+    .replace(/\bsr\b\.?/g, 'senior')
+    .replace(/\bjr\b\.?/g, 'junior')
+    .replace(/\bremote\b/g, ' ')
+    .replace(/[^a-z0-9+#\s]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim()
+}
+
+module.exports = {
+  cleanDescription,
+  htmlToText,
+  decodeEntities,
+  sanitizeDescription,
+  descriptionToMarkdown,
+  excerpt,
+  normalizeCompanyName,
+  companySlug,
+  normalizePositionTitle
+}
@@ -0,0 +1,158 @@
+/**
+ * Conditional fetching of upstream feeds and APIs
+ *
+ * For every upstream URL answering with an ETag or Last-Modified, the
+ * validators are stored in upstreamCache/{sha1(url)} together with the
+ * response body, gzipped. The next run sends them back as If-None-Match and
+ * If-Modified-Since; a 304 parses the stored body again instead of downloading
+ * it, so parser changes apply to unchanged feeds too. Each source gets its own
+ * session, which counts the requests, 304s and bytes downloaded or saved for
+ * the run metadata.
+ */
+const zlib = require('zlib')
+const {fetchWithRetry} = require('./http')
+const {sha1} = require('./store')
+
+// Stay well below the 1 MiB document limit; bigger bodies are fetched in full every run
+const MAX_PAYLOAD_BYTES = 900 * 1024
+
+// Format of the stored entries; entries of another version are fetched in full again
+const ENTRY_VERSION = 2
+
+/**
+ * Estimates the size of a response body
+ * @param {Object} response - Axios response
+ * @returns {number} - Bytes, as sent by the server when it says so
+ */
+function responseBytes(response) {
+  const length = Number(response.headers && response.headers['content-length'])
+  if (length > 0) return length
+  const body = typeof response.data === 'string' ? response.data : JSON.stringify(response.data || '')
+  return Buffer.byteLength(body || '')
+}
+
+/**
+ * Creates the fetch session of one source
+ * Without a Firestore instance nothing is stored and every request downloads in full
+ * @param {Object|null} db - Firestore instance
+ * @param {Object} [options] - { headers: source headers, sent with every request over the request's own }
+ * @returns {Object} - { get, stats }
+ */
+function createFetchSession(db, { headers: sourceHeaders = {} } = {}) {
+  const stats = { requests: 0, notModified: 0, bytesFetched: 0, bytesSaved: 0 }
+
+  const entryRef = url => db.collection('upstreamCache').doc(sha1(url))
+
+  /**
+   * Reads the stored validators and body of a URL
+   * @param {string} url - Upstream URL
+   * @returns {Promise<Object|null>} - The entry, or null without a usable one
+   */
+  async function readEntry(url) {
+    if (!db) return null
+    try {
+      const doc = await entryRef(url).get()
+      const entry = doc.exists ? doc.data() : null
+      return entry && entry.payload && entry.version === ENTRY_VERSION ? entry : null
+    } catch (error) {
+      console.error(`Failed to read upstream cache of ${url.split('?')[0]}:`, error.message)
+      return null
+    }
+  }
+
+  /**
+   * Stores the validators and body of a full response
+   * @param {string} url - Upstream URL
+   * @param {Object} response - Axios response
+   * @param {number} bytes - Size of the downloaded body
+   */
+  async function writeEntry(url, response, bytes) {
+    const etag = response.headers && response.headers.etag
+    const lastModified = response.headers && response.headers['last-modified']
+    if (!db || (!etag && !lastModified)) return
+
+    // Text bodies are kept as they came, JSON bodies as axios decoded them
+    const payload = zlib.gzipSync(JSON.stringify(response.data))
+    if (payload.length > MAX_PAYLOAD_BYTES) {
+      console.warn(`Body of ${url.split('?')[0]} is too large to keep (${payload.length} bytes gzipped)`)
+      return
+    }
+
+    try {
+      // Query strings may carry API tokens, the document ID is a hash of the full URL
+      await entryRef(url).set({
+        url: url.split('?')[0],
+        etag: etag || null,
+        lastModified: lastModified || null,
+        bytes,
+        payload,
+        version: ENTRY_VERSION,
+        fetchedAt: new Date()
+      })
+    } catch (error) {
+      console.error(`Failed to store upstream cache of ${url.split('?')[0]}:`, error.message)
+    }
+  }
+
+  return {
+    stats,
+
+    /**
+     * Fetches a URL, conditionally when a previous body is stored
+     * @param {string} url - Upstream URL
+     * @param {Object} [options] - Axios request options
+     * @param {Function} [parse] - Turns the response body into the result, may be async
+     * @returns {Promise<*>} - Parsed result of the fresh body, or of the stored one after a 304
+     */
+    async get(url, options = {}, parse = data => data) {
+      const entry = await readEntry(url)
+      const headers = { ...(options.headers || {}), ...sourceHeaders }
+      if (entry) {
+        if (entry.etag) headers['If-None-Match'] = entry.etag
+        if (entry.lastModified) headers['If-Modified-Since'] = entry.lastModified
+      }
+
+      const response = await fetchWithRetry(url, {
+        ...options,
+        headers,
+        validateStatus: status => (status >= 200 && status < 300) || status === 304
+      })
+      stats.requests++
+
+      if (response.status === 304) {
+        if (!entry) {
+          throw new Error(`Unexpected 304 from ${url.split('?')[0]} without a stored body`)
+        }
+        stats.notModified++
+        stats.bytesSaved += entry.bytes || 0
+        return parse(JSON.parse(zlib.gunzipSync(entry.payload).toString('utf8')))
+      }
+
+      const bytes = responseBytes(response)
+      stats.bytesFetched += bytes
+      // Bodies that fail to parse are not stored
+      const parsed = await parse(response.data)
+      await writeEntry(url, response, bytes)
+      return parsed
+    }
+  }
+}
+
+/**
+ * Adds up the transfer stats of several sessions
+ * @param {Array} allStats - Session stats
+ * @returns {Object} - { requests, notModified, bytesFetched, bytesSaved }
+ */
+function sumTransferStats(allStats) {
+  return allStats.reduce((total, stats) => ({
+    requests: total.requests + stats.requests,
+    notModified: total.notModified + stats.notModified,
+    bytesFetched: total.bytesFetched + stats.bytesFetched,
+    bytesSaved: total.bytesSaved + stats.bytesSaved
+  }), { requests: 0, notModified: 0, bytesFetched: 0, bytesSaved: 0 })
+}
+
+module.exports = {
+  createFetchSession,
+  sumTransferStats
+}
@@ -0,0 +1,75 @@
+const test = require('node:test')
+const assert = require('node:assert')
+const {applyHost, removeDuplicates} = require('../src/dedupe')
+
+const DAY_MS = 24 * 60 * 60 * 1000
+const posted = new Date('2026-10-19T10:00:00Z').getTime()
+
+const job = (source, id, fields = {}) => ({
+  id,
+  source,
+  company: 'Acme, Inc.',
+  position: 'Senior Backend Engineer',
+  url: `https://${source.toLowerCase()}.com/jobs/${id}`,
+  date: new Date(posted).toUTCString(),
+  ...fields
+})
+
+test('the same company and title on another board is merged into the newest listing', () => {
+  const jobs = removeDuplicates([
+    job('Remotive', 'r1'),
+    job('RemoteOK', 'o1', { company: 'ACME', position: 'Senior Backend Engineer (Remote)', date: new Date(posted - DAY_MS).toUTCString() }),
+    job('Jobicy', 'j1', { company: 'Globex' })
+  ])
+
+  assert.deepStrictEqual(jobs.map(item => item.id), ['r1', 'j1'])
+  assert.deepStrictEqual(jobs[0].alsoListedOn, [{ source: 'RemoteOK', url: 'https://remoteok.com/jobs/o1', id: 'o1' }])
+  assert.strictEqual(jobs[1].alsoListedOn, undefined)
+})
+
+test('the apply host matches postings whose company names differ', () => {
+  const jobs = removeDuplicates([
+    job('Remotive', 'r1', { company: 'Acme', url: 'https://careers.acme.dev/jobs/1' }),
+    job('Jobicy', 'j1', { company: 'Acme Holdings Group', url: 'https://www.careers.acme.dev/apply/1' })
+  ])
+  assert.deepStrictEqual(jobs.map(item => item.id), ['r1'])
+  assert.strictEqual(jobs[0].alsoListedOn[0].source, 'Jobicy')
+
+  // Board and shared ATS hosts say nothing about the employer
+  assert.strictEqual(applyHost('https://jobs.lever.co/acme/1'), null)
+  assert.strictEqual(applyHost('https://www.remotive.com/jobs/1'), null)
+  assert.strictEqual(applyHost('not a url'), null)
+  const onBoards = removeDuplicates([
+    job('Remotive', 'r1', { company: 'Acme', url: 'https://jobs.lever.co/acme/1' }),
+    job('Jobicy', 'j1', { company: 'Globex', url: 'https://jobs.lever.co/globex/1' })
+  ])
+  assert.strictEqual(onBoards.length, 2)
+})
+
+test('postings more than 14 days apart are kept apart', () => {
+  const jobs = removeDuplicates([
+    job('Remotive', 'r1'),
+    job('RemoteOK', 'o1', { date: new Date(posted - 14 * DAY_MS).toUTCString() }),
+    job('Jobicy', 'j1', { date: new Date(posted - 15 * DAY_MS).toUTCString() }),
+    job('Himalayas', 'h1', { date: 'not a date' })
+  ])
+
+  assert.deepStrictEqual(jobs.map(item => item.id), ['r1', 'j1'])
+  // Unparseable dates never block a match
+  assert.deepStrictEqual(jobs[0].alsoListedOn.map(listing => listing.id), ['o1', 'h1'])
+})
+
+test('the first listing of the date-sorted list is kept, repeated IDs and same-source titles are not merged', () => {
+  const first = job('RemoteOK', 'o1')
+  const jobs = removeDuplicates([
+    first,
+    job('Remotive', 'r1', { date: new Date(posted - DAY_MS).toUTCString() }),
+    job('RemoteOK', 'o1', { position: 'Something else' }),
+    job('RemoteOK', 'o2', { date: new Date(posted - 2 * DAY_MS).toUTCString() })
+  ])
+
+  assert.deepStrictEqual(jobs.map(item => `${item.source}:${item.id}`), ['RemoteOK:o1', 'RemoteOK:o2'])
+  assert.deepStrictEqual(jobs[0].alsoListedOn.map(listing => listing.source), ['Remotive'])
+  // The kept record is a copy, the input is left alone
+  assert.strictEqual(first.alsoListedOn, undefined)
+})
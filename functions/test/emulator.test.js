@@ -0,0 +1,143 @@
+/**
+ * Saved jobs against the Firebase emulators: authentication and status changes
+ * through the savedJobs function, and the ownership checks of firestore.rules
+ *
+ * Skipped unless the Auth, Firestore and Functions emulators are running, run
+ * them with `npm run test:emulator`
+ */
+const test = require('node:test')
+const assert = require('node:assert')
+const axios = require('axios')
+const {initializeApp} = require('firebase-admin/app')
+const {getFirestore} = require('firebase-admin/firestore')
+const {jobKey} = require('../src/store')
+
+const firestoreHost = process.env.FIRESTORE_EMULATOR_HOST
+const authHost = process.env.FIREBASE_AUTH_EMULATOR_HOST
+const projectId = process.env.GCLOUD_PROJECT || 'demo-remote-jobs'
+const skip = !(firestoreHost && authHost) && 'needs the Firebase emulators, run npm run test:emulator'
+
+const job = { id: 7, source: 'Remotive', position: 'Backend Engineer', company: 'Acme', url: 'https://remotive.com/jobs/7', description: 'Node.js', status: 'active' }
+const key = jobKey(job)
+
+// Any status is fine, requests are only checked by what they return
+const call = options => axios({ validateStatus: () => true, ...options })
+
+let functionsUrl
+let alice
+let bob
+
+/**
+ * Signs a user up with the Auth emulator
+ * @param {string} email - Email address
+ * @returns {Promise<Object>} - { uid, token }
+ */
+async function signUp(email) {
+  const { data } = await axios.post(`http://${authHost}/identitytoolkit.googleapis.com/v1/accounts:signUp?key=any`, {
+    email,
+    password: 'secret123',
+    returnSecureToken: true
+  })
+  return { uid: data.localId, token: data.idToken }
+}
+
+/**
+ * Calls the savedJobs function
+ * @param {Object} user - Result of signUp, or null for no token
+ * @param {Object} options - axios options (method, params, data)
+ * @returns {Promise<Object>} - axios response
+ */
+function savedJobs(user, options = {}) {
+  return call({
+    url: `${functionsUrl}/${projectId}/us-central1/savedJobs`,
+    headers: user ? { Authorization: `Bearer ${user.token}` } : {},
+    ...options
+  })
+}
+
+/**
+ * Accesses a saved job document through the Firestore REST API, as a client SDK would
+ * @param {Object} user - Result of signUp, or null for no token
+ * @param {string} uid - Owner of the document
+ * @param {Object} [fields] - { status, notes } to write, read if omitted
+ * @returns {Promise<number>} - HTTP status
+ */
+async function clientAccess(user, uid, fields) {
+  const document = `http://${firestoreHost}/v1/projects/${projectId}/databases/(default)/documents/users/${uid}/savedJobs/${key}`
+  const response = await call({
+    method: fields ? 'PATCH' : 'GET',
+    url: document,
+    headers: user ? { Authorization: `Bearer ${user.token}` } : {},
+    data: fields && { fields: Object.keys(fields).reduce((values, name) => ({ ...values, [name]: { stringValue: fields[name] } }), {}) }
+  })
+  return response.status
+}
+
+test.before(async () => {
+  if (skip) return
+  const hub = process.env.FIREBASE_EMULATOR_HUB
+  const emulators = hub ? (await axios.get(`http://${hub}/emulators`)).data : {}
+  functionsUrl = emulators.functions ? `http://${emulators.functions.host}:${emulators.functions.port}` : 'http://127.0.0.1:5001'
+
+  await axios.delete(`http://${firestoreHost}/emulator/v1/projects/${projectId}/databases/(default)/documents`)
+  await axios.delete(`http://${authHost}/emulator/v1/projects/${projectId}/accounts`)
+  const db = getFirestore(initializeApp({ projectId }, 'emulator-tests'))
+  await db.collection('jobs').doc(key).set({ ...job, key })
+
+  alice = await signUp('alice@example.com')
+  bob = await signUp('bob@example.com')
+})
+
+test('savedJobs rejects requests without a valid ID token', { skip }, async () => {
+  assert.strictEqual((await savedJobs(null)).status, 401)
+  assert.strictEqual((await savedJobs({ token: 'forged' })).status, 401)
+})
+
+test('savedJobs saves a job and moves it through the statuses', { skip }, async () => {
+  const saved = await savedJobs(alice, { method: 'POST', data: { jobId: key, notes: 'Referral' } })
+  assert.strictEqual(saved.status, 201)
+  assert.strictEqual(saved.data.status, 'saved')
+
+  const applied = await savedJobs(alice, { method: 'PATCH', params: { id: key }, data: { status: 'applied' } })
+  const interviewing = await savedJobs(alice, { method: 'PATCH', params: { id: key }, data: { status: 'interviewing' } })
+  assert.strictEqual(applied.status, 200)
+  assert.deepStrictEqual(interviewing.data.history.map(change => change.status), ['saved', 'applied', 'interviewing'])
+
+  assert.strictEqual((await savedJobs(alice, { method: 'PATCH', params: { id: key }, data: { status: 'hired' } })).status, 400)
+  assert.strictEqual((await savedJobs(alice, { method: 'PATCH', params: { id: 'a/b' }, data: { status: 'applied' } })).status, 404)
+  assert.strictEqual((await savedJobs(alice, { method: 'DELETE', params: { id: '' } })).status, 400)
+
+  const listed = await savedJobs(alice)
+  assert.deepStrictEqual(listed.data.map(entry => [entry.id, entry.status, entry.listingStatus]), [[key, 'interviewing', 'active']])
+})
+
+test('savedJobs only reaches the caller\'s own entries', { skip }, async () => {
+  await savedJobs(alice, { method: 'POST', data: { jobId: key } })
+
+  assert.deepStrictEqual((await savedJobs(bob)).data, [])
+  assert.strictEqual((await savedJobs(bob, { method: 'PATCH', params: { id: key }, data: { status: 'rejected' } })).status, 404)
+  assert.strictEqual((await savedJobs(bob, { method: 'DELETE', params: { id: key } })).status, 404)
+  assert.strictEqual((await savedJobs(alice, { method: 'DELETE', params: { id: key } })).status, 204)
+})
+
+test('firestore.rules limit saved jobs to their owner and valid fields', { skip }, async () => {
+  assert.strictEqual(await clientAccess(alice, alice.uid, { status: 'saved', notes: '' }), 200)
+  assert.strictEqual(await clientAccess(alice, alice.uid), 200)
+  assert.strictEqual(await clientAccess(alice, alice.uid, { status: 'applied', notes: 'Sent CV' }), 200)
+
+  assert.strictEqual(await clientAccess(alice, alice.uid, { status: 'hired', notes: '' }), 403)
+  assert.strictEqual(await clientAccess(alice, alice.uid, { status: 'saved', notes: 'x'.repeat(5001) }), 403)
+  assert.strictEqual(await clientAccess(bob, alice.uid), 403)
+  assert.strictEqual(await clientAccess(bob, alice.uid, { status: 'saved', notes: '' }), 403)
+  assert.strictEqual(await clientAccess(null, alice.uid), 403)
+})
+
+test('firestore.rules keep job data behind the rate-limited functions', { skip }, async () => {
+  for (const path of [`jobs/${key}`, 'remoteJobs/metadata', 'companies/acme']) {
+    const response = await call({
+      url: `http://${firestoreHost}/v1/projects/${projectId}/databases/(default)/documents/${path}`,
+      headers: { Authorization: `Bearer ${alice.token}` }
+    })
+    assert.strictEqual(response.status, 403, path)
+  }
+})
@@ -0,0 +1,51 @@
+const test = require('node:test')
+const assert = require('node:assert')
+const {annualSalary, parseSalary, enrichJob} = require('../src/enrich')
+const {repairJob, validateJob} = require('../src/schema')
+const {parseJobQuery, matchesJob} = require('../src/query')
+const lever = require('../src/sources/ats/lever')
+
+const leverPosting = interval => ({
+  id: 'abc',
+  text: 'Support Engineer',
+  createdAt: Date.parse('2026-10-01T00:00:00Z'),
+  hostedUrl: 'https://jobs.lever.co/beta/abc',
+  categories: { team: 'Support', location: 'Remote' },
+  salaryRange: { min: 1000, max: 1500, currency: 'USD', interval }
+})
+
+test('annualSalary annualizes every period Lever reports', () => {
+  assert.strictEqual(annualSalary({ min: 50, max: 60, currency: 'USD', period: 'hour' }), 60 * 2080)
+  assert.strictEqual(annualSalary({ min: 400, max: 500, currency: 'USD', period: 'day' }), 500 * 260)
+  assert.strictEqual(annualSalary({ min: 2000, max: 2500, currency: 'USD', period: 'week' }), 2500 * 52)
+  assert.strictEqual(annualSalary({ min: 8000, max: null, currency: 'USD', period: 'month' }), 8000 * 12)
+  assert.strictEqual(annualSalary({ min: 120000, max: 150000, currency: 'USD', period: 'year' }), 150000)
+  assert.strictEqual(annualSalary(null), null)
+})
+
+test('weekly and daily Lever salaries pass the salaryMin filter by their annual amount', () => {
+  const weekly = { ...lever.normalize(leverPosting('per-week-salary'), { company: 'Beta' }), source: 'Beta' }
+  const daily = { ...lever.normalize(leverPosting('per-day-salary'), { company: 'Beta' }), source: 'Beta' }
+  assert.strictEqual(weekly.salary.period, 'week')
+  assert.strictEqual(daily.salary.period, 'day')
+
+  // 1500 a week is 78k a year, 1500 a day 390k
+  const options = parseJobQuery({ salaryMin: '100000' })
+  assert.strictEqual(matchesJob(weekly, options), false)
+  assert.strictEqual(matchesJob(daily, options), true)
+  assert.strictEqual(matchesJob(weekly, parseJobQuery({ salaryMin: '70000' })), true)
+})
+
+test('parseSalary still reads yearly and hourly amounts from text', () => {
+  assert.deepStrictEqual(parseSalary('Pay: $120k - $150k per year'), { min: 120000, max: 150000, currency: 'USD', period: 'year' })
+  assert.deepStrictEqual(parseSalary('USD 45 - 60 per hour'), { min: 45, max: 60, currency: 'USD', period: 'hour' })
+})
+
+test('a Lever range without a currency leaves the job without a salary instead of failing the schema', () => {
+  const posting = leverPosting('per-year-salary')
+  delete posting.salaryRange.currency
+  const job = repairJob({ ...lever.normalize(posting, { company: 'Beta' }), source: 'Beta' })
+
+  assert.strictEqual(job.salary, undefined)
+  assert.deepStrictEqual(validateJob(enrichJob(job)), [])
+})
@@ -0,0 +1,98 @@
+const test = require('node:test')
+const assert = require('node:assert')
+const {compileDefinition, compileDefinitions} = require('../src/sources/feedSources')
+
+const definition = (fields = {}) => ({
+  name: 'ExampleBoard',
+  url: 'https://example.com/jobs/feed.json',
+  format: 'json',
+  itemsPath: 'data.jobs',
+  fields: {
+    id: 'id',
+    title: 'title',
+    company: ['company.name', 'company_name'],
+    date: 'published_at',
+    url: 'apply_url',
+    description: 'description',
+    salaryMin: 'pay.min',
+    salaryMax: 'pay.max',
+    salaryCurrency: 'pay.currency'
+  },
+  titlePatterns: ['(?<position>.+) at (?<company>.+)'],
+  tags: { field: 'tags', split: ',' },
+  idPrefix: 'example-',
+  ...fields
+})
+
+const item = (fields = {}) => ({
+  id: 7,
+  title: 'Backend Engineer at Acme',
+  company_name: 'Ignored',
+  published_at: '2026-10-19T10:00:00Z',
+  apply_url: 'https://example.com/jobs/7',
+  description: '<p>Build <b>APIs</b></p>',
+  tags: 'node, api',
+  pay: { min: '4000', max: '5000', currency: 'eur' },
+  ...fields
+})
+
+/**
+ * Stands in for a fetch session, handing the body to the source's parser
+ */
+const session = data => ({ get: async (url, options, parse) => parse(data) })
+
+test('a valid definition fetches and normalizes items', async () => {
+  const adapter = compileDefinition(definition({ headers: { 'X-Token': 'abc' } }))
+  assert.strictEqual(adapter.enabled, true)
+  assert.strictEqual(adapter.homepage, 'https://example.com')
+  assert.strictEqual(adapter.headers['X-Token'], 'abc')
+  assert.strictEqual(adapter.headers['User-Agent'], undefined)
+
+  const items = await adapter.fetch({ timeout: 1000, http: session({ data: { jobs: [item()] } }) })
+  const job = adapter.normalize(items[0])
+  assert.strictEqual(job.id, 'example-7')
+  assert.strictEqual(job.position, 'Backend Engineer')
+  assert.strictEqual(job.company, 'Acme')
+  assert.strictEqual(job.date, 'Mon, 19 Oct 2026 10:00:00 GMT')
+  assert.strictEqual(job.description, 'Build APIs')
+  assert.deepStrictEqual(job.tags, ['node', 'api'])
+  assert.strictEqual(job.source, 'ExampleBoard')
+
+  assert.strictEqual(adapter.normalize(item({ apply_url: '' })), null)
+  await assert.rejects(adapter.fetch({ http: session({ data: {} }) }), /no item array at data\.jobs/)
+})
+
+test('salary fields map onto the structured salary', () => {
+  const yearly = compileDefinition(definition())
+  assert.deepStrictEqual(yearly.normalize(item()).salary, { min: 4000, max: 5000, currency: 'EUR', period: 'year' })
+
+  const monthly = compileDefinition(definition({ salaryPeriod: 'month' }))
+  assert.deepStrictEqual(monthly.normalize(item({ pay: { max: 6000, currency: 'USD' } })).salary, { min: null, max: 6000, currency: 'USD', period: 'month' })
+
+  // A salary needs an amount and a currency
+  assert.strictEqual(yearly.normalize(item({ pay: { min: '4000' } })).salary, undefined)
+  assert.strictEqual(yearly.normalize(item({ pay: { min: 'n/a', currency: 'EUR' } })).salary, undefined)
+})
+
+test('a definition with an invalid pattern is disabled and logged', async t => {
+  const logged = []
+  t.mock.method(console, 'error', (...args) => logged.push(args.join(' ')))
+
+  const adapter = compileDefinition(definition({ titlePatterns: ['(?<position>.+ at'] }))
+  assert.strictEqual(adapter.name, 'ExampleBoard')
+  assert.strictEqual(adapter.enabled, false)
+  assert.strictEqual(adapter.homepage, 'https://example.com')
+  assert.match(adapter.invalid, /Invalid regular expression/)
+  assert.match(logged[0], /Disabling feed source ExampleBoard, invalid definition: Invalid regular expression/)
+  await assert.rejects(adapter.fetch({ http: session({}) }), /Invalid feed source definition: Invalid regular expression/)
+
+  const broken = compileDefinition({ name: 'NoFormat', url: 'not a url', fields: {} })
+  assert.strictEqual(broken.enabled, false)
+  assert.strictEqual(broken.homepage, '')
+  assert.match(broken.invalid, /url must be http\(s\)/)
+
+  // Without a name there is no source to disable
+  const adapters = compileDefinitions([{ url: 'https://example.com/feed' }, definition()])
+  assert.deepStrictEqual(adapters.map(entry => entry.name), ['ExampleBoard'])
+  assert.match(logged[logged.length - 1], /Ignoring invalid feed source definition: name is required/)
+})
@@ -0,0 +1,42 @@
+const test = require('node:test')
+const assert = require('node:assert')
+const {renderFeed} = require('../src/feeds')
+
+const job = (source, url) => ({
+  id: '1',
+  source,
+  company: 'Acme',
+  position: 'Engineer',
+  date: 'Mon, 19 Oct 2026 10:00:00 GMT',
+  url,
+  description: 'Node.js',
+  tags: []
+})
+
+const feed = homepages => ({ selfUrl: 'https://functions.example/getJobsFeed', updated: new Date('2026-10-19T12:00:00Z'), homepages })
+
+test('items name the homepage recorded for their source', () => {
+  const jobs = [
+    job('Acme (Greenhouse)', 'https://job-boards.greenhouse.io/acme/jobs/1'),
+    job('Jobicy', 'https://jobicy.com/jobs/1'),
+    job('Remotive', 'https://remotive.com/remote-jobs/software-dev/1'),
+    job('Unknown', 'https://jobs.example.org/1')
+  ]
+  const body = JSON.parse(renderFeed('json', jobs, feed({
+    'Acme (Greenhouse)': 'https://boards.greenhouse.io/acme',
+    Jobicy: 'https://jobicy.com'
+  })).body)
+
+  assert.deepStrictEqual(body.items.map(item => item._source.url), [
+    'https://boards.greenhouse.io/acme',
+    'https://jobicy.com',
+    // Snapshots without recorded homepages fall back to the registry, then the job URL
+    'https://remotive.com',
+    'https://jobs.example.org'
+  ])
+
+  const rss = renderFeed('rss', jobs.slice(0, 1), feed({ 'Acme (Greenhouse)': 'https://boards.greenhouse.io/acme' })).body
+  assert.match(rss, /<source url="https:\/\/boards\.greenhouse\.io\/acme">Acme \(Greenhouse\)<\/source>/)
+  const atom = renderFeed('atom', jobs.slice(0, 1), feed()).body
+  assert.match(atom, /<source><id>https:\/\/job-boards\.greenhouse\.io<\/id>/)
+})
@@ -0,0 +1,32 @@
+const test = require('node:test')
+const assert = require('node:assert')
+const {applyFreshness} = require('../src/freshness')
+const {resolveSources} = require('../src/sources')
+const {createFirestore} = require('./support/firestore')
+
+const now = new Date('2026-10-19T12:00:00Z')
+const daysAgo = days => new Date(now.getTime() - days * 24 * 60 * 60 * 1000).toUTCString()
+const jobs = source => [
+  { id: 'new', source, date: daysAgo(3) },
+  { id: 'old', source, date: daysAgo(200) }
+]
+
+const board = { ats: 'greenhouse', board: 'acme', company: 'Acme' }
+
+test('regular sources drop jobs older than maxAgeDays', async () => {
+  const remotive = resolveSources().find(source => source.name === 'Remotive')
+  const kept = await applyFreshness(createFirestore(), remotive, jobs('Remotive'), now)
+  assert.deepStrictEqual(kept.map(job => job.id), ['new'])
+})
+
+test('company boards keep long-open postings they still list', async () => {
+  const acme = resolveSources({}, [board]).find(source => source.name === 'Acme')
+  const kept = await applyFreshness(createFirestore(), acme, jobs('Acme'), now)
+  assert.deepStrictEqual(kept.map(job => job.id), ['new', 'old'])
+})
+
+test('a maxAgeDays override still applies to a company board', async () => {
+  const acme = resolveSources({ Acme: { maxAgeDays: 90 } }, [board]).find(source => source.name === 'Acme')
+  const kept = await applyFreshness(createFirestore(), acme, jobs('Acme'), now)
+  assert.deepStrictEqual(kept.map(job => job.id), ['new'])
+})
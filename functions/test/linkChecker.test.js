@@ -0,0 +1,116 @@
+const test = require('node:test')
+const assert = require('node:assert')
+const {createFirestore} = require('./support/firestore')
+const {startHttpServer} = require('./support/httpServer')
+const {checkLink, checkJobLinks} = require('../src/linkChecker')
+
+// Local board answering each path the way a live site might
+const routes = {
+  '/gone': (request, response) => response.writeHead(404).end(),
+  '/removed': (request, response) => response.writeHead(request.method === 'HEAD' ? 405 : 410).end(),
+  '/filled': (request, response) => response.writeHead(200, { 'Content-Type': 'text/html' }).end('<h1>Engineer</h1><p>This Position Has Been Filled.</p>'),
+  '/moved': (request, response) => response.writeHead(301, { Location: '/' }).end(),
+  '/renamed': (request, response) => response.writeHead(301, { Location: '/jobs/renamed' }).end(),
+  '/jobs/renamed': (request, response) => response.writeHead(200).end('<p>Apply now</p>'),
+  '/': (request, response) => response.writeHead(200).end('<h1>Welcome</h1>'),
+  '/open': (request, response) => response.writeHead(200, { 'Content-Type': 'text/html' }).end('<p>Apply now</p>'),
+  '/blocked': (request, response) => response.writeHead(403).end(),
+  '/slow': () => {},
+  '/reset': request => request.socket.destroy(),
+  // Stand in for a cache update touching the job while its link is checked
+  '/updated': async (request, response) => {
+    await onCheck(request)
+    response.writeHead(404).end()
+  }
+}
+
+let onCheck = async () => {}
+
+let server
+test.before(async () => {
+  server = await startHttpServer((request, response) => routes[request.url.split('?')[0]](request, response))
+})
+test.after(() => server.close())
+
+test('404 and 410 answers are dead links, also when only GET reports them', async () => {
+  assert.deepStrictEqual(await checkLink(`${server.url}/gone`), { dead: true, reason: 'dead-link', status: 404 })
+  assert.deepStrictEqual(await checkLink(`${server.url}/removed`), { dead: true, reason: 'dead-link', status: 410 })
+})
+
+test('a page announcing the position is filled is dead', async () => {
+  assert.deepStrictEqual(await checkLink(`${server.url}/filled`), { dead: true, reason: 'position-filled', status: 200 })
+})
+
+test('a redirect to the front page is dead, a redirect to another posting is not', async () => {
+  assert.deepStrictEqual(await checkLink(`${server.url}/moved`), { dead: true, reason: 'dead-link', status: 200 })
+  assert.deepStrictEqual(await checkLink(`${server.url}/renamed`), { dead: false, reason: null, status: 200 })
+})
+
+test('plain 200 and 403 answers keep the job', async () => {
+  assert.deepStrictEqual(await checkLink(`${server.url}/open`), { dead: false, reason: null, status: 200 })
+  assert.deepStrictEqual(await checkLink(`${server.url}/blocked`), { dead: false, reason: null, status: 403 })
+})
+
+test('timeouts and network errors are reported as errors, not dead links', async () => {
+  const slow = await checkLink(`${server.url}/slow`, { timeout: 200 })
+  assert.strictEqual(slow.dead, false)
+  assert.match(slow.error, /timeout/)
+
+  const reset = await checkLink(`${server.url}/reset`)
+  assert.strictEqual(reset.dead, false)
+  assert.ok(reset.error)
+
+  const refused = await checkLink('http://127.0.0.1:1/jobs/1')
+  assert.strictEqual(refused.dead, false)
+  assert.ok(refused.error)
+})
+
+test('checkJobLinks expires dead jobs only and keeps jobs whose check failed', async () => {
+  const db = createFirestore()
+  const jobs = { gone: '/gone', filled: '/filled', open: '/open', reset: '/reset', slow: '/slow' }
+  for (const [key, path] of Object.entries(jobs)) {
+    await db.collection('jobs').doc(key).set({ status: 'active', url: `${server.url}${path}`, linkCheckedAt: new Date(0) })
+  }
+
+  const summary = await checkJobLinks(db, { delayMs: 0, timeout: 200 })
+
+  assert.deepStrictEqual(summary, { checked: 5, expired: 2, errors: 2, skipped: 0 })
+  const job = key => db.docs.get(`jobs/${key}`)
+  assert.strictEqual(job('gone').status, 'expired')
+  assert.strictEqual(job('gone').expiredReason, 'dead-link')
+  assert.strictEqual(job('filled').expiredReason, 'position-filled')
+  for (const key of ['open', 'reset', 'slow']) {
+    assert.strictEqual(job(key).status, 'active', key)
+    assert.ok(job(key).linkCheckedAt > new Date(0), key)
+  }
+  assert.strictEqual(job('reset').linkStatus, null)
+})
+
+test('jobs the cache update changed or expired during their check are left alone', async () => {
+  const db = createFirestore()
+  const listedAt = new Date('2026-10-19T10:00:00Z')
+  for (const key of ['changed', 'delisted', 'moved']) {
+    await db.collection('jobs').doc(key).set({ status: 'active', url: `${server.url}/updated?${key}`, updatedAt: listedAt, linkCheckedAt: new Date(0) })
+  }
+  const rerun = new Date('2026-10-19T11:00:00Z')
+  const updates = {
+    changed: { position: 'Senior Engineer', updatedAt: rerun },
+    delisted: { status: 'expired', expiredReason: 'delisted', updatedAt: rerun },
+    moved: { url: `${server.url}/open` }
+  }
+  onCheck = async request => {
+    if (request.method !== 'HEAD') return
+    const key = request.url.split('?')[1]
+    await db.collection('jobs').doc(key).update(updates[key])
+  }
+
+  const summary = await checkJobLinks(db, { delayMs: 0 })
+  onCheck = async () => {}
+
+  assert.deepStrictEqual(summary, { checked: 3, expired: 0, errors: 0, skipped: 3 })
+  const job = key => db.docs.get(`jobs/${key}`)
+  assert.strictEqual(job('changed').status, 'active')
+  assert.strictEqual(job('changed').linkCheckedAt.getTime(), 0)
+  assert.strictEqual(job('delisted').expiredReason, 'delisted')
+  assert.strictEqual(job('moved').status, 'active')
+})
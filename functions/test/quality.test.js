@@ -0,0 +1,49 @@
+const test = require('node:test')
+const assert = require('node:assert')
+const {DEFAULT_QUALITY, scoreJobs} = require('../src/quality')
+
+const config = { ...DEFAULT_QUALITY, allowCompanies: [], blockCompanies: [] }
+const longText = 'You will work with our support team on customer questions, write documentation and improve our tooling. '.repeat(3)
+
+const job = (description, overrides = {}) => ({
+  id: '1',
+  source: 'Remotive',
+  company: 'Acme',
+  position: 'Junior Support Engineer',
+  url: 'https://acme.com/careers/1',
+  description,
+  ...overrides
+})
+
+test('an entry-level posting saying "no experience needed" stays visible', () => {
+  const [scored] = scoreJobs([job(`${longText} No prior experience required, we train you.`)], config)
+  assert.deepStrictEqual(scored.flags, ['weak-suspicious-phrase'])
+  assert.strictEqual(scored.qualityScore, 90)
+  assert.strictEqual(scored.hidden, false)
+})
+
+test('a short entry-level posting with the weak phrase is still shown', () => {
+  const [scored] = scoreJobs([job('No experience needed. Join our support team.')], config)
+  assert.deepStrictEqual(scored.flags, ['short-description', 'weak-suspicious-phrase'])
+  assert.strictEqual(scored.hidden, false)
+})
+
+test('actual scam patterns are still hidden on their own', () => {
+  const scams = [
+    'Earn $500 per day from home, message us on WhatsApp to start.',
+    'Pay the $99 training fee to receive your starter kit.',
+    'Join our crypto investment opportunity for guaranteed income.',
+    'Reshipping agents wanted, buy gift cards for our clients.'
+  ]
+  scams.forEach(text => {
+    const [scored] = scoreJobs([job(`${longText} ${text}`)], config)
+    assert.deepStrictEqual(scored.flags, ['suspicious-phrase'], text)
+    assert.strictEqual(scored.hidden, true, text)
+  })
+})
+
+test('strong and weak phrases together count once, as the strong signal', () => {
+  const [scored] = scoreJobs([job(`${longText} No experience needed, earn $300 a day.`)], config)
+  assert.deepStrictEqual(scored.flags, ['suspicious-phrase'])
+  assert.strictEqual(scored.qualityScore, 40)
+})
@@ -0,0 +1,116 @@
+const test = require('node:test')
+const assert = require('node:assert')
+const {parseJobQuery, matchesJob, queryJobs} = require('../src/query')
+
+const job = (index, fields = {}) => ({
+  key: `key-${index}`,
+  id: String(index),
+  source: 'Remotive',
+  company: 'Acme',
+  position: `Engineer ${index}`,
+  date: `2026-10-${String(10 + (index % 10)).padStart(2, '0')}T10:00:00Z`,
+  description: 'Build APIs with Node.js',
+  tags: ['node'],
+  ...fields
+})
+
+const snapshot = new Date('2026-10-19T12:00:00Z')
+
+test('parseJobQuery normalizes filters and rejects malformed values', () => {
+  const options = parseJobQuery({ q: ' Node ', tags: 'React, node', source: ['RemoteOK', 'remotive'], currency: 'usd', limit: '500' })
+  assert.strictEqual(options.q, 'node')
+  assert.deepStrictEqual(options.tags, ['react', 'node'])
+  assert.deepStrictEqual(options.sources, ['remoteok', 'remotive'])
+  assert.strictEqual(options.currency, 'USD')
+  assert.strictEqual(options.limit, 200)
+  assert.strictEqual(options.cursor, null)
+  assert.strictEqual(options.sort, 'date')
+
+  assert.strictEqual(parseJobQuery({ since: '2026-10-01' }).since, Date.parse('2026-10-01'))
+  assert.strictEqual(parseJobQuery({ salaryMin: '50000' }).salaryMin, 50000)
+
+  const invalid = [
+    [{ sort: 'random' }, /Invalid sort/],
+    [{ since: 'yesterday' }, /Invalid since date/],
+    [{ salaryMin: '-1' }, /Invalid salaryMin/],
+    [{ limit: '0' }, /Invalid limit/],
+    [{ cursor: 'not-a-cursor' }, /Invalid cursor/],
+    [{ cursor: Buffer.from(JSON.stringify({ offset: 50 })).toString('base64url') }, /Invalid cursor/]
+  ]
+  invalid.forEach(([query, message]) => {
+    assert.throws(() => parseJobQuery(query), { name: 'QueryError', message }, JSON.stringify(query))
+  })
+})
+
+test('matchesJob applies every filter', () => {
+  const salaried = job(1, {
+    company: 'Globex Corporation',
+    tags: ['js'],
+    skills: ['react'],
+    categories: ['frontend'],
+    employmentType: 'full-time',
+    seniority: 'senior',
+    locationRestrictions: ['worldwide'],
+    salary: { min: 40, max: 50, currency: 'USD', period: 'hour' }
+  })
+  const matches = query => matchesJob(salaried, parseJobQuery(query))
+
+  assert.ok(matches({}))
+  assert.ok(matches({ tags: 'react' }), 'normalized skills count as tags')
+  assert.ok(!matches({ tags: 'vue' }))
+  assert.ok(matches({ company: 'globex' }))
+  assert.ok(matches({ category: 'frontend,backend' }))
+  assert.ok(!matches({ category: 'backend' }))
+  assert.ok(matches({ source: 'REMOTIVE' }))
+  assert.ok(!matches({ source: 'RemoteOK' }))
+  assert.ok(matches({ since: '2026-10-01' }))
+  assert.ok(!matches({ since: '2026-10-12' }))
+  assert.ok(matches({ employmentType: 'full-time' }))
+  assert.ok(!matches({ seniority: 'junior' }))
+  assert.ok(matches({ location: 'worldwide' }))
+  assert.ok(matches({ currency: 'usd' }))
+  assert.ok(!matches({ currency: 'EUR' }))
+  // The upper bound counts, 50 an hour is 104,000 a year
+  assert.ok(matches({ salaryMin: '100000' }))
+  assert.ok(!matches({ salaryMin: '110000' }))
+  assert.ok(!matchesJob(job(2), parseJobQuery({ salaryMin: '1' })), 'jobs without a salary never match salaryMin')
+  assert.ok(matches({ q: 'node globex' }))
+  assert.ok(!matches({ q: 'node python' }))
+
+  const hidden = job(3, { hidden: true })
+  assert.ok(!matchesJob(hidden, parseJobQuery({})))
+  assert.ok(matchesJob(hidden, parseJobQuery({ includeHidden: 'true' })))
+})
+
+test('queryJobs pages with cursors bound to the snapshot', () => {
+  const jobs = Array.from({ length: 5 }, (value, index) => job(index))
+
+  const first = queryJobs(jobs, parseJobQuery({ limit: '2' }), {}, snapshot)
+  assert.deepStrictEqual(first.jobs.map(item => item.key), ['key-0', 'key-1'])
+  assert.strictEqual(first.total, 5)
+
+  const second = queryJobs(jobs, parseJobQuery({ limit: '2', cursor: first.nextCursor }), {}, snapshot)
+  assert.deepStrictEqual(second.jobs.map(item => item.key), ['key-2', 'key-3'])
+
+  // A job removed before the cursor does not shift the next page
+  const third = queryJobs(jobs.filter(item => item.key !== 'key-1'), parseJobQuery({ limit: '2', cursor: second.nextCursor }), {}, snapshot)
+  assert.deepStrictEqual(third.jobs.map(item => item.key), ['key-4'])
+  assert.strictEqual(third.nextCursor, null)
+
+  const newer = new Date(snapshot.getTime() + 60 * 60 * 1000)
+  assert.throws(
+    () => queryJobs(jobs, parseJobQuery({ limit: '2', cursor: first.nextCursor }), {}, newer),
+    { name: 'QueryError', message: /older snapshot/ }
+  )
+  assert.throws(
+    () => queryJobs(jobs, parseJobQuery({ limit: '2', cursor: first.nextCursor, source: 'RemoteOK' }), {}, snapshot),
+    { name: 'QueryError', message: /does not match/ }
+  )
+})
+
+test('queryJobs sorts by clicks keeping the date order for ties', () => {
+  const jobs = Array.from({ length: 4 }, (value, index) => job(index))
+  const result = queryJobs(jobs, parseJobQuery({ sort: 'popular' }), { 'key-2': 5, 'key-3': 1 }, snapshot)
+  assert.deepStrictEqual(result.jobs.map(item => item.key), ['key-2', 'key-3', 'key-0', 'key-1'])
+  assert.strictEqual(result.nextCursor, null)
+})
@@ -0,0 +1,96 @@
+const test = require('node:test')
+const assert = require('node:assert')
+const crypto = require('crypto')
+const {createFirestore} = require('./support/firestore')
+const {enforceRateLimit} = require('../src/rateLimit')
+
+// Firestore stand-in counting its transactions
+function countingDb() {
+  const db = createFirestore()
+  const runTransaction = db.runTransaction
+  db.transactions = 0
+  db.runTransaction = fn => {
+    db.transactions += 1
+    return runTransaction(fn)
+  }
+  return db
+}
+
+const fakeRequest = ({ ip, headers = {}, query = {} }) => ({ ip, query, get: name => headers[name] })
+
+function fakeResponse() {
+  return {
+    statusCode: 200,
+    headers: {},
+    body: null,
+    set(name, value) { this.headers[name] = value },
+    status(code) { this.statusCode = code; return this },
+    json(body) { this.body = body; return this }
+  }
+}
+
+const sha256 = value => crypto.createHash('sha256').update(value).digest('hex')
+
+test('a burst from one client takes tokens in leases, not one transaction per request', async () => {
+  const db = countingDb()
+  const responses = Array.from({ length: 70 }, fakeResponse)
+
+  const allowed = await Promise.all(responses.map(response => enforceRateLimit(db, fakeRequest({ ip: '203.0.113.1' }), response)))
+
+  assert.strictEqual(allowed.filter(Boolean).length, 60)
+  assert.ok(db.transactions <= 31, `${db.transactions} transactions`)
+  const refused = responses.filter(response => response.statusCode === 429)
+  assert.strictEqual(refused.length, 10)
+  assert.ok(Number(refused[0].headers['Retry-After']) >= 1)
+
+  // The refusal is kept by the instance, later requests don't touch Firestore
+  const transactions = db.transactions
+  const response = fakeResponse()
+  assert.strictEqual(await enforceRateLimit(db, fakeRequest({ ip: '203.0.113.1' }), response), false)
+  assert.strictEqual(response.statusCode, 429)
+  assert.strictEqual(db.transactions, transactions)
+})
+
+test('the shared bucket is debited by each lease, remaining counts the lease', async () => {
+  const db = countingDb()
+  const first = fakeResponse()
+  const second = fakeResponse()
+
+  await enforceRateLimit(db, fakeRequest({ ip: '203.0.113.2' }), first)
+  await enforceRateLimit(db, fakeRequest({ ip: '203.0.113.2' }), second)
+
+  assert.strictEqual(db.transactions, 1)
+  assert.strictEqual(first.headers['RateLimit-Remaining'], '59')
+  assert.strictEqual(second.headers['RateLimit-Remaining'], '58')
+  const [bucket] = [...db.docs.entries()].filter(([path]) => path.startsWith('rateLimits/'))
+  assert.strictEqual(Math.round(bucket[1].tokens), 58)
+})
+
+test('the X-API-Key header wins over the apiKey query parameter', async () => {
+  const db = countingDb()
+  await db.collection('apiKeys').doc(sha256('good-key')).set({ name: 'App', active: true })
+
+  const fromHeader = fakeResponse()
+  assert.strictEqual(await enforceRateLimit(db, fakeRequest({ ip: '203.0.113.3', headers: { 'X-API-Key': 'good-key' }, query: { apiKey: 'bad-key' } }), fromHeader), true)
+  assert.strictEqual(fromHeader.headers['RateLimit-Limit'], '300')
+
+  const fromBadHeader = fakeResponse()
+  assert.strictEqual(await enforceRateLimit(db, fakeRequest({ ip: '203.0.113.3', headers: { 'X-API-Key': 'bad-key' }, query: { apiKey: 'good-key' } }), fromBadHeader), false)
+  assert.strictEqual(fromBadHeader.statusCode, 401)
+})
+
+test('every request of a key is counted in its usage document', async () => {
+  const db = countingDb()
+  const keyId = sha256('usage-key')
+  await db.collection('apiKeys').doc(keyId).set({ name: 'App', active: true })
+
+  for (let index = 0; index < 20; index++) {
+    await enforceRateLimit(db, fakeRequest({ ip: '203.0.113.4', headers: { 'X-API-Key': 'usage-key' } }), fakeResponse())
+  }
+
+  const usage = [...db.docs.entries()].filter(([path]) => path.startsWith(`apiKeys/${keyId}/usage/`))
+  assert.strictEqual(usage.length, 1)
+  assert.strictEqual(usage[0][1].requests, 20)
+  assert.strictEqual(usage[0][1].throttled, 0)
+  assert.strictEqual(db.transactions, 2)
+})
@@ -0,0 +1,85 @@
+const test = require('node:test')
+const assert = require('node:assert')
+const {EventEmitter} = require('events')
+const axios = require('axios')
+const admin = require('firebase-admin')
+const {createFirestore} = require('./support/firestore')
+
+process.env.GCLOUD_PROJECT = process.env.GCLOUD_PROJECT || 'demo-remote-jobs'
+process.env.ADMIN_SECRET = 'admin-secret'
+
+// admin.firestore is a getter of the namespace, shadowed here by an own property
+const db = createFirestore()
+Object.defineProperty(admin, 'firestore', { configurable: true, value: Object.assign(() => db, admin.firestore) })
+const functions = require('../index')
+
+const item = (id, title, link = `https://remotive.com/remote-jobs/${id}`) => `<item>
+  <title>${title}</title><link>${link}</link><guid>${link}</guid>
+  <pubDate>${new Date().toUTCString()}</pubDate>
+  <content:encoded><![CDATA[<p>Build services with Node.js. Categories: Software Development<br></p>]]></content:encoded>
+</item>`
+
+// Remotive is served from memory with an ETag, every other source is disabled
+let items = []
+axios.get = async () => ({
+  status: 200,
+  headers: { etag: `"${items.length}-${items.join('').length}"` },
+  data: `<?xml version="1.0"?><rss version="2.0" xmlns:content="http://purl.org/rss/1.0/modules/content/"><channel><title>Remotive</title>${items.join('')}</channel></rss>`
+})
+
+/**
+ * Calls the refreshCache function as the admin
+ * @param {Object} query - Query parameters
+ * @returns {Promise<Object>} - The response, with statusCode and body
+ */
+async function refresh(query = {}) {
+  const headers = { authorization: 'Bearer admin-secret' }
+  const request = { method: 'POST', query, body: {}, headers, get: name => headers[name.toLowerCase()] }
+  const response = Object.assign(new EventEmitter(), {
+    statusCode: 200,
+    headers: {},
+    set(name, value) { this.headers[name] = value; return this },
+    setHeader(name, value) { this.headers[name] = value },
+    getHeader(name) { return this.headers[name] },
+    status(code) { this.statusCode = code; return this },
+    json(body) { this.body = body; this.emit('finish'); return this }
+  })
+  await functions.refreshCache(request, response)
+  return response
+}
+
+test('a dry run returns the diff against the snapshot and writes nothing', async t => {
+  t.mock.method(console, 'log', () => {})
+  t.mock.method(console, 'warn', () => {})
+  const disabled = {}
+  ;['RemoteOK', 'WeWorkRemotely', 'WorkingNomads', 'Jobicy', 'Himalayas', 'Web3Jobs'].forEach(name => { disabled[name] = { enabled: false } })
+  await db.collection('config').doc('sources').set(disabled)
+
+  items = [item(1, 'Backend Engineer at Acme'), item(2, 'Frontend Engineer at Acme'), item(3, 'Data Engineer at Globex')]
+  const applied = await refresh()
+  assert.strictEqual(applied.statusCode, 200)
+  assert.strictEqual(applied.body.jobCount, 3)
+
+  // One job changes company, one is delisted, one is new and one fails validation
+  items = [
+    item(1, 'Backend Engineer at Acme Corp'),
+    item(3, 'Data Engineer at Globex'),
+    item(4, 'Platform Engineer at Initech'),
+    item(5, 'Broken Engineer at Nowhere', 'ftp://remotive.com/remote-jobs/5')
+  ]
+  const before = structuredClone([...db.docs])
+  const dryRun = await refresh({ dryRun: 'true' })
+
+  assert.strictEqual(dryRun.statusCode, 200)
+  const diff = dryRun.body
+  assert.strictEqual(diff.dryRun, true)
+  assert.deepStrictEqual(diff.added.map(job => job.position), ['Platform Engineer'])
+  assert.deepStrictEqual(diff.removed.map(job => job.position), ['Frontend Engineer'])
+  assert.deepStrictEqual(diff.changed.map(job => [job.company, job.fields]), [['Acme Corp', ['company']]])
+  assert.strictEqual(diff.unchanged, 1)
+  assert.deepStrictEqual(diff.sources, { Remotive: { before: 3, after: 3 } })
+  assert.strictEqual(diff.fetched.Remotive.quarantined, 1)
+
+  // Neither the snapshot, job documents, upstream validators nor the quarantine changed
+  assert.deepStrictEqual([...db.docs], before)
+})
@@ -0,0 +1,76 @@
+const test = require('node:test')
+const assert = require('node:assert')
+const admin = require('firebase-admin')
+const {createFirestore} = require('./support/firestore')
+const {jobKey} = require('../src/store')
+const {AuthError, authenticateUser} = require('../src/auth')
+const {listSavedJobs, saveJob, updateSavedJob, deleteSavedJob} = require('../src/savedJobs')
+
+const job = { id: 42, source: 'Remotive', position: 'Backend Engineer', company: 'Acme', url: 'https://remotive.com/jobs/42', description: 'Node.js', status: 'active' }
+const key = jobKey(job)
+
+async function seededDb() {
+  const db = createFirestore()
+  await db.collection('jobs').doc(key).set({ ...job, key })
+  return db
+}
+
+test('status changes are recorded in the history, notes changes are not', async () => {
+  const db = await seededDb()
+
+  const saved = await saveJob(db, 'alice', { jobId: key, notes: 'Referral' })
+  assert.strictEqual(saved.created, true)
+  assert.strictEqual(saved.entry.status, 'saved')
+
+  await updateSavedJob(db, 'alice', key, { status: 'applied' })
+  await updateSavedJob(db, 'alice', key, { status: 'applied', notes: 'Sent CV' })
+  const entry = await updateSavedJob(db, 'alice', key, { status: 'interviewing' })
+
+  assert.deepStrictEqual(entry.history.map(change => change.status), ['saved', 'applied', 'interviewing'])
+  assert.strictEqual(entry.notes, 'Sent CV')
+  await assert.rejects(updateSavedJob(db, 'alice', key, { status: 'hired' }), { name: 'QueryError' })
+  await assert.rejects(updateSavedJob(db, 'alice', key, {}), { name: 'QueryError' })
+})
+
+test('saving by source ID reuses the entry, other users see only their own', async () => {
+  const db = await seededDb()
+  await saveJob(db, 'alice', { jobId: key })
+  const again = await saveJob(db, 'alice', { jobId: '42', status: 'applied' })
+
+  assert.strictEqual(again.created, false)
+  assert.strictEqual(again.entry.status, 'applied')
+  assert.strictEqual((await listSavedJobs(db, 'alice')).length, 1)
+  assert.deepStrictEqual(await listSavedJobs(db, 'bob'), [])
+  assert.strictEqual(await updateSavedJob(db, 'bob', key, { status: 'rejected' }), null)
+  assert.strictEqual(await deleteSavedJob(db, 'bob', key), false)
+})
+
+test('keys that are not job keys report a missing entry instead of throwing', async () => {
+  const db = await seededDb()
+  await saveJob(db, 'alice', { jobId: key })
+
+  for (const bad of ['', 'a/b', `${key}/x`, '../../users/bob', ['a', 'b'], undefined]) {
+    assert.strictEqual(await updateSavedJob(db, 'alice', bad, { status: 'applied' }), null, String(bad))
+    assert.strictEqual(await deleteSavedJob(db, 'alice', bad), false, String(bad))
+  }
+  assert.strictEqual(await deleteSavedJob(db, 'alice', key), true)
+})
+
+test('users are authenticated by their ID token only', async t => {
+  // admin.auth is a getter of the namespace, shadowed here by an own property
+  Object.defineProperty(admin, 'auth', {
+    configurable: true,
+    value: () => ({
+      verifyIdToken: async token => {
+        if (token !== 'valid-token') throw new Error('Decoding failed')
+        return { uid: 'alice' }
+      }
+    })
+  })
+  t.after(() => { delete admin.auth })
+  const request = authorization => ({ get: name => (name === 'Authorization' ? authorization : undefined) })
+
+  assert.deepStrictEqual(await authenticateUser(request('Bearer valid-token')), { uid: 'alice' })
+  await assert.rejects(authenticateUser(request(undefined)), error => error instanceof AuthError && error.status === 401)
+  await assert.rejects(authenticateUser(request('Bearer forged')), error => error instanceof AuthError && error.message === 'Invalid ID token')
+})
@@ -0,0 +1,174 @@
+const test = require('node:test')
+const assert = require('node:assert')
+const {createFirestore} = require('./support/firestore')
+const {startHttpServer} = require('./support/httpServer')
+const {startSmtpServer} = require('./support/smtpServer')
+
+let smtp
+test.before(async () => {
+  smtp = await startSmtpServer()
+  process.env.SMTP_HOST = '127.0.0.1'
+  process.env.SMTP_PORT = String(smtp.port)
+})
+test.after(() => smtp.close())
+
+// Required after the SMTP environment is set, the transport is created on first use
+const {notifiers} = require('../src/notifiers')
+const {createSavedSearch, confirmSavedSearch, deleteSavedSearch, deliverSavedSearchAlerts} = require('../src/savedSearches')
+
+const job = index => ({
+  key: `key-${index}`,
+  id: String(index),
+  position: `Engineer ${index}`,
+  company: 'Acme',
+  source: 'Remotive',
+  url: `https://remotive.com/jobs/${index}`,
+  date: 'Mon, 19 Oct 2026 10:00:00 GMT',
+  description: 'React and Node.js',
+  tags: ['react']
+})
+
+/**
+ * Runs a test with webhooks allowed to reach the local stand-in
+ */
+const withPrivateTargets = async (t, fn) => {
+  process.env.ALERTS_ALLOW_PRIVATE_TARGETS = 'true'
+  t.after(() => { delete process.env.ALERTS_ALLOW_PRIVATE_TARGETS })
+  return fn()
+}
+
+test('webhooks to loopback, private, link-local and metadata addresses are rejected', async () => {
+  const blocked = [
+    'http://127.0.0.1/hook',
+    'http://localhost:8080/hook',
+    'http://169.254.169.254/latest/meta-data/',
+    'http://10.0.0.5/hook',
+    'http://172.20.1.1/hook',
+    'http://192.168.1.10/hook',
+    'http://100.64.0.1/hook',
+    'http://0.0.0.0/hook',
+    'http://[::1]/hook',
+    'http://[::ffff:127.0.0.1]/hook',
+    'http://[fd00::1]/hook',
+    'http://[fe80::1]/hook'
+  ]
+  for (const url of blocked) {
+    assert.strictEqual(await notifiers.webhook.validate({ url }), 'Webhook url must point to a public address', url)
+  }
+  assert.strictEqual(await notifiers.webhook.validate({ url: 'ftp://93.184.216.34/hook' }), 'Webhook url must be http(s)')
+  assert.strictEqual(await notifiers.webhook.validate({ url: 'not a url' }), 'Invalid webhook url')
+  assert.strictEqual(await notifiers.webhook.validate({ url: 'https://93.184.216.34/hook' }), null)
+})
+
+test('creating a webhook search for a private address fails with a QueryError', async () => {
+  const db = createFirestore()
+  await assert.rejects(
+    createSavedSearch(db, { filters: { tags: 'react' }, notify: { type: 'webhook', url: 'http://169.254.169.254/' } }),
+    { name: 'QueryError', message: 'Webhook url must point to a public address' }
+  )
+  assert.strictEqual(db.docs.size, 0)
+})
+
+test('delivery checks the webhook address again and does not follow redirects', async t => {
+  const server = await startHttpServer((request, response) => {
+    response.writeHead(302, { Location: '/internal' })
+    response.end()
+  })
+  t.after(() => server.close())
+  const search = { id: 's1', name: 'React', notify: { type: 'webhook', url: `${server.url}/hook` } }
+
+  await assert.rejects(notifiers.webhook.send(search, [job(1)]), /public address/)
+  assert.strictEqual(server.requests.length, 0)
+
+  await withPrivateTargets(t, async () => {
+    await assert.rejects(notifiers.webhook.send(search, [job(1)]), /302/)
+  })
+  assert.deepStrictEqual(server.requests.map(request => request.url), ['/hook'])
+})
+
+test('webhook digests are posted to the local stand-in, with the overflow sent next time', async t => {
+  const server = await startHttpServer((request, response) => response.end('ok'))
+  t.after(() => server.close())
+
+  await withPrivateTargets(t, async () => {
+    const db = createFirestore()
+    const { search } = await createSavedSearch(db, { name: 'React', filters: { tags: 'react' }, notify: { type: 'webhook', url: `${server.url}/hook` } })
+    assert.strictEqual(search.notify.confirmed, undefined)
+
+    const newJobs = Array.from({ length: 53 }, (value, index) => job(index))
+    const summary = await deliverSavedSearchAlerts(db, newJobs)
+    assert.strictEqual(summary.notified, 1)
+    assert.strictEqual(summary.jobs, 50)
+
+    const payload = JSON.parse(server.requests[0].body)
+    assert.strictEqual(payload.jobs.length, 50)
+    assert.strictEqual(payload.more, 3)
+    assert.match(payload.text, /^53 new job\(s\) for "React"/)
+    assert.match(payload.text, /\.\.\.and 3 more to follow$/)
+
+    // The overflow goes out with the next digest, ahead of that run's new jobs;
+    // a job no longer listed is dropped
+    const listed = newJobs.slice(0, 52).concat(job(60))
+    await deliverSavedSearchAlerts(db, [job(60)], listed)
+    assert.strictEqual(server.requests.length, 2)
+    const next = JSON.parse(server.requests[1].body)
+    assert.deepStrictEqual(next.jobs.map(item => item.id), ['50', '51', '60'])
+    assert.strictEqual(next.more, 0)
+
+    // Jobs are delivered once
+    await deliverSavedSearchAlerts(db, newJobs.slice(0, 50), listed)
+    assert.strictEqual(server.requests.length, 2)
+  })
+})
+
+test('email searches get a confirmation mail and no alerts until confirmed', async () => {
+  const db = createFirestore()
+  const sentBefore = smtp.messages.length
+  const created = await createSavedSearch(db, {
+    name: 'Buy pills now',
+    filters: { tags: 'react' },
+    notify: { type: 'email', address: 'dev@example.com' }
+  }, { confirmUrl: 'https://functions.example/savedSearches' })
+
+  assert.strictEqual(created.confirmationSent, true)
+  assert.strictEqual(created.search.notify.confirmed, false)
+  const confirmation = smtp.messages[sentBefore]
+  assert.deepStrictEqual(confirmation.to, ['dev@example.com'])
+  assert.doesNotMatch(confirmation.data, /Buy pills/)
+  const link = confirmation.data.replace(/=\r?\n/g, '').replace(/=3D/g, '=').match(/https:\/\/functions\.example\/savedSearches\?id=([\w-]+)&confirm=(\w+)/)
+  assert.ok(link, 'confirmation link in the mail')
+
+  let summary = await deliverSavedSearchAlerts(db, [job(1)])
+  assert.strictEqual(summary.notified, 0)
+  assert.strictEqual(smtp.messages.length, sentBefore + 1)
+
+  assert.strictEqual(await confirmSavedSearch(db, link[1], 'wrong-token'), false)
+  assert.strictEqual(await confirmSavedSearch(db, 'a/b', link[2]), false)
+  assert.strictEqual(await confirmSavedSearch(db, link[1], link[2]), true)
+  assert.strictEqual(await confirmSavedSearch(db, link[1], link[2]), false)
+
+  summary = await deliverSavedSearchAlerts(db, [job(1)])
+  assert.strictEqual(summary.notified, 1)
+  const digest = smtp.messages[sentBefore + 1]
+  assert.deepStrictEqual(digest.to, ['dev@example.com'])
+  assert.match(digest.data, /Engineer 1 at Acme/)
+})
+
+test('confirmation mails to one address are throttled', async () => {
+  const db = createFirestore()
+  const body = { filters: { tags: 'react' }, notify: { type: 'email', address: 'Victim@example.com' } }
+  const sentBefore = smtp.messages.length
+
+  const first = await createSavedSearch(db, body, { confirmUrl: 'https://functions.example/savedSearches' })
+  const second = await createSavedSearch(db, { ...body, notify: { type: 'email', address: 'victim@example.com' } }, { confirmUrl: 'https://functions.example/savedSearches' })
+
+  assert.strictEqual(first.confirmationSent, true)
+  assert.strictEqual(second.confirmationSent, false)
+  assert.strictEqual(smtp.messages.length, sentBefore + 1)
+})
+
+test('deleting with a malformed id reports a missing search', async () => {
+  const db = createFirestore()
+  assert.strictEqual(await deleteSavedSearch(db, '../apiKeys/x', 'token'), false)
+  assert.strictEqual(await deleteSavedSearch(db, '', 'token'), false)
+})
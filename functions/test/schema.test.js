@@ -0,0 +1,70 @@
+const test = require('node:test')
+const assert = require('node:assert')
+const fs = require('fs')
+const path = require('path')
+const {createFirestore} = require('./support/firestore')
+const {repairJob, partitionValidJobs} = require('../src/schema')
+const {fetchSourceJobs} = require('../src/sources')
+const weWorkRemotely = require('../src/sources/weworkremotely')
+const {enrichJob} = require('../src/enrich')
+const {classifyJob} = require('../src/taxonomy')
+const {removeDuplicates} = require('../src/dedupe')
+const {applyQuality} = require('../src/quality')
+
+const programmingFeed = fs.readFileSync(path.join(__dirname, 'fixtures', 'wwr-programming.rss'), 'utf8')
+
+const job = {
+  id: ' 42 ',
+  source: 'Remotive',
+  company: ' Acme ',
+  position: 'Engineer\n',
+  date: '2026-10-19T10:00:00Z',
+  url: 'https://remotive.com/jobs/42',
+  description: 'Node.js',
+  tags: [' react ', ''],
+  image: { uri: '/logo.png' },
+  location: ' '
+}
+
+test('repairs trim strings but leave id and url as the board sent them', () => {
+  const repaired = repairJob({ ...job, url: 'https://remotive.com/jobs/42?ref=feed' }, 'https://remotive.com')
+
+  assert.strictEqual(repaired.id, ' 42 ')
+  assert.strictEqual(repaired.url, 'https://remotive.com/jobs/42?ref=feed')
+  assert.strictEqual(repaired.company, 'Acme')
+  assert.strictEqual(repaired.position, 'Engineer')
+  assert.deepStrictEqual(repaired.tags, ['react'])
+  assert.strictEqual(repaired.location, undefined)
+  assert.strictEqual(repaired.image.uri, 'https://remotive.com/logo.png')
+  assert.strictEqual(repaired.dateIso, '2026-10-19T10:00:00.000Z')
+})
+
+test('relative urls are still resolved against the homepage', () => {
+  assert.strictEqual(repairJob({ ...job, url: '/jobs/42' }, 'https://remotive.com').url, 'https://remotive.com/jobs/42')
+})
+
+test('records coming out of enrichment, classification, dedupe and scoring pass the schema', async () => {
+  const adapter = { ...weWorkRemotely, fetch: () => weWorkRemotely.fetch({ timeout: 1000, http: { get: async (url, options, parse) => parse(programmingFeed) } }) }
+  const fetched = await fetchSourceJobs(adapter)
+  const enriched = fetched.jobs.map(enrichJob).map(classifyJob)
+  const { jobs } = await applyQuality(createFirestore(), removeDuplicates(enriched))
+
+  assert.ok(jobs.length > 0)
+  assert.ok(jobs.some(record => record.salary === null), 'a job without a salary')
+  assert.deepStrictEqual(partitionValidJobs(jobs).rejected, {})
+})
+
+test('final records failing the schema are rejected per source', () => {
+  const valid = repairJob(job, 'https://remotive.com')
+  const { jobs, rejected } = partitionValidJobs([
+    valid,
+    { ...valid, qualityScore: 140 },
+    { ...valid, source: 'RemoteOK', categories: ['Underwater Basket Weaving'] }
+  ])
+
+  assert.deepStrictEqual(jobs, [valid])
+  assert.deepStrictEqual(Object.keys(rejected), ['Remotive', 'RemoteOK'])
+  assert.deepStrictEqual(rejected.Remotive[0].errors, ['job.qualityScore must be at most 100'])
+  assert.match(rejected.RemoteOK[0].errors[0], /^job\.categories\[0\] must be one of/)
+  assert.strictEqual(rejected.RemoteOK[0].item.source, 'RemoteOK')
+})
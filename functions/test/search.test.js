@@ -0,0 +1,82 @@
+const test = require('node:test')
+const assert = require('node:assert')
+const {createFirestore} = require('./support/firestore')
+const {MAX_SHARD_BYTES, buildSearchIndex, splitIntoShards, parseSearchQuery, searchIndex} = require('../src/search')
+
+const builtAt = new Date('2026-10-19T12:00:00Z')
+
+const job = (index, description) => ({
+  key: `key-${index}`,
+  position: `Engineer ${index}`,
+  company: 'Acme',
+  date: builtAt.toUTCString(),
+  description,
+  tags: []
+})
+
+// Words made of letters only, so each one is its own term
+const word = number => `w${number.toString(36).replace(/\d/g, digit => 'abcdefghij'[digit])}x`
+
+test('postings are split into shards of about 350KB, each below the limit', async () => {
+  const db = createFirestore()
+  const jobs = Array.from({ length: 2400 }, (value, index) =>
+    job(index, Array.from({ length: 40 }, (item, offset) => word(index * 40 + offset)).join(' ')))
+
+  const result = await buildSearchIndex(db, jobs, builtAt)
+  const shards = [...db.docs.keys()].filter(path => /^searchIndex\/shard_\d+$/.test(path))
+  assert.strictEqual(shards.length, result.shards)
+  assert.ok(result.shards >= 3, `${result.shards} shards`)
+
+  const sizes = shards.map(path => JSON.stringify(db.docs.get(path).terms).length)
+  const total = sizes.reduce((sum, size) => sum + size, 0)
+  assert.ok(total / sizes.length <= 350 * 1024, 'shards average the target size')
+  sizes.forEach(size => assert.ok(size < MAX_SHARD_BYTES, `shard of ${size} bytes`))
+
+  // Every term is found in its own shard
+  const found = await searchIndex(db, parseSearchQuery({ q: word(2399 * 40 + 39) }), builtAt)
+  assert.deepStrictEqual(found.hits.map(hit => hit.key), ['key-2399'])
+
+  // A smaller index removes the shards it no longer needs
+  await buildSearchIndex(db, jobs.slice(0, 10), builtAt)
+  assert.deepStrictEqual([...db.docs.keys()].filter(path => path.startsWith('searchIndex/shard_')), ['searchIndex/shard_0'])
+})
+
+test('shards over the limit are split further and a term over the limit fails the build', () => {
+  const postings = new Map(Array.from({ length: 40 }, (value, index) => [`term${index}`, 'x'.repeat(100)]))
+
+  const even = splitIntoShards(postings, { targetBytes: 1000, maxBytes: 10000 })
+  assert.strictEqual(even.length, 5)
+
+  // Hashing cannot fit 40 terms of 116 bytes in four shards of at most 1000 bytes
+  const tight = splitIntoShards(postings, { targetBytes: 1200, maxBytes: 1000 })
+  assert.ok(tight.length > 4, `${tight.length} shards`)
+  tight.forEach(terms => {
+    const bytes = Object.keys(terms).reduce((sum, term) => sum + term.length + terms[term].length + 8, 0)
+    assert.ok(bytes <= 1000, `shard of ${bytes} bytes`)
+  })
+  assert.strictEqual(tight.reduce((count, terms) => count + Object.keys(terms).length, 0), 40)
+
+  assert.throws(
+    () => splitIntoShards(new Map([['react', 'x'.repeat(2000)]]), { targetBytes: 1000, maxBytes: 1000 }),
+    /Postings of "react" exceed the 1000 byte shard limit/
+  )
+})
+
+test('job keys and dates are listed outside the meta document', async () => {
+  const db = createFirestore()
+  const jobs = Array.from({ length: 5003 }, (value, index) => job(index, index === 5002 ? 'kubernetes' : 'react'))
+
+  await buildSearchIndex(db, jobs, builtAt)
+  const meta = db.docs.get('searchIndex/meta')
+  assert.strictEqual(meta.keys, undefined)
+  assert.strictEqual(meta.listCount, 2)
+  assert.strictEqual(db.docs.get('searchIndex/jobs_0').keys.length, 5000)
+  assert.deepStrictEqual(db.docs.get('searchIndex/jobs_1').keys, ['key-5000', 'key-5001', 'key-5002'])
+
+  const found = await searchIndex(db, parseSearchQuery({ q: 'kubernetes' }), builtAt)
+  assert.deepStrictEqual(found.hits.map(hit => hit.key), ['key-5002'])
+
+  await buildSearchIndex(db, jobs.slice(0, 3), builtAt)
+  assert.strictEqual(db.docs.has('searchIndex/jobs_1'), false)
+  assert.strictEqual(db.docs.get('searchIndex/meta').listCount, 1)
+})
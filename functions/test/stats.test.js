@@ -0,0 +1,43 @@
+const test = require('node:test')
+const assert = require('node:assert')
+const {createFirestore} = require('./support/firestore')
+const {recordDailyStats} = require('../src/stats')
+
+const runAt = new Date('2026-10-19T10:00:00Z')
+const jobs = [
+  { key: 'a', source: 'Remotive', categories: ['engineering'], skills: ['react'], salary: { min: 120000, max: null, currency: 'USD', period: 'year' }, locationRestrictions: ['US'] },
+  { key: 'b', source: 'RemoteOK', categories: ['engineering'], skills: ['rust'], salary: null }
+]
+
+test('the aggregate holds the jobs of the last run, new and expired add up over the day', async () => {
+  const db = createFirestore()
+  await recordDailyStats(db, jobs, { added: ['a', 'b'], expired: [] }, runAt)
+  await recordDailyStats(db, jobs.slice(0, 1), { added: ['a'], expired: ['b'] }, new Date('2026-10-19T11:00:00Z'))
+
+  const day = db.docs.get('dailyStats/2026-10-19')
+  assert.strictEqual(day.jobCount, 1)
+  assert.deepStrictEqual(day.sources, { Remotive: 1 })
+  assert.deepStrictEqual(day.salaryBands, { 'USD 100k-150k': 1 })
+  assert.strictEqual(day.new, 3)
+  assert.strictEqual(day.expired, 1)
+  assert.strictEqual(day.runs, 2)
+})
+
+test('added jobs missing from the given jobs, e.g. hidden ones, are not counted as new', async () => {
+  const db = createFirestore()
+  await recordDailyStats(db, jobs.slice(0, 1), { added: ['a', 'b'], expired: [] }, runAt)
+  assert.strictEqual(db.docs.get('dailyStats/2026-10-19').new, 1)
+})
+
+test('overlapping runs do not lose each other\'s new and expired counts', async () => {
+  const db = createFirestore()
+  await Promise.all([
+    recordDailyStats(db, jobs, { added: ['a', 'b'], expired: ['x'] }, runAt),
+    recordDailyStats(db, jobs, { added: ['a'], expired: ['y', 'z'] }, runAt)
+  ])
+
+  const day = db.docs.get('dailyStats/2026-10-19')
+  assert.strictEqual(day.new, 3)
+  assert.strictEqual(day.expired, 3)
+  assert.strictEqual(day.runs, 2)
+})
@@ -0,0 +1,43 @@
+const test = require('node:test')
+const assert = require('node:assert')
+const {createFirestore} = require('./support/firestore')
+const {readJobChanges} = require('../src/store')
+
+const since = new Date('2026-10-19T10:00:00Z')
+const at = minutes => new Date(since.getTime() + minutes * 60000)
+
+async function seededDb() {
+  const db = createFirestore()
+  const jobs = db.collection('jobs')
+  await jobs.doc('old').set({ key: 'old', source: 'Remotive', status: 'active', firstSeenAt: at(-600), updatedAt: at(-60) })
+  await jobs.doc('b-added').set({ key: 'b-added', source: 'Remotive', status: 'active', firstSeenAt: at(5), updatedAt: at(5) })
+  await jobs.doc('a-updated').set({ key: 'a-updated', source: 'Remotive', status: 'active', firstSeenAt: at(-600), updatedAt: at(5) })
+  await jobs.doc('c-expired').set({ key: 'c-expired', source: 'Remotive', status: 'expired', firstSeenAt: at(-600), updatedAt: at(5) })
+  await jobs.doc('d-later').set({ key: 'd-later', source: 'Remotive', status: 'active', firstSeenAt: at(30), updatedAt: at(30) })
+  return db
+}
+
+test('changes after a time are split into added, updated and removed', async () => {
+  const changes = await readJobChanges(await seededDb(), since)
+
+  assert.deepStrictEqual(changes.added.map(job => job.key), ['b-added', 'd-later'])
+  assert.deepStrictEqual(changes.updated.map(job => job.key), ['a-updated'])
+  assert.deepStrictEqual(changes.removed, ['c-expired'])
+  assert.strictEqual(changes.next, null)
+})
+
+test('changes are paged by update time and key, also within one run', async () => {
+  const db = await seededDb()
+  const seen = []
+  let after = null
+  let pages = 0
+  do {
+    const page = await readJobChanges(db, since, { limit: 2, after })
+    seen.push(...page.added, ...page.updated, ...page.removed.map(key => ({ key })))
+    after = page.next
+    pages++
+  } while (after && pages < 10)
+
+  assert.strictEqual(pages, 3)
+  assert.deepStrictEqual(seen.map(job => job.key).sort(), ['a-updated', 'b-added', 'c-expired', 'd-later'])
+})
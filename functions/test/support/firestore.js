@@ -0,0 +1,210 @@
+/**
+ * In-memory Firestore stand-in for unit tests
+ *
+ * Covers what the modules under test use: documents with set (merge),
+ * update with dotted paths, delete and subcollections; collection add, get and
+ * where (==, in and ranges), orderBy (also by FieldPath.documentId()),
+ * startAfter, limit and select; batches, getAll, transactions and FieldValue.increment /
+ * FieldValue.delete. Documents are kept as plain objects in a Map keyed by path.
+ */
+const {FieldPath, FieldValue} = require('firebase-admin/firestore')
+
+const clone = value => structuredClone(value)
+
+/**
+ * Applies one field value, resolving increments and deletes
+ * @param {Object} target - Object holding the field
+ * @param {string} field - Field name
+ * @param {*} value - Value to write
+ */
+function writeField(target, field, value) {
+  if (value instanceof FieldValue) {
+    if (value.isEqual(FieldValue.delete())) {
+      delete target[field]
+    } else if (typeof value.operand === 'number') {
+      target[field] = (target[field] || 0) + value.operand
+    } else {
+      throw new Error('Unsupported FieldValue in the Firestore stand-in')
+    }
+    return
+  }
+  target[field] = value instanceof Date || value === null || typeof value !== 'object' || Array.isArray(value) || Buffer.isBuffer(value)
+    ? clone(value)
+    : merge({}, value)
+}
+
+/**
+ * Deep merges plain objects, as set with merge: true does
+ * @param {Object} target - Existing data
+ * @param {Object} data - Data to merge in
+ * @returns {Object} - The target
+ */
+function merge(target, data) {
+  Object.keys(data).forEach(field => {
+    const value = data[field]
+    const isPlainObject = value && typeof value === 'object' && value.constructor === Object
+    if (isPlainObject && target[field] && typeof target[field] === 'object' && !Array.isArray(target[field])) {
+      merge(target[field], value)
+    } else {
+      writeField(target, field, value)
+    }
+  })
+  return target
+}
+
+/**
+ * Reads a dotted field path
+ * @param {Object} data - Document data
+ * @param {string} path - e.g. 'notify.confirmed'
+ * @returns {*}
+ */
+function readPath(data, path) {
+  return String(path).split('.').reduce((current, key) => (current == null ? undefined : current[key]), data)
+}
+
+// Snapshots copy the document, later writes must not show through
+class Snapshot {
+  constructor(ref, data) {
+    this.ref = ref
+    this.id = ref.id
+    this.exists = data !== undefined
+    this._data = data === undefined ? undefined : clone(data)
+  }
+
+  data() {
+    return this._data === undefined ? undefined : clone(this._data)
+  }
+
+  get(field) {
+    return this._data === undefined ? undefined : clone(readPath(this._data, field))
+  }
+}
+
+/**
+ * Creates an empty database
+ * @returns {Object} - Firestore-like instance, with the raw documents Map as docs
+ */
+function createFirestore() {
+  const docs = new Map()
+  let transactions = Promise.resolve()
+
+  const writeDoc = (path, data, { merge: mergeData = false } = {}) => {
+    const base = mergeData && docs.has(path) ? docs.get(path) : {}
+    docs.set(path, merge(base, data))
+  }
+
+  const updateDoc = (path, data) => {
+    if (!docs.has(path)) throw new Error(`No document to update: ${path}`)
+    const current = docs.get(path)
+    Object.keys(data).forEach(fieldPath => {
+      const keys = fieldPath.split('.')
+      const parent = keys.slice(0, -1).reduce((object, key) => {
+        if (!object[key] || typeof object[key] !== 'object') object[key] = {}
+        return object[key]
+      }, current)
+      writeField(parent, keys[keys.length - 1], data[fieldPath])
+    })
+  }
+
+  function docRef(path) {
+    if (path.split('/').length % 2 !== 0 || path.split('/').some(segment => !segment)) {
+      throw new Error(`Invalid document path: ${path}`)
+    }
+    const ref = {
+      id: path.split('/').pop(),
+      path,
+      get: async () => new Snapshot(ref, docs.get(path)),
+      set: async (data, options) => writeDoc(path, data, options),
+      update: async data => updateDoc(path, data),
+      delete: async () => { docs.delete(path) },
+      collection: name => collectionRef(`${path}/${name}`)
+    }
+    return ref
+  }
+
+  // Field value of a snapshot, FieldPath.documentId() reading the document ID
+  const valueOf = (snapshot, field) => (field instanceof FieldPath ? snapshot.id : readPath(snapshot._data, field))
+  const compare = (a, b) => (a < b ? -1 : (a > b ? 1 : 0))
+  const operators = {
+    '==': (actual, value) => actual === value,
+    'in': (actual, value) => value.includes(actual),
+    '>': (actual, value) => actual !== undefined && actual > value,
+    '>=': (actual, value) => actual !== undefined && actual >= value,
+    '<': (actual, value) => actual !== undefined && actual < value,
+    '<=': (actual, value) => actual !== undefined && actual <= value
+  }
+
+  function collectionRef(path, query = { filters: [], orders: [], limit: Infinity, after: null }) {
+    const depth = path.split('/').length + 1
+    const refine = changes => collectionRef(path, { ...query, ...changes })
+    return {
+      path,
+      doc: id => docRef(`${path}/${id === undefined ? Math.random().toString(36).slice(2, 12) : id}`),
+      add: async data => {
+        const ref = docRef(`${path}/${Math.random().toString(36).slice(2, 12)}`)
+        writeDoc(ref.path, data)
+        return ref
+      },
+      where: (field, op, value) => {
+        if (!operators[op]) throw new Error(`Unsupported operator ${op} in the Firestore stand-in`)
+        return refine({ filters: query.filters.concat([[field, op, value]]) })
+      },
+      // Like Firestore, ordering leaves out documents without the field
+      orderBy: field => refine({ orders: query.orders.concat([field]) }),
+      startAfter: (...values) => refine({ after: values }),
+      limit: count => refine({ limit: count }),
+      select: () => refine({}),
+      get: async () => {
+        const sortKey = snapshot => query.orders.map(field => valueOf(snapshot, field))
+        const byOrder = (first, second) => first.reduce((result, value, index) => result || compare(value, second[index]), 0)
+        const matches = [...docs.keys()]
+          .filter(key => key.startsWith(`${path}/`) && key.split('/').length === depth)
+          .map(key => new Snapshot(docRef(key), docs.get(key)))
+          .filter(snapshot => query.filters.every(([field, op, value]) => operators[op](valueOf(snapshot, field), value)))
+          .filter(snapshot => query.orders.every(field => valueOf(snapshot, field) !== undefined))
+          .sort((first, second) => byOrder(sortKey(first), sortKey(second)))
+          .filter(snapshot => !query.after || byOrder(sortKey(snapshot), query.after) > 0)
+          .slice(0, query.limit)
+        return { docs: matches, size: matches.length, empty: matches.length === 0, forEach: fn => matches.forEach(fn) }
+      }
+    }
+  }
+
+  return {
+    docs,
+    collection: name => collectionRef(name),
+    getAll: async (...refs) => Promise.all(refs.map(ref => ref.get())),
+    batch() {
+      const operations = []
+      return {
+        set: (ref, data, options) => operations.push(() => writeDoc(ref.path, data, options)),
+        update: (ref, data) => operations.push(() => updateDoc(ref.path, data)),
+        delete: ref => operations.push(() => docs.delete(ref.path)),
+        commit: async () => operations.forEach(operation => operation())
+      }
+    },
+    // Transactions run one after another, as Firestore's retries make conflicting ones behave
+    runTransaction(fn) {
+      const run = transactions.then(async () => {
+        const operations = []
+        const result = await fn({
+          get: ref => ref.get(),
+          set: (ref, data, options) => operations.push(() => writeDoc(ref.path, data, options)),
+          update: (ref, data) => operations.push(() => updateDoc(ref.path, data)),
+          delete: ref => operations.push(() => docs.delete(ref.path))
+        })
+        operations.forEach(operation => operation())
+        return result
+      })
+      transactions = run.catch(() => {})
+      return run
+    },
+    recursiveDelete: async ref => {
+      [...docs.keys()].filter(key => key === ref.path || key.startsWith(`${ref.path}/`)).forEach(key => docs.delete(key))
+    }
+  }
+}
+
+module.exports = {
+  createFirestore
+}
@@ -0,0 +1,41 @@
+/**
+ * Local HTTP stand-in for unit tests
+ */
+const http = require('http')
+
+/**
+ * Starts a server on a free port of 127.0.0.1, recording every request
+ * @param {Function} handler - (request, response, body) handler
+ * @returns {Promise<Object>} - { url, requests: [{ method, url, headers, body }], close }
+ */
+function startHttpServer(handler) {
+  const requests = []
+  const sockets = new Set()
+  const server = http.createServer((request, response) => {
+    let body = ''
+    request.on('data', chunk => { body += chunk })
+    request.on('end', () => {
+      requests.push({ method: request.method, url: request.url, headers: request.headers, body })
+      handler(request, response, body)
+    })
+  })
+  server.on('connection', socket => {
+    sockets.add(socket)
+    socket.on('close', () => sockets.delete(socket))
+  })
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => resolve({
+      url: `http://127.0.0.1:${server.address().port}`,
+      requests,
+      close: () => new Promise(done => {
+        sockets.forEach(socket => socket.destroy())
+        server.close(done)
+      })
+    }))
+  })
+}
+
+module.exports = {
+  startHttpServer
+}
@@ -0,0 +1,71 @@
+/**
+ * Minimal local SMTP stand-in for unit tests
+ * Accepts every message without authentication and keeps it in memory
+ */
+const net = require('net')
+
+/**
+ * Starts the server on a free port of 127.0.0.1
+ * @returns {Promise<Object>} - { port, messages: [{ from, to, data }], close }
+ */
+function startSmtpServer() {
+  const messages = []
+  const server = net.createServer(socket => {
+    let buffer = ''
+    let message = null
+    let inData = false
+    const reply = line => socket.write(`${line}\r\n`)
+
+    reply('220 localhost stand-in')
+    socket.on('data', chunk => {
+      buffer += chunk.toString('utf8')
+      let index
+      while ((index = buffer.indexOf('\r\n')) !== -1) {
+        const line = buffer.slice(0, index)
+        buffer = buffer.slice(index + 2)
+
+        if (inData) {
+          if (line === '.') {
+            inData = false
+            messages.push(message)
+            reply('250 OK')
+          } else {
+            message.data += `${line.replace(/^\./, '')}\n`
+          }
+          continue
+        }
+
+        const command = line.slice(0, 4).toUpperCase()
+        if (command === 'EHLO' || command === 'HELO') {
+          reply('250 localhost')
+        } else if (command === 'MAIL') {
+          message = { from: line.slice(10).trim(), to: [], data: '' }
+          reply('250 OK')
+        } else if (command === 'RCPT') {
+          message.to.push(line.slice(8).trim().replace(/^<|>$/g, ''))
+          reply('250 OK')
+        } else if (command === 'DATA') {
+          inData = true
+          reply('354 End data with <CR><LF>.<CR><LF>')
+        } else if (command === 'QUIT') {
+          reply('221 Bye')
+          socket.end()
+        } else {
+          reply('250 OK')
+        }
+      }
+    })
+  })
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => resolve({
+      port: server.address().port,
+      messages,
+      close: () => new Promise(done => server.close(done))
+    }))
+  })
+}
+
+module.exports = {
+  startSmtpServer
+}
@@ -0,0 +1,100 @@
+const test = require('node:test')
+const assert = require('node:assert')
+const axios = require('axios')
+const {createFetchSession} = require('../src/upstream')
+const {resolveSources} = require('../src/sources')
+
+// Replaces axios.get for one test, recording the requests
+function stubAxios(t, respond) {
+  const requests = []
+  const original = axios.get
+  axios.get = async (url, options) => {
+    requests.push({ url, options })
+    return respond(url, options)
+  }
+  t.after(() => { axios.get = original })
+  return requests
+}
+
+test('source headers are sent over the request headers and the default user agent', async t => {
+  const requests = stubAxios(t, () => ({ status: 200, data: [], headers: {} }))
+  const session = createFetchSession(null, { headers: { 'User-Agent': 'Browser', 'Referer': 'https://board.example/' } })
+
+  await session.get('https://board.example/feed', { headers: { 'Accept': 'application/json', 'User-Agent': 'Request' } })
+
+  const { headers } = requests[0].options
+  assert.strictEqual(headers['User-Agent'], 'Browser')
+  assert.strictEqual(headers['Referer'], 'https://board.example/')
+  assert.strictEqual(headers['Accept'], 'application/json')
+})
+
+test('requests without source headers identify as the feed reader', async t => {
+  const requests = stubAxios(t, () => ({ status: 200, data: [], headers: {} }))
+  await createFetchSession(null).get('https://board.example/feed')
+  assert.match(requests[0].options.headers['User-Agent'], /RemoteJobsServerless feed reader/)
+})
+
+test('only WeWorkRemotely sends browser headers, other sources get one through config only', async t => {
+  const sources = resolveSources({
+    WeWorkRemotely: { headers: { 'Accept-Language': 'de-DE' } },
+    Jobicy: { headers: { 'User-Agent': 'Browser' } }
+  })
+  const byName = name => sources.find(source => source.name === name)
+
+  const wwr = byName('WeWorkRemotely').headers
+  assert.match(wwr['User-Agent'], /iPhone/)
+  assert.strictEqual(wwr['Referer'], 'https://weworkremotely.com/')
+  assert.strictEqual(wwr['Accept-Language'], 'de-DE')
+  assert.strictEqual(byName('Jobicy').headers['User-Agent'], 'Browser')
+
+  const requests = stubAxios(t, () => ({ status: 200, data: [], headers: {} }))
+  for (const name of ['RemoteOK', 'Web3Jobs', 'Remotive', 'WorkingNomads']) {
+    await createFetchSession(null, { headers: byName(name).headers }).get(`https://${name}.example/feed`)
+  }
+  requests.forEach(request => assert.match(request.options.headers['User-Agent'], /RemoteJobsServerless feed reader/, request.url))
+})
+
+// Firestore stand-in holding the upstreamCache documents
+function fakeDb() {
+  const docs = new Map()
+  return {
+    docs,
+    collection: name => ({
+      doc: id => ({
+        get: async () => ({ exists: docs.has(`${name}/${id}`), data: () => docs.get(`${name}/${id}`) }),
+        set: async data => { docs.set(`${name}/${id}`, data) }
+      })
+    })
+  }
+}
+
+test('a 304 parses the stored body again, so parser changes apply to unchanged feeds', async t => {
+  const db = fakeDb()
+  const responses = [
+    { status: 200, data: '<rss>a,b</rss>', headers: { etag: '"v1"' } },
+    { status: 304, data: '', headers: {} }
+  ]
+  const requests = stubAxios(t, () => responses.shift())
+
+  const first = await createFetchSession(db).get('https://board.example/feed', {}, body => body.split(','))
+  assert.deepStrictEqual(first, ['<rss>a', 'b</rss>'])
+
+  const session = createFetchSession(db)
+  const second = await session.get('https://board.example/feed', {}, body => body.replace(/<\/?rss>/g, '').split(','))
+  assert.strictEqual(requests[1].options.headers['If-None-Match'], '"v1"')
+  assert.deepStrictEqual(second, ['a', 'b'])
+  assert.strictEqual(session.stats.notModified, 1)
+})
+
+test('entries of another version are not used for conditional requests', async t => {
+  const db = fakeDb()
+  const requests = stubAxios(t, () => ({ status: 200, data: [{ id: 1 }], headers: { etag: '"v2"' } }))
+
+  await createFetchSession(db).get('https://board.example/api')
+  const [key] = db.docs.keys()
+  db.docs.set(key, { ...db.docs.get(key), version: 1 })
+
+  await createFetchSession(db).get('https://board.example/api')
+  assert.strictEqual(requests[1].options.headers['If-None-Match'], undefined)
+  assert.strictEqual(db.docs.get(key).version, 2)
+})
@@ -0,0 +1,82 @@
+const test = require('node:test')
+const assert = require('node:assert')
+const fs = require('fs')
+const path = require('path')
+const weWorkRemotely = require('../src/sources/weworkremotely')
+
+const programmingFeed = fs.readFileSync(path.join(__dirname, 'fixtures', 'wwr-programming.rss'), 'utf8')
+
+// Fetch session serving the fixture for every feed URL
+const fixtureSession = {
+  get: async (url, options, parse) => parse(programmingFeed)
+}
+
+const fetchProgrammingItems = async () => {
+  const items = await weWorkRemotely.fetch({ timeout: 1000, http: fixtureSession })
+  return items.filter(item => item.feedUrl.includes('remote-programming-jobs'))
+}
+
+test('parseTitle splits company and position on the first colon', () => {
+  assert.deepStrictEqual(weWorkRemotely.parseTitle('Acme: Backend Engineer'), { company: 'Acme', position: 'Backend Engineer' })
+  assert.deepStrictEqual(weWorkRemotely.parseTitle('Globex: DevOps Engineer: Platform'), { company: 'Globex', position: 'DevOps Engineer: Platform' })
+})
+
+test('parseTitle tolerates titles without a colon or a position', () => {
+  assert.deepStrictEqual(weWorkRemotely.parseTitle(' Freelance React Developer '), { company: 'Unknown Company', position: 'Freelance React Developer' })
+  assert.deepStrictEqual(weWorkRemotely.parseTitle('Acme:'), { company: 'Acme', position: 'Unknown Position' })
+})
+
+test('feedCategory derives the tag from category feed URLs only', () => {
+  assert.strictEqual(weWorkRemotely.feedCategory('https://weworkremotely.com/categories/remote-customer-support-jobs.rss'), 'customer support')
+  assert.strictEqual(weWorkRemotely.feedCategory('https://weworkremotely.com/categories/remote-devops-sysadmin-jobs.rss'), 'devops sysadmin')
+  assert.strictEqual(weWorkRemotely.feedCategory('https://weworkremotely.com/remote-jobs.rss'), null)
+})
+
+test('normalize reads CDATA titles and descriptions, region, type, category and the media:content logo', async () => {
+  const [item] = await fetchProgrammingItems()
+  const job = weWorkRemotely.normalize(item)
+
+  assert.strictEqual(job.company, 'Acme & Co')
+  assert.strictEqual(job.position, 'Senior Backend Engineer')
+  assert.strictEqual(job.image.uri, 'https://we-work-remotely.imgix.net/logos/acme.png')
+  assert.strictEqual(job.location, 'Anywhere in the World')
+  assert.strictEqual(job.employmentType, 'Full-Time')
+  assert.deepStrictEqual(job.tags, ['programming', 'back-end programming'])
+  assert.strictEqual(job.date, 'Fri, 16 Oct 2026 09:30:00 GMT')
+  assert.strictEqual(job.url, 'https://weworkremotely.com/remote-jobs/acme-co-senior-backend-engineer')
+  assert.match(job.description, /We are hiring a backend engineer & mentor\./)
+  assert.doesNotMatch(job.description, /<|CDATA/)
+})
+
+test('normalize handles escaped HTML, titles without a colon and unparseable dates', async () => {
+  const [, freelance, globex, untitled] = await fetchProgrammingItems()
+
+  const freelanceJob = weWorkRemotely.normalize(freelance)
+  assert.strictEqual(freelanceJob.company, 'Unknown Company')
+  assert.strictEqual(freelanceJob.position, 'Freelance React Developer')
+  assert.strictEqual(freelanceJob.image.uri, 'https://cdn.example.com/logo.jpg')
+  assert.strictEqual(freelanceJob.location, 'Europe Only')
+
+  const globexJob = weWorkRemotely.normalize(globex)
+  assert.strictEqual(globexJob.position, 'DevOps Engineer: Platform')
+  assert.strictEqual(globexJob.date, 'Invalid Date')
+  assert.match(globexJob.image.uri, /wwr-social/)
+  assert.strictEqual(globexJob.location, undefined)
+
+  assert.strictEqual(weWorkRemotely.normalize(untitled), null)
+})
+
+test('normalize does not throw on categories parsed as objects or arrays', async () => {
+  const [item] = await fetchProgrammingItems()
+
+  const withAttributes = weWorkRemotely.normalize({ ...item, category: { _: ' Design ', $: { domain: 'wwr' } } })
+  assert.deepStrictEqual(withAttributes.tags, ['programming', 'design'])
+
+  const repeated = weWorkRemotely.normalize({ ...item, category: ['Sales', 'Marketing'], region: [{ _: 'USA Only' }] })
+  assert.deepStrictEqual(repeated.tags, ['programming', 'sales'])
+  assert.strictEqual(repeated.location, 'USA Only')
+
+  const empty = weWorkRemotely.normalize({ ...item, category: { $: { domain: 'wwr' } }, type: {} })
+  assert.deepStrictEqual(empty.tags, ['programming'])
+  assert.strictEqual(empty.employmentType, undefined)
+})